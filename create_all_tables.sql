@@ -14,6 +14,7 @@ CREATE TABLE IF NOT EXISTS bookmakers (
     second_message TEXT,
     third_message TEXT,
     decoder_type VARCHAR(20) DEFAULT 'auto', -- auto, msgpack, sfs
+    connection_profile JSONB, -- Cabeceras, origin, subprotocolos, cookies, query params y tiempos (NULL = perfil Spribe)
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -30,6 +31,11 @@ CREATE TABLE IF NOT EXISTS game_rounds (
     total_cashout DECIMAL(15,2) DEFAULT 0,
     casino_profit DECIMAL(15,2) DEFAULT 0,
     loss_percentage DECIMAL(5,2) DEFAULT 0,
+    bet_phase_started_at TIMESTAMP, -- Apertura de apuestas (changeState 1)
+    flight_started_at TIMESTAMP, -- Despegue (changeState 2 o primer tick)
+    crashed_at TIMESTAMP, -- Crash
+    flight_duration_ms INTEGER,
+    bet_phase_duration_ms INTEGER,
     timestamp TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
@@ -67,28 +73,64 @@ CREATE TABLE IF NOT EXISTS predictions (
     bookmaker_id INTEGER NOT NULL REFERENCES bookmakers(id) ON DELETE CASCADE,
     prediction_time TIMESTAMP NOT NULL, -- Hora predicha (solo hora, minuto, segundo)
     prediction_date DATE NOT NULL, -- Fecha de la predicción
-    status VARCHAR(20) DEFAULT 'pending', -- pending, active, won, lost
+    status VARCHAR(20) DEFAULT 'pending', -- pending, active, won, lost, expired
+    status_reason VARCHAR(100), -- Motivo de expired (no_round_in_window, superseded_after_restart)
     trigger_result DECIMAL(10,2), -- Resultado que activó la predicción (>3.0x)
     trigger_time TIMESTAMP, -- Hora del resultado que activó la predicción
+    trigger_round_id VARCHAR(255), -- Ronda que activó la predicción
+    window_seconds INTEGER, -- Duración de la ventana desde prediction_time
+    target_multiplier DECIMAL(10,2), -- Objetivo de cashout: gana si el resultado lo supera
     entry_time TIMESTAMP, -- Hora cuando se activó la entrada
     final_result DECIMAL(10,2), -- Resultado final de la entrada
     final_time TIMESTAMP, -- Hora del resultado final
+    final_round_id VARCHAR(255), -- Ronda que resolvió la predicción
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Estrategias de señales (condiciones, objetivo, gales y cooldown; ver strategyEngine.js)
+CREATE TABLE IF NOT EXISTS strategies (
+    id SERIAL PRIMARY KEY,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    conditions JSONB NOT NULL, -- [{ "op": ">", "value": 1.5 }, ...] del resultado más reciente al más antiguo
+    target_multiplier DECIMAL(10,2) NOT NULL DEFAULT 1.50, -- Gana si el resultado supera este valor
+    max_gales INTEGER NOT NULL DEFAULT 1, -- Intentos de recuperación tras perder el primero
+    cooldown_rounds INTEGER NOT NULL DEFAULT 0, -- Rondas sin emitir tras resolver una señal
+    validity_seconds INTEGER NOT NULL DEFAULT 180, -- Tiempo máximo hasta cada intento (después: void)
+    bookmaker_id INTEGER REFERENCES bookmakers(id) ON DELETE CASCADE, -- NULL = todos los bookmakers
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Estrategia por defecto (la regla clásica)
+INSERT INTO strategies (name, description, conditions, target_multiplier, max_gales, cooldown_rounds)
+SELECT 'Clásica 1.50x', 'Patrón >1.50x, >1.50x, <2.00x con objetivo 1.50x y 1 gale',
+    '[{"op": ">", "value": 1.5}, {"op": ">", "value": 1.5}, {"op": "<", "value": 2}]', 1.50, 1, 0
+WHERE NOT EXISTS (SELECT 1 FROM strategies);
+
 -- Tabla para almacenar señales emitidas
 CREATE TABLE IF NOT EXISTS signals (
     id SERIAL PRIMARY KEY,
     bookmaker_id INTEGER NOT NULL REFERENCES bookmakers(id) ON DELETE CASCADE,
     pattern_detected JSONB NOT NULL, -- Patrón detectado: [result1, result2, result3]
     signal_timestamp TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
-    status VARCHAR(20) DEFAULT 'pending', -- pending, won, lost
-    gale_used BOOLEAN DEFAULT false, -- Si se usó el gale (segundo intento)
+    status VARCHAR(20) DEFAULT 'pending', -- pending, won, lost, expired, void, unverifiable
+    gale_used BOOLEAN DEFAULT false, -- Si se usó al menos un gale
     first_attempt_result DECIMAL(10,2), -- Resultado del primer intento
     first_attempt_timestamp TIMESTAMP,
     second_attempt_result DECIMAL(10,2), -- Resultado del segundo intento (gale)
     second_attempt_timestamp TIMESTAMP,
+    strategy_id INTEGER REFERENCES strategies(id) ON DELETE SET NULL, -- Estrategia que emitió la señal
+    target_multiplier DECIMAL(10,2) NOT NULL DEFAULT 1.50, -- Objetivo vigente al emitir
+    max_gales INTEGER NOT NULL DEFAULT 1, -- Gales permitidos al emitir
+    attempts_count INTEGER NOT NULL DEFAULT 0, -- Intentos resueltos (filas en signal_results)
+    winning_attempt INTEGER, -- Intento ganador: 1 = entrada, 2.. = gales (NULL si no ganó)
+    status_reason VARCHAR(100), -- Motivo del cierre cuando no se resolvió con rondas (expired, void, unverifiable)
+    validity_seconds INTEGER NOT NULL DEFAULT 180, -- Ventana de validez vigente al emitir
+    expires_at TIMESTAMP, -- Límite para el siguiente intento (se renueva tras cada gale)
+    after_round_id VARCHAR(255), -- Ronda tras la que se emitió (el primer intento debe ser la siguiente)
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
     updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
@@ -97,14 +139,107 @@ CREATE TABLE IF NOT EXISTS signals (
 CREATE TABLE IF NOT EXISTS signal_results (
     id SERIAL PRIMARY KEY,
     signal_id INTEGER NOT NULL REFERENCES signals(id) ON DELETE CASCADE,
-    attempt_number INTEGER NOT NULL, -- 1 = primer intento, 2 = gale
+    attempt_number INTEGER NOT NULL, -- 1 = primer intento, 2..N = gales
     result_multiplier DECIMAL(10,2) NOT NULL,
-    is_win BOOLEAN NOT NULL, -- true si result_multiplier > 1.50
+    is_win BOOLEAN NOT NULL, -- true si result_multiplier supera el objetivo de la señal
     result_timestamp TIMESTAMP NOT NULL,
     round_id VARCHAR(255),
     created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Tabla de huecos en la secuencia de round_id (rondas que nunca se guardaron)
+CREATE TABLE IF NOT EXISTS round_gaps (
+    id SERIAL PRIMARY KEY,
+    bookmaker_id INTEGER NOT NULL REFERENCES bookmakers(id) ON DELETE CASCADE,
+    from_round_id BIGINT NOT NULL, -- Primera ronda faltante
+    to_round_id BIGINT NOT NULL, -- Última ronda faltante
+    missing_count INTEGER NOT NULL,
+    previous_round_id VARCHAR(255), -- Última ronda guardada antes del hueco
+    next_round_id VARCHAR(255), -- Ronda guardada que reveló el hueco
+    detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (bookmaker_id, from_round_id)
+);
+
+-- Apuestas individuales de cada ronda (updateCurrentBets)
+CREATE TABLE IF NOT EXISTS round_bets (
+    id BIGSERIAL PRIMARY KEY,
+    game_round_id INTEGER NOT NULL REFERENCES game_rounds(id) ON DELETE CASCADE,
+    bookmaker_id INTEGER NOT NULL REFERENCES bookmakers(id) ON DELETE CASCADE,
+    round_id VARCHAR(255) NOT NULL,
+    player_id VARCHAR(255) NOT NULL DEFAULT '',
+    bet_id VARCHAR(255) NOT NULL DEFAULT '',
+    amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+    currency VARCHAR(10),
+    auto_cashout DECIMAL(20,2),
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (game_round_id, player_id, bet_id)
+);
+
+-- Cashouts individuales de cada ronda (updateCurrentCashOuts)
+CREATE TABLE IF NOT EXISTS round_cashouts (
+    id BIGSERIAL PRIMARY KEY,
+    game_round_id INTEGER NOT NULL REFERENCES game_rounds(id) ON DELETE CASCADE,
+    bookmaker_id INTEGER NOT NULL REFERENCES bookmakers(id) ON DELETE CASCADE,
+    round_id VARCHAR(255) NOT NULL,
+    player_id VARCHAR(255) NOT NULL DEFAULT '',
+    bet_id VARCHAR(255) NOT NULL DEFAULT '',
+    multiplier DECIMAL(20,2) NOT NULL,
+    win_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+    cashed_out_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    UNIQUE (game_round_id, player_id, bet_id, multiplier)
+);
+
+-- Curva de multiplicadores de cada ronda (ticks 'x' comprimidos, ver timelineCodec.js)
+CREATE TABLE IF NOT EXISTS round_timelines (
+    game_round_id INTEGER PRIMARY KEY REFERENCES game_rounds(id) ON DELETE CASCADE,
+    tick_count INTEGER NOT NULL,
+    timeline BYTEA NOT NULL,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Suscripciones a webhooks (ver webhookService.js)
+CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+    id SERIAL PRIMARY KEY,
+    url TEXT NOT NULL,
+    event_types TEXT[] NOT NULL, -- newRound, signalEmitted, signalResult, bookmakersHealth
+    bookmaker_id INTEGER REFERENCES bookmakers(id) ON DELETE CASCADE, -- NULL = todos los bookmakers
+    secret VARCHAR(255) NOT NULL, -- Clave de la firma HMAC-SHA256
+    description TEXT,
+    enabled BOOLEAN NOT NULL DEFAULT true,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Registro de entregas de webhooks (una fila por evento y suscripción)
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id BIGSERIAL PRIMARY KEY,
+    subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending', -- pending, delivered, dead
+    attempts INTEGER NOT NULL DEFAULT 0,
+    last_status_code INTEGER, -- Respuesta HTTP del último intento (NULL si no hubo respuesta)
+    last_error TEXT,
+    next_attempt_at TIMESTAMP, -- Próximo reintento (NULL cuando ya no hay más)
+    delivered_at TIMESTAMP,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Entregas que agotaron los reintentos
+CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+    id BIGSERIAL PRIMARY KEY,
+    delivery_id BIGINT REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+    subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+    event_type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL,
+    attempts INTEGER NOT NULL,
+    last_status_code INTEGER,
+    last_error TEXT,
+    created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- Crear tabla de migraciones
 CREATE TABLE IF NOT EXISTS migrations (
     id SERIAL PRIMARY KEY,
@@ -134,6 +269,25 @@ CREATE INDEX IF NOT EXISTS idx_signals_signal_timestamp ON signals(signal_timest
 CREATE INDEX IF NOT EXISTS idx_signals_created_at ON signals(created_at);
 CREATE INDEX IF NOT EXISTS idx_signal_results_signal_id ON signal_results(signal_id);
 CREATE INDEX IF NOT EXISTS idx_signal_results_attempt_number ON signal_results(attempt_number);
+CREATE INDEX IF NOT EXISTS idx_signals_strategy_id ON signals(strategy_id);
+CREATE INDEX IF NOT EXISTS idx_signals_winning_attempt ON signals(winning_attempt);
+CREATE INDEX IF NOT EXISTS idx_strategies_enabled ON strategies(enabled);
+
+-- Índices para huecos de rondas
+CREATE INDEX IF NOT EXISTS idx_round_gaps_bookmaker_id ON round_gaps(bookmaker_id);
+CREATE INDEX IF NOT EXISTS idx_round_gaps_detected_at ON round_gaps(detected_at);
+
+-- Índices para apuestas y cashouts
+CREATE INDEX IF NOT EXISTS idx_round_bets_bookmaker_id ON round_bets(bookmaker_id);
+CREATE INDEX IF NOT EXISTS idx_round_bets_player_id ON round_bets(player_id);
+CREATE INDEX IF NOT EXISTS idx_round_cashouts_bookmaker_id ON round_cashouts(bookmaker_id);
+CREATE INDEX IF NOT EXISTS idx_round_cashouts_player_id ON round_cashouts(player_id);
+
+-- Índices para webhooks
+CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_enabled ON webhook_subscriptions(enabled);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription_id ON webhook_deliveries(subscription_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_subscription_id ON webhook_dead_letters(subscription_id);
 
 -- Constraint único para evitar duplicados en game_rounds
 DO $$
@@ -229,6 +229,385 @@ class DatabaseMigrator {
                 }
             }
         });
+
+        // Migración 8: Crear tabla de huecos en la secuencia de rondas
+        this.migrations.push({
+            id: '008_create_round_gaps_table',
+            name: 'Crear tabla round_gaps (rondas faltantes por bookmaker)',
+            up: async () => {
+                console.log('📝 Creando tabla round_gaps...');
+
+                const createRoundGapsTable = `
+                    CREATE TABLE IF NOT EXISTS round_gaps (
+                        id SERIAL PRIMARY KEY,
+                        bookmaker_id INTEGER NOT NULL REFERENCES bookmakers(id) ON DELETE CASCADE,
+                        from_round_id BIGINT NOT NULL,
+                        to_round_id BIGINT NOT NULL,
+                        missing_count INTEGER NOT NULL,
+                        previous_round_id VARCHAR(255),
+                        next_round_id VARCHAR(255),
+                        detected_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                        UNIQUE (bookmaker_id, from_round_id)
+                    );
+
+                    CREATE INDEX IF NOT EXISTS idx_round_gaps_bookmaker_id ON round_gaps(bookmaker_id);
+                    CREATE INDEX IF NOT EXISTS idx_round_gaps_detected_at ON round_gaps(detected_at);
+                `;
+
+                await db.query(createRoundGapsTable);
+                console.log('✅ Tabla round_gaps creada');
+            }
+        });
+
+        // Migración 9: Crear tablas de apuestas y cashouts individuales
+        this.migrations.push({
+            id: '009_create_round_bets_and_cashouts',
+            name: 'Crear tablas round_bets y round_cashouts',
+            up: async () => {
+                console.log('📝 Creando tablas round_bets y round_cashouts...');
+
+                const createRoundDetailTables = `
+                    CREATE TABLE IF NOT EXISTS round_bets (
+                        id BIGSERIAL PRIMARY KEY,
+                        game_round_id INTEGER NOT NULL REFERENCES game_rounds(id) ON DELETE CASCADE,
+                        bookmaker_id INTEGER NOT NULL REFERENCES bookmakers(id) ON DELETE CASCADE,
+                        round_id VARCHAR(255) NOT NULL,
+                        player_id VARCHAR(255) NOT NULL DEFAULT '',
+                        bet_id VARCHAR(255) NOT NULL DEFAULT '',
+                        amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+                        currency VARCHAR(10),
+                        auto_cashout DECIMAL(20,2),
+                        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                        UNIQUE (game_round_id, player_id, bet_id)
+                    );
+
+                    CREATE TABLE IF NOT EXISTS round_cashouts (
+                        id BIGSERIAL PRIMARY KEY,
+                        game_round_id INTEGER NOT NULL REFERENCES game_rounds(id) ON DELETE CASCADE,
+                        bookmaker_id INTEGER NOT NULL REFERENCES bookmakers(id) ON DELETE CASCADE,
+                        round_id VARCHAR(255) NOT NULL,
+                        player_id VARCHAR(255) NOT NULL DEFAULT '',
+                        bet_id VARCHAR(255) NOT NULL DEFAULT '',
+                        multiplier DECIMAL(20,2) NOT NULL,
+                        win_amount DECIMAL(15,2) NOT NULL DEFAULT 0,
+                        cashed_out_at TIMESTAMP,
+                        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                        UNIQUE (game_round_id, player_id, bet_id, multiplier)
+                    );
+
+                    CREATE INDEX IF NOT EXISTS idx_round_bets_bookmaker_id ON round_bets(bookmaker_id);
+                    CREATE INDEX IF NOT EXISTS idx_round_bets_player_id ON round_bets(player_id);
+                    CREATE INDEX IF NOT EXISTS idx_round_cashouts_bookmaker_id ON round_cashouts(bookmaker_id);
+                    CREATE INDEX IF NOT EXISTS idx_round_cashouts_player_id ON round_cashouts(player_id);
+                `;
+
+                await db.query(createRoundDetailTables);
+                console.log('✅ Tablas round_bets y round_cashouts creadas');
+            }
+        });
+
+        // Migración 10: Tiempos de fase y curva de multiplicadores por ronda
+        this.migrations.push({
+            id: '010_add_round_timing_and_timelines',
+            name: 'Agregar tiempos de fase a game_rounds y tabla round_timelines',
+            up: async () => {
+                console.log('🔧 Agregando tiempos de fase a game_rounds...');
+
+                const addTimingColumns = `
+                    ALTER TABLE game_rounds
+                    ADD COLUMN IF NOT EXISTS bet_phase_started_at TIMESTAMP,
+                    ADD COLUMN IF NOT EXISTS flight_started_at TIMESTAMP,
+                    ADD COLUMN IF NOT EXISTS crashed_at TIMESTAMP,
+                    ADD COLUMN IF NOT EXISTS flight_duration_ms INTEGER,
+                    ADD COLUMN IF NOT EXISTS bet_phase_duration_ms INTEGER;
+                `;
+                await db.query(addTimingColumns);
+
+                const createRoundTimelinesTable = `
+                    CREATE TABLE IF NOT EXISTS round_timelines (
+                        game_round_id INTEGER PRIMARY KEY REFERENCES game_rounds(id) ON DELETE CASCADE,
+                        tick_count INTEGER NOT NULL,
+                        timeline BYTEA NOT NULL,
+                        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                    );
+                `;
+                await db.query(createRoundTimelinesTable);
+
+                console.log('✅ Columnas de tiempos agregadas a game_rounds');
+                console.log('✅ Tabla round_timelines creada');
+            }
+        });
+
+        // Migración 11: Perfil de conexión por bookmaker
+        this.migrations.push({
+            id: '011_add_connection_profile_to_bookmakers',
+            name: 'Agregar columna connection_profile a bookmakers',
+            up: async () => {
+                console.log('🔧 Agregando columna connection_profile a bookmakers...');
+
+                const addConnectionProfileColumn = `
+                    ALTER TABLE bookmakers
+                    ADD COLUMN IF NOT EXISTS connection_profile JSONB;
+                `;
+                await db.query(addConnectionProfileColumn);
+
+                try {
+                    await db.query(`
+                        COMMENT ON COLUMN bookmakers.connection_profile IS 'Perfil de conexión WebSocket: origin, headers, subprotocols, cookies, queryParams, pingIntervalMs, handshakeTimeoutMs (NULL = perfil Spribe)';
+                    `);
+                } catch (error) {
+                    // Ignorar si falla
+                }
+
+                console.log('✅ Columna connection_profile agregada (los bookmakers existentes usan el perfil Spribe)');
+            }
+        });
+
+        // Migración 12: Estrategias de señales configurables
+        this.migrations.push({
+            id: '012_create_strategies_table',
+            name: 'Crear tabla strategies y vincular señales a su estrategia',
+            up: async () => {
+                console.log('📝 Creando tabla strategies...');
+
+                const createStrategiesTable = `
+                    CREATE TABLE IF NOT EXISTS strategies (
+                        id SERIAL PRIMARY KEY,
+                        name VARCHAR(100) NOT NULL,
+                        description TEXT,
+                        conditions JSONB NOT NULL,
+                        target_multiplier DECIMAL(10,2) NOT NULL DEFAULT 1.50,
+                        max_gales INTEGER NOT NULL DEFAULT 1,
+                        cooldown_rounds INTEGER NOT NULL DEFAULT 0,
+                        bookmaker_id INTEGER REFERENCES bookmakers(id) ON DELETE CASCADE,
+                        enabled BOOLEAN NOT NULL DEFAULT true,
+                        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                    );
+
+                    CREATE INDEX IF NOT EXISTS idx_strategies_enabled ON strategies(enabled);
+                `;
+                await db.query(createStrategiesTable);
+
+                // La regla que estaba fija en PatternDetectionService pasa a ser la estrategia por defecto
+                const { rows } = await db.query('SELECT COUNT(*) AS count FROM strategies');
+                if (parseInt(rows[0].count) === 0) {
+                    await db.query(`
+                        INSERT INTO strategies (name, description, conditions, target_multiplier, max_gales, cooldown_rounds)
+                        VALUES ('Clásica 1.50x', 'Patrón >1.50x, >1.50x, <2.00x con objetivo 1.50x y 1 gale',
+                            '[{"op": ">", "value": 1.5}, {"op": ">", "value": 1.5}, {"op": "<", "value": 2}]', 1.50, 1, 0);
+                    `);
+                    console.log('✅ Estrategia por defecto creada');
+                }
+
+                const addStrategyColumns = `
+                    ALTER TABLE signals
+                    ADD COLUMN IF NOT EXISTS strategy_id INTEGER REFERENCES strategies(id) ON DELETE SET NULL,
+                    ADD COLUMN IF NOT EXISTS target_multiplier DECIMAL(10,2) NOT NULL DEFAULT 1.50,
+                    ADD COLUMN IF NOT EXISTS max_gales INTEGER NOT NULL DEFAULT 1;
+
+                    CREATE INDEX IF NOT EXISTS idx_signals_strategy_id ON signals(strategy_id);
+                `;
+                await db.query(addStrategyColumns);
+
+                // Las señales anteriores se emitieron con la regla clásica
+                await db.query(`
+                    UPDATE signals SET strategy_id = (SELECT MIN(id) FROM strategies)
+                    WHERE strategy_id IS NULL;
+                `);
+
+                console.log('✅ Tabla strategies creada y señales vinculadas');
+            }
+        });
+
+        // Migración 13: Gales ilimitados, cada intento en signal_results
+        this.migrations.push({
+            id: '013_add_signal_attempt_tracking',
+            name: 'Agregar attempts_count y winning_attempt a signals',
+            up: async () => {
+                console.log('🔧 Agregando seguimiento de intentos a signals...');
+
+                const addAttemptColumns = `
+                    ALTER TABLE signals
+                    ADD COLUMN IF NOT EXISTS attempts_count INTEGER NOT NULL DEFAULT 0,
+                    ADD COLUMN IF NOT EXISTS winning_attempt INTEGER;
+
+                    CREATE INDEX IF NOT EXISTS idx_signals_winning_attempt ON signals(winning_attempt);
+                `;
+                await db.query(addAttemptColumns);
+
+                // Señales anteriores: intentos a partir de first/second_attempt_result
+                await db.query(`
+                    UPDATE signals
+                    SET attempts_count = (CASE WHEN first_attempt_result IS NOT NULL THEN 1 ELSE 0 END)
+                                       + (CASE WHEN second_attempt_result IS NOT NULL THEN 1 ELSE 0 END),
+                        winning_attempt = CASE
+                            WHEN status = 'won' AND second_attempt_result IS NOT NULL THEN 2
+                            WHEN status = 'won' THEN 1
+                        END
+                    WHERE attempts_count = 0;
+                `);
+
+                // Completar signal_results para las señales que no tengan sus intentos registrados
+                await db.query(`
+                    INSERT INTO signal_results (signal_id, attempt_number, result_multiplier, is_win, result_timestamp)
+                    SELECT s.id, a.attempt_number, a.result, a.result > s.target_multiplier, COALESCE(a.result_timestamp, s.updated_at)
+                    FROM signals s
+                    CROSS JOIN LATERAL (VALUES
+                        (1, s.first_attempt_result, s.first_attempt_timestamp),
+                        (2, s.second_attempt_result, s.second_attempt_timestamp)
+                    ) AS a(attempt_number, result, result_timestamp)
+                    WHERE a.result IS NOT NULL
+                      AND NOT EXISTS (
+                        SELECT 1 FROM signal_results sr
+                        WHERE sr.signal_id = s.id AND sr.attempt_number = a.attempt_number
+                      );
+                `);
+
+                console.log('✅ Seguimiento de intentos agregado a signals');
+            }
+        });
+
+        // Migración 14: Motivo de cierre de señales (expired tras reinicio)
+        this.migrations.push({
+            id: '014_add_signal_status_reason',
+            name: 'Agregar status_reason a signals',
+            up: async () => {
+                console.log('🔧 Agregando status_reason a signals...');
+
+                const addStatusReason = `
+                    ALTER TABLE signals
+                    ADD COLUMN IF NOT EXISTS status_reason VARCHAR(100);
+                `;
+                await db.query(addStatusReason);
+
+                console.log('✅ status_reason agregado a signals');
+            }
+        });
+
+        // Migración 15: Ventana de validez de señales (void)
+        this.migrations.push({
+            id: '015_add_signal_validity_window',
+            name: 'Agregar validity_seconds a strategies y signals, y expires_at a signals',
+            up: async () => {
+                console.log('🔧 Agregando ventana de validez de señales...');
+
+                const addValidityColumns = `
+                    ALTER TABLE strategies
+                    ADD COLUMN IF NOT EXISTS validity_seconds INTEGER NOT NULL DEFAULT 180;
+
+                    ALTER TABLE signals
+                    ADD COLUMN IF NOT EXISTS validity_seconds INTEGER NOT NULL DEFAULT 180,
+                    ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+                `;
+                await db.query(addValidityColumns);
+
+                // Señales pendientes existentes: la ventana cuenta desde su última actividad
+                await db.query(`
+                    UPDATE signals
+                    SET expires_at = COALESCE(updated_at, signal_timestamp) + validity_seconds * INTERVAL '1 second'
+                    WHERE status = 'pending' AND expires_at IS NULL;
+                `);
+
+                console.log('✅ Ventana de validez agregada');
+            }
+        });
+
+        // Migración 16: Ronda tras la que se emitió cada señal (verificación con huecos)
+        this.migrations.push({
+            id: '016_add_signal_after_round_id',
+            name: 'Agregar after_round_id a signals',
+            up: async () => {
+                console.log('🔧 Agregando after_round_id a signals...');
+
+                const addAfterRoundId = `
+                    ALTER TABLE signals
+                    ADD COLUMN IF NOT EXISTS after_round_id VARCHAR(255);
+                `;
+                await db.query(addAfterRoundId);
+
+                console.log('✅ after_round_id agregado a signals');
+            }
+        });
+
+        // Migración 17: Webhooks firmados (suscripciones, entregas y dead letters)
+        this.migrations.push({
+            id: '017_create_webhook_tables',
+            name: 'Crear tablas webhook_subscriptions, webhook_deliveries y webhook_dead_letters',
+            up: async () => {
+                console.log('📝 Creando tablas de webhooks...');
+
+                const createWebhookTables = `
+                    CREATE TABLE IF NOT EXISTS webhook_subscriptions (
+                        id SERIAL PRIMARY KEY,
+                        url TEXT NOT NULL,
+                        event_types TEXT[] NOT NULL,
+                        bookmaker_id INTEGER REFERENCES bookmakers(id) ON DELETE CASCADE,
+                        secret VARCHAR(255) NOT NULL,
+                        description TEXT,
+                        enabled BOOLEAN NOT NULL DEFAULT true,
+                        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                    );
+
+                    CREATE TABLE IF NOT EXISTS webhook_deliveries (
+                        id BIGSERIAL PRIMARY KEY,
+                        subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+                        event_type VARCHAR(50) NOT NULL,
+                        payload JSONB NOT NULL,
+                        status VARCHAR(20) NOT NULL DEFAULT 'pending',
+                        attempts INTEGER NOT NULL DEFAULT 0,
+                        last_status_code INTEGER,
+                        last_error TEXT,
+                        next_attempt_at TIMESTAMP,
+                        delivered_at TIMESTAMP,
+                        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+                        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                    );
+
+                    CREATE TABLE IF NOT EXISTS webhook_dead_letters (
+                        id BIGSERIAL PRIMARY KEY,
+                        delivery_id BIGINT REFERENCES webhook_deliveries(id) ON DELETE SET NULL,
+                        subscription_id INTEGER NOT NULL REFERENCES webhook_subscriptions(id) ON DELETE CASCADE,
+                        event_type VARCHAR(50) NOT NULL,
+                        payload JSONB NOT NULL,
+                        attempts INTEGER NOT NULL,
+                        last_status_code INTEGER,
+                        last_error TEXT,
+                        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+                    );
+
+                    CREATE INDEX IF NOT EXISTS idx_webhook_subscriptions_enabled ON webhook_subscriptions(enabled);
+                    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_subscription_id ON webhook_deliveries(subscription_id, created_at);
+                    CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+                    CREATE INDEX IF NOT EXISTS idx_webhook_dead_letters_subscription_id ON webhook_dead_letters(subscription_id);
+                `;
+                await db.query(createWebhookTables);
+
+                console.log('✅ Tablas de webhooks creadas');
+            }
+        });
+
+        // Migración 18: Ventana, objetivo y rondas de las predicciones por hora
+        this.migrations.push({
+            id: '018_add_prediction_window_columns',
+            name: 'Agregar ventana, objetivo y rondas a predictions',
+            up: async () => {
+                console.log('🔧 Agregando columnas de ventana a predictions...');
+
+                const addPredictionColumns = `
+                    ALTER TABLE predictions
+                    ADD COLUMN IF NOT EXISTS window_seconds INTEGER,
+                    ADD COLUMN IF NOT EXISTS target_multiplier DECIMAL(10,2),
+                    ADD COLUMN IF NOT EXISTS trigger_round_id VARCHAR(255),
+                    ADD COLUMN IF NOT EXISTS final_round_id VARCHAR(255),
+                    ADD COLUMN IF NOT EXISTS status_reason VARCHAR(100);
+                `;
+                await db.query(addPredictionColumns);
+
+                console.log('✅ Columnas de ventana agregadas a predictions');
+            }
+        });
     }
 
     async runMigrations() {
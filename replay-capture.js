@@ -0,0 +1,158 @@
+/**
+ * REPLAY DE CAPTURAS
+ *
+ * Reproduce un archivo de captura (ver src/services/Aviator/frameCaptureService.js)
+ * a través del mismo flujo de procesamiento de mensajes que usa la conexión en vivo
+ * (WebSocketService.handleMessage), guardando las rondas en una base de datos de pruebas.
+ *
+ * Uso:
+ *   node replay-capture.js <archivo.jsonl> --database <url> [--speed 1] [--migrate] [--bookmaker <id>] [--outbox <archivo>]
+ *
+ * Opciones:
+ *   --database   URL de PostgreSQL de pruebas (o variable REPLAY_DATABASE_URL). Obligatoria:
+ *                nunca se usa la base de datos por defecto de src/config/database.js
+ *   --speed      Factor de velocidad respecto a los tiempos originales (default: 1).
+ *                0 reproduce los frames sin esperas
+ *   --migrate    Ejecutar las migraciones en la base de datos de pruebas antes del replay
+ *   --bookmaker  Guardar las rondas con otro bookmaker_id distinto al de la captura
+ *   --outbox     Outbox de las rondas que fallen al guardarse (default: data/replay_outbox.jsonl).
+ *                Nunca se usa el outbox del servidor (ROUND_OUTBOX_FILE), que el flusher en vivo
+ *                reintentaría contra la base de datos de producción
+ */
+
+const path = require('path');
+
+function parseArgs(argv) {
+  const args = {
+    file: null,
+    database: process.env.REPLAY_DATABASE_URL || null,
+    speed: 1,
+    migrate: false,
+    bookmaker: null,
+    outbox: path.join(process.cwd(), 'data', 'replay_outbox.jsonl')
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '--database') args.database = argv[++i];
+    else if (arg === '--speed') args.speed = parseFloat(argv[++i]);
+    else if (arg === '--migrate') args.migrate = true;
+    else if (arg === '--bookmaker') args.bookmaker = parseInt(argv[++i]);
+    else if (arg === '--outbox') args.outbox = path.resolve(argv[++i]);
+    else if (!args.file) args.file = arg;
+  }
+
+  return args;
+}
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+// Socket.IO simulado: registra los eventos emitidos en lugar de enviarlos
+function createReplayIo(emitted) {
+  const emitter = {
+    emit: (event) => {
+      emitted[event] = (emitted[event] || 0) + 1;
+    }
+  };
+  return {
+    ...emitter,
+    to: () => emitter,
+    on: () => {}
+  };
+}
+
+async function main() {
+  const args = parseArgs(process.argv.slice(2));
+
+  if (!args.file) {
+    console.log('📖 Uso: node replay-capture.js <archivo.jsonl> --database <url> [--speed 1] [--migrate] [--bookmaker <id>] [--outbox <archivo>]');
+    process.exit(1);
+  }
+
+  if (!args.database) {
+    console.error('❌ Falta --database (o REPLAY_DATABASE_URL). El replay solo se ejecuta contra una base de datos de pruebas.');
+    process.exit(1);
+  }
+
+  if (!(args.speed >= 0)) {
+    console.error('❌ --speed debe ser un número mayor o igual que 0');
+    process.exit(1);
+  }
+
+  // Debe configurarse antes de cargar cualquier módulo que use la base de datos o el outbox
+  process.env.DATABASE_URL = args.database;
+  process.env.ROUND_OUTBOX_FILE = args.outbox;
+  process.env.ROUND_OUTBOX_DEAD_LETTER_FILE = args.outbox.replace(/(\.jsonl)?$/, '_dead.jsonl');
+
+  const db = require('./src/config/database');
+  const DatabaseMigrator = require('./migrate');
+  const frameCaptureService = require('./src/services/Aviator/frameCaptureService');
+  const webSocketService = require('./src/services/Aviator/webSocketService');
+  const patternDetectionService = require('./src/services/Aviator/patternDetectionService');
+  const roundOutboxService = require('./src/services/Aviator/roundOutboxService');
+
+  const { meta, frames } = frameCaptureService.readCapture(args.file);
+  if (!meta) {
+    console.error(`❌ ${args.file} no tiene línea meta, no es un archivo de captura válido`);
+    process.exit(1);
+  }
+
+  const bookmakerId = args.bookmaker || meta.bookmakerId;
+  const inbound = frames.filter(frame => frame.direction === 'in');
+  console.log(`🎬 Replay de ${args.file}`);
+  console.log(`   Bookmaker: ${meta.bookmakerId} (${meta.name}) → ${bookmakerId}, decoder: ${meta.decoderType}`);
+  console.log(`   Frames: ${frames.length} (${inbound.length} entrantes, ${frames.length - inbound.length} salientes omitidos)`);
+
+  if (args.migrate) {
+    await new DatabaseMigrator().runMigrations();
+  }
+
+  // El bookmaker debe existir por la FK de game_rounds; se crea inactivo para que nada se conecte
+  await db.query(
+    `INSERT INTO bookmakers (id, name, description, active, decoder_type)
+     VALUES ($1, $2, 'Bookmaker de replay', false, $3)
+     ON CONFLICT (id) DO NOTHING`,
+    [bookmakerId, meta.name || `replay_${bookmakerId}`, meta.decoderType]
+  );
+
+  const emitted = {};
+  const io = createReplayIo(emitted);
+  webSocketService.io = io;
+  patternDetectionService.initialize(io);
+  webSocketService.resetRoundData(bookmakerId);
+
+  const bookmaker = {
+    id: bookmakerId,
+    nombre: meta.name,
+    decoder_type: meta.decoderType,
+    second_message: ''
+  };
+  // WebSocket simulado: los frames salientes no se reenvían a ningún proveedor
+  const ws = { send: () => {}, readyState: 1, firstResponseReceived: true };
+
+  let previousTime = null;
+  for (const frame of inbound) {
+    const frameTime = new Date(frame.timestamp).getTime();
+    if (args.speed > 0 && previousTime !== null && frameTime > previousTime) {
+      await sleep((frameTime - previousTime) / args.speed);
+    }
+    previousTime = frameTime;
+
+    // Se usa el instante original del frame para que los tiempos de la ronda no dependan de --speed
+    await webSocketService.handleMessage(bookmaker, ws, Buffer.from(frame.payload, 'base64'), frameTime);
+  }
+
+  console.log('\n✅ Replay completado');
+  console.log('   Eventos emitidos:', emitted);
+  console.log('   Estadísticas:', webSocketService.getStats());
+  const outboxDepth = roundOutboxService.getDepth();
+  if (outboxDepth > 0) {
+    console.warn(`   ⚠️ ${outboxDepth} rondas no se pudieron guardar, quedaron en ${roundOutboxService.filePath}`);
+  }
+  process.exit(0);
+}
+
+main().catch(error => {
+  console.error('❌ Error fatal en replay:', error);
+  process.exit(1);
+});
@@ -6,6 +6,7 @@ const fs = require('fs');
 const aviatorRoutes = require('./src/routes/Aviator/aviatorRoutes');
 const logoRoutes = require('./src/routes/logoRoutes');
 const aviatorWebSocketService = require('./src/services/Aviator/webSocketService');
+const lifecycleManager = require('./src/services/lifecycleManager');
 const DatabaseMigrator = require('./migrate');
 const winston = require('winston');
 const db = require('./src/config/database');
@@ -97,13 +98,9 @@ app.use((req, res, next) => {
 app.use('/api/aviator', aviatorRoutes);
 app.use('/api/logos', logoRoutes);
 
+// joinBookmaker lo registra webSocketService.start(), que además envía el estado de la ronda actual
 io.on('connection', (socket) => {
   console.log('🔌 Cliente conectado:', socket.id);
-  
-  socket.on('joinBookmaker', (bookmakerId) => {
-    socket.join(`bookmaker:${bookmakerId}`);
-    console.log(`📡 Cliente ${socket.id} se unió al bookmaker ${bookmakerId}`);
-  });
 
   socket.on('disconnect', () => {
     console.log('🔌 Cliente desconectado:', socket.id);
@@ -111,7 +108,7 @@ io.on('connection', (socket) => {
 });
 
 // Inicializar servicios
-aviatorWebSocketService.initializeConnections(io);
+aviatorWebSocketService.start(io);
 
 // Configuración de puerto para Railway
 const PORT = process.env.PORT || 3001;
@@ -139,6 +136,16 @@ app.get('/api/cors-info', (req, res) => {
   });
 });
 
+// Apagado ordenado (SIGTERM en deploys, SIGINT con Ctrl+C). Los pasos se ejecutan en este orden
+lifecycleManager.onShutdown('Rechazar nuevos clientes', () => {
+  io.use((socket, next) => next(new Error('Servidor apagándose')));
+  server.close(); // Deja de aceptar conexiones HTTP; las abiertas se cierran con io.close()
+});
+lifecycleManager.onShutdown('Guardar rondas y cerrar bookmakers', () => aviatorWebSocketService.shutdown(), 15000);
+lifecycleManager.onShutdown('Desconectar clientes Socket.IO', () => { io.close(); });
+lifecycleManager.onShutdown('Cerrar pool de PostgreSQL', () => db.close(), parseInt(process.env.DB_DRAIN_TIMEOUT_MS) || 5000);
+lifecycleManager.listen();
+
 // Inicializar la base de datos y luego iniciar el servidor
 async function startServer() {
   await initializeDatabase();
@@ -0,0 +1,300 @@
+/**
+ * SIMULADOR LOCAL DE PROVEEDOR (estilo Spribe)
+ *
+ * Servidor WebSocket que imita un juego crash de Aviator para desarrollar la ingesta
+ * sin tokens de casino. Habla los mismos formatos que decoder.js (SFS) y
+ * decoder-msgpack.js (MessagePack) y emite los comandos que procesa WebSocketService:
+ * changeState, updateCurrentBets, updateCurrentCashOuts, onlinePlayers, x y roundChartInfo.
+ *
+ * Uso:
+ *   node simulate-provider.js [opciones]
+ *
+ * Opciones:
+ *   --port 8090           Puerto del servidor
+ *   --format sfs          Formato de los frames: sfs | msgpack
+ *   --bet-phase 5000      Duración de la fase de apuestas (ms)
+ *   --pause 3000          Pausa entre el crash y la siguiente ronda (ms)
+ *   --tick 100            Intervalo entre multiplicadores 'x' (ms)
+ *   --growth 0.00006      Crecimiento del multiplicador: e^(growth * ms)
+ *   --crash standard      Distribución de crash: standard | fixed:<x> | uniform:<min>:<max>
+ *   --rtp 0.97            RTP de la distribución standard
+ *   --players 500         Jugadores online aproximados
+ *   --round-start 1000000 Primer roundId
+ *   --seed <n>            Semilla para resultados reproducibles
+ *
+ * Para conectar un bookmaker al simulador:
+ *   url_websocket = ws://localhost:8090
+ *   decoder_type  = sfs | msgpack (el mismo formato que --format)
+ *   first_message, second_message, third_message = cualquier base64 válido (el simulador no los valida)
+ */
+
+const WebSocket = require('ws');
+const { encodeCommand, encodeSfsMessage, encodeMessagePackMessage } = require('./src/services/Aviator/encoder');
+
+const DEFAULTS = {
+  port: 8090,
+  format: 'sfs',
+  betPhase: 5000,
+  pause: 3000,
+  tick: 100,
+  growth: 0.00006,
+  crash: 'standard',
+  rtp: 0.97,
+  players: 500,
+  roundStart: 1000000,
+  seed: null
+};
+
+function parseArgs(argv) {
+  const options = { ...DEFAULTS };
+  const numeric = {
+    '--port': 'port',
+    '--bet-phase': 'betPhase',
+    '--pause': 'pause',
+    '--tick': 'tick',
+    '--growth': 'growth',
+    '--rtp': 'rtp',
+    '--players': 'players',
+    '--round-start': 'roundStart',
+    '--seed': 'seed'
+  };
+
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (numeric[arg]) {
+      options[numeric[arg]] = parseFloat(argv[++i]);
+    } else if (arg === '--format') {
+      options.format = argv[++i];
+    } else if (arg === '--crash') {
+      options.crash = argv[++i];
+    }
+  }
+
+  if (!['sfs', 'msgpack'].includes(options.format)) {
+    throw new Error(`Formato no soportado: ${options.format} (usa sfs o msgpack)`);
+  }
+
+  return options;
+}
+
+// Generador pseudoaleatorio con semilla (mulberry32)
+function createRandom(seed) {
+  if (seed === null || isNaN(seed)) return Math.random;
+
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Crear la función que genera el multiplicador de crash de cada ronda
+ * - standard: P(crash >= x) = rtp / x (distribución habitual de los juegos crash)
+ * - fixed:<x>: siempre el mismo multiplicador
+ * - uniform:<min>:<max>: uniforme entre min y max
+ */
+function createCrashGenerator(spec, rtp, random) {
+  const [type, ...params] = spec.split(':');
+
+  if (type === 'fixed') {
+    const value = parseFloat(params[0]);
+    if (!(value >= 1)) throw new Error(`Multiplicador fijo inválido: ${params[0]}`);
+    return () => value;
+  }
+
+  if (type === 'uniform') {
+    const min = parseFloat(params[0]);
+    const max = parseFloat(params[1]);
+    if (!(min >= 1) || !(max > min)) throw new Error(`Rango uniforme inválido: ${params.join(':')}`);
+    return () => Math.floor((min + random() * (max - min)) * 100) / 100;
+  }
+
+  if (type === 'standard') {
+    return () => {
+      const crash = Math.floor((rtp / (1 - random())) * 100) / 100;
+      return Math.max(1, crash);
+    };
+  }
+
+  throw new Error(`Distribución de crash no soportada: ${spec}`);
+}
+
+class ProviderSimulator {
+  constructor(options) {
+    this.options = options;
+    this.random = createRandom(options.seed);
+    this.nextCrash = createCrashGenerator(options.crash, options.rtp, this.random);
+    this.clients = new Set();
+    this.roundId = options.roundStart;
+    this.timers = new Set();
+    this.server = null;
+  }
+
+  start() {
+    this.server = new WebSocket.Server({ port: this.options.port });
+
+    this.server.on('connection', (ws, req) => {
+      console.log(`[Simulator] 🔌 Cliente conectado desde ${req.socket.remoteAddress}`);
+      ws.framesReceived = 0;
+
+      ws.on('message', () => {
+        ws.framesReceived++;
+        // 1er frame: handshake, 2do: login, siguientes: ping
+        if (ws.framesReceived === 1) {
+          this.sendRaw(ws, { c: 0, a: 0, p: { ct: 1024, ms: 500000, tk: 'simulator' } });
+        } else if (ws.framesReceived === 2) {
+          this.sendRaw(ws, { c: 0, a: 1, p: { zn: 'aviator_simulator', un: 'simulator' } });
+          this.clients.add(ws);
+          this.sendCommand(ws, 'onlinePlayers', { onlinePlayers: this.onlinePlayers() });
+        } else {
+          this.sendCommand(ws, 'PING_RESPONSE', {});
+        }
+      });
+
+      ws.on('close', () => {
+        this.clients.delete(ws);
+        console.log('[Simulator] 🔌 Cliente desconectado');
+      });
+    });
+
+    console.log(`[Simulator] 🛩️ Simulador escuchando en ws://localhost:${this.options.port} (formato ${this.options.format}, crash ${this.options.crash})`);
+    this.every(5000, () => this.broadcast('onlinePlayers', { onlinePlayers: this.onlinePlayers() }));
+    this.runRound();
+  }
+
+  stop() {
+    for (const timer of this.timers) clearTimeout(timer);
+    this.timers.clear();
+    if (this.server) {
+      this.server.close();
+      this.server = null;
+    }
+  }
+
+  async runRound() {
+    const { betPhase, pause, tick, growth } = this.options;
+    const roundId = this.roundId++;
+    const crashX = this.nextCrash();
+    const bets = [];
+
+    // Fase 1: apuestas abiertas
+    this.broadcast('changeState', { newStateId: 1, roundId });
+    const betUpdates = Math.max(1, Math.floor(betPhase / 1000));
+    for (let i = 0; i < betUpdates; i++) {
+      bets.push(...this.generateBets(roundId, bets.length));
+      this.broadcast('updateCurrentBets', { betsCount: bets.length, bets });
+      await this.wait(betPhase / betUpdates);
+    }
+
+    // Fase 2: vuelo
+    this.broadcast('changeState', { newStateId: 2, roundId });
+    const startedAt = Date.now();
+    const pendingCashouts = bets
+      .map(bet => ({ bet, target: 1 + Math.floor(this.random() * this.random() * 500) / 100 }))
+      .filter(entry => entry.target < crashX);
+    const cashouts = [];
+
+    let multiplier = 1;
+    while (multiplier < crashX) {
+      await this.wait(tick);
+      multiplier = Math.min(crashX, Math.floor(Math.exp(growth * (Date.now() - startedAt)) * 100) / 100);
+      if (multiplier >= crashX) break;
+
+      this.broadcast('x', { x: multiplier, roundId });
+
+      const newCashouts = pendingCashouts.filter(entry => !entry.done && entry.target <= multiplier);
+      if (newCashouts.length > 0) {
+        for (const entry of newCashouts) {
+          entry.done = true;
+          cashouts.push({
+            player_id: entry.bet.player_id,
+            betId: entry.bet.betId,
+            multiplier: entry.target,
+            winAmount: Math.round(entry.bet.bet * entry.target * 100) / 100
+          });
+        }
+        this.broadcast('updateCurrentCashOuts', { cashouts });
+      }
+    }
+
+    // Fase 3: crash
+    this.broadcast('x', { crashX, roundId });
+    this.broadcast('changeState', { newStateId: 3, roundId, crashX });
+    this.broadcast('roundChartInfo', { roundId, maxMultiplier: crashX });
+    console.log(`[Simulator] 💥 Ronda ${roundId} terminó en ${crashX.toFixed(2)}x (${bets.length} apuestas, ${cashouts.length} cashouts)`);
+
+    await this.wait(pause);
+    if (this.server) this.runRound();
+  }
+
+  generateBets(roundId, offset) {
+    const count = 1 + Math.floor(this.random() * 20);
+    return Array.from({ length: count }, (_, i) => ({
+      player_id: `sim_${Math.floor(this.random() * this.options.players * 10)}`,
+      betId: roundId * 1000 + offset + i,
+      bet: Math.round((1 + this.random() * 99) * 100) / 100,
+      currency: 'USD'
+    }));
+  }
+
+  onlinePlayers() {
+    const { players } = this.options;
+    return Math.round(players * (0.9 + this.random() * 0.2));
+  }
+
+  broadcast(command, params) {
+    const frame = encodeCommand(command, params, this.options.format);
+    for (const ws of this.clients) {
+      if (ws.readyState === WebSocket.OPEN) ws.send(frame);
+    }
+  }
+
+  sendCommand(ws, command, params) {
+    ws.send(encodeCommand(command, params, this.options.format));
+  }
+
+  // Respuestas de sistema (handshake, login) que no son comandos de extensión
+  sendRaw(ws, obj) {
+    const frame = this.options.format === 'msgpack' ? encodeMessagePackMessage(obj) : encodeSfsMessage(obj);
+    ws.send(frame);
+  }
+
+  wait(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        resolve();
+      }, ms);
+      this.timers.add(timer);
+    });
+  }
+
+  async every(ms, fn) {
+    while (this.server) {
+      await this.wait(ms);
+      fn();
+    }
+  }
+}
+
+if (require.main === module) {
+  try {
+    const simulator = new ProviderSimulator(parseArgs(process.argv.slice(2)));
+    simulator.start();
+
+    process.on('SIGINT', () => {
+      console.log('\n[Simulator] 👋 Deteniendo simulador');
+      simulator.stop();
+      process.exit(0);
+    });
+  } catch (error) {
+    console.error('❌ Error iniciando simulador:', error.message);
+    process.exit(1);
+  }
+}
+
+module.exports = { ProviderSimulator, createCrashGenerator, parseArgs, DEFAULTS };
@@ -97,4 +97,10 @@ module.exports = {
       }
     }
   },
+
+  // Cerrar el pool esperando a que terminen las consultas en curso (apagado del servidor)
+  close: async () => {
+    await pool.end();
+    console.log('🔌 Pool de PostgreSQL cerrado');
+  },
 };
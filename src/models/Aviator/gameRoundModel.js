@@ -222,6 +222,50 @@ const GameRound = {
     const sorted = rows.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
     return sorted.slice(0, limit);
   },
+
+  /**
+   * Primeros `limit` resultados de un bookmaker desde `from`, del más antiguo al más reciente
+   * (verificación de señales y predicciones). Un resultado por round_id, como getLastResults
+   */
+  async getResultsInRange(bookmaker_id, from, to, limit) {
+    const query = `
+      SELECT round_id, max_multiplier, timestamp
+      FROM (
+        SELECT DISTINCT ON (round_id) round_id, max_multiplier, timestamp
+        FROM game_rounds
+        WHERE bookmaker_id = $1 AND timestamp >= $2 AND timestamp < $3
+        ORDER BY round_id, timestamp DESC
+      ) rounds
+      ORDER BY timestamp ASC
+      LIMIT $4
+    `;
+    const { rows } = await db.query(query, [bookmaker_id, from, to, limit]);
+    return rows;
+  },
+
+  /**
+   * Historial de un bookmaker en un rango de fechas para análisis (backtest, distribución, equidad).
+   * Si el rango tiene más de `limit` rondas se conservan las más recientes y se marca `truncated`
+   * @returns {Promise<{ rounds: Array<Object>, totalRounds: number, truncated: boolean }>}
+   *          rounds del más antiguo al más reciente; totalRounds = rondas del rango completo
+   */
+  async getRangeHistory(bookmaker_id, from, to, limit = 200000) {
+    const query = `
+      SELECT round_id, max_multiplier, timestamp, COUNT(*) OVER () AS total_rounds
+      FROM (
+        SELECT DISTINCT ON (round_id) round_id, max_multiplier, timestamp
+        FROM game_rounds
+        WHERE bookmaker_id = $1 AND timestamp >= $2 AND timestamp < $3
+        ORDER BY round_id, timestamp DESC
+      ) rounds
+      ORDER BY timestamp DESC
+      LIMIT $4
+    `;
+    const { rows } = await db.query(query, [bookmaker_id, from, to, limit]);
+    const totalRounds = rows.length > 0 ? parseInt(rows[0].total_rounds) : 0;
+    const rounds = rows.reverse().map(({ total_rounds, ...round }) => round);
+    return { rounds, totalRounds, truncated: totalRounds > rounds.length };
+  },
 };
 
 module.exports = GameRound;
\ No newline at end of file
@@ -0,0 +1,126 @@
+const db = require('../../config/database');
+
+const PredictionModel = {
+  /**
+   * Programar una predicción para una hora futura
+   * @param {Object} prediction - { triggerResult, triggerTime, triggerRoundId, predictionTime, windowSeconds, targetMultiplier }
+   */
+  async createPrediction(bookmakerId, prediction) {
+    const query = `
+      INSERT INTO predictions (
+        bookmaker_id, prediction_time, prediction_date, status, trigger_result, trigger_time, trigger_round_id,
+        window_seconds, target_multiplier
+      )
+      VALUES ($1, $2, ($2::timestamp)::date, 'pending', $3, $4, $5, $6, $7)
+      RETURNING *
+    `;
+    const values = [
+      bookmakerId,
+      prediction.predictionTime,
+      prediction.triggerResult,
+      prediction.triggerTime,
+      prediction.triggerRoundId,
+      prediction.windowSeconds,
+      prediction.targetMultiplier
+    ];
+    const { rows } = await db.query(query, values);
+    return rows[0];
+  },
+
+  /**
+   * Abrir la ventana de entrada
+   * @returns {Object|undefined} - Predicción actualizada (undefined si ya no estaba pendiente)
+   */
+  async activatePrediction(predictionId) {
+    const query = `
+      UPDATE predictions
+      SET status = 'active', entry_time = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'pending'
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [predictionId]);
+    return rows[0];
+  },
+
+  /**
+   * Resolver una predicción con la ronda que cayó en su ventana
+   * @param {string} status - won | lost
+   * @returns {Object|undefined} - Predicción actualizada (undefined si ya estaba cerrada)
+   */
+  async resolvePrediction(predictionId, status, finalResult, finalRoundId, finalTime) {
+    const query = `
+      UPDATE predictions
+      SET status = $2, final_result = $3, final_round_id = $4, final_time = $5,
+          entry_time = COALESCE(entry_time, prediction_time), updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status IN ('pending', 'active')
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [predictionId, status, finalResult, finalRoundId, finalTime]);
+    return rows[0];
+  },
+
+  /**
+   * Cerrar una predicción sin resultado (ninguna ronda en la ventana)
+   * @returns {Object|undefined} - Predicción actualizada (undefined si ya estaba cerrada)
+   */
+  async expirePrediction(predictionId, reason) {
+    const query = `
+      UPDATE predictions
+      SET status = 'expired', status_reason = $2, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status IN ('pending', 'active')
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [predictionId, reason]);
+    return rows[0];
+  },
+
+  /**
+   * Predicciones pendientes o activas, de la más reciente a la más antigua (de todos si bookmakerId es null)
+   */
+  async getOpenPredictions(bookmakerId = null) {
+    const where = bookmakerId ? 'bookmaker_id = $1 AND' : '';
+    const query = `
+      SELECT * FROM predictions
+      WHERE ${where} status IN ('pending', 'active')
+      ORDER BY prediction_time DESC
+    `;
+    const { rows } = await db.query(query, bookmakerId ? [bookmakerId] : []);
+    return rows;
+  },
+
+  async getPredictions({ bookmakerId = null, status = null, limit = 100 } = {}) {
+    const values = [limit];
+    const filters = [];
+    if (bookmakerId) filters.push(`bookmaker_id = $${values.push(bookmakerId)}`);
+    if (status) filters.push(`status = $${values.push(status)}`);
+
+    const query = `
+      SELECT * FROM predictions
+      ${filters.length > 0 ? `WHERE ${filters.join(' AND ')}` : ''}
+      ORDER BY prediction_time DESC
+      LIMIT $1
+    `;
+    const { rows } = await db.query(query, values);
+    return rows;
+  },
+
+  async getPredictionStats(bookmakerId = null) {
+    const where = bookmakerId ? 'WHERE bookmaker_id = $1' : '';
+    const query = `
+      SELECT
+        COUNT(*) as total_predictions,
+        COUNT(CASE WHEN status = 'won' THEN 1 END) as won_predictions,
+        COUNT(CASE WHEN status = 'lost' THEN 1 END) as lost_predictions,
+        COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_predictions,
+        COUNT(CASE WHEN status = 'active' THEN 1 END) as active_predictions,
+        COUNT(CASE WHEN status = 'expired' THEN 1 END) as expired_predictions,
+        AVG(CASE WHEN status IN ('won', 'lost') THEN final_result END) as avg_final_result
+      FROM predictions
+      ${where}
+    `;
+    const { rows } = await db.query(query, bookmakerId ? [bookmakerId] : []);
+    return rows[0];
+  }
+};
+
+module.exports = PredictionModel;
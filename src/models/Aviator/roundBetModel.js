@@ -0,0 +1,105 @@
+const db = require('../../config/database');
+
+const RoundBetModel = {
+  /**
+   * Guardar el detalle de apuestas y cashouts de una ronda ya guardada en game_rounds
+   * Inserción en bloque con unnest: una consulta por tabla sin importar el número de filas
+   * @param {Object} gameRound - Fila de game_rounds (id, bookmaker_id, round_id)
+   * @param {Array<Object>} bets - Apuestas normalizadas por RoundStateMachine
+   * @param {Array<Object>} cashouts - Cashouts normalizados por RoundStateMachine
+   */
+  async saveRoundDetails(gameRound, bets = [], cashouts = []) {
+    let betsSaved = 0;
+    let cashoutsSaved = 0;
+
+    if (bets.length > 0) {
+      const query = `
+        INSERT INTO round_bets (game_round_id, bookmaker_id, round_id, player_id, bet_id, amount, currency, auto_cashout)
+        SELECT $1, $2, $3, b.player_id, b.bet_id, b.amount, b.currency, b.auto_cashout
+        FROM unnest($4::TEXT[], $5::TEXT[], $6::NUMERIC[], $7::TEXT[], $8::NUMERIC[])
+          AS b(player_id, bet_id, amount, currency, auto_cashout)
+        ON CONFLICT (game_round_id, player_id, bet_id) DO NOTHING
+      `;
+      const values = [
+        gameRound.id,
+        gameRound.bookmaker_id,
+        gameRound.round_id,
+        bets.map(bet => bet.playerId),
+        bets.map(bet => bet.betId),
+        bets.map(bet => bet.amount),
+        bets.map(bet => bet.currency),
+        bets.map(bet => bet.autoCashout)
+      ];
+      const result = await db.query(query, values);
+      betsSaved = result.rowCount;
+    }
+
+    if (cashouts.length > 0) {
+      const query = `
+        INSERT INTO round_cashouts (game_round_id, bookmaker_id, round_id, player_id, bet_id, multiplier, win_amount, cashed_out_at)
+        SELECT $1, $2, $3, c.player_id, c.bet_id, c.multiplier, c.win_amount, to_timestamp(c.cashed_out_at / 1000.0)
+        FROM unnest($4::TEXT[], $5::TEXT[], $6::NUMERIC[], $7::NUMERIC[], $8::BIGINT[])
+          AS c(player_id, bet_id, multiplier, win_amount, cashed_out_at)
+        ON CONFLICT (game_round_id, player_id, bet_id, multiplier) DO NOTHING
+      `;
+      const values = [
+        gameRound.id,
+        gameRound.bookmaker_id,
+        gameRound.round_id,
+        cashouts.map(cashout => cashout.playerId),
+        cashouts.map(cashout => cashout.betId),
+        cashouts.map(cashout => cashout.multiplier),
+        cashouts.map(cashout => cashout.winAmount),
+        cashouts.map(cashout => cashout.cashedOutAt || Date.now())
+      ];
+      const result = await db.query(query, values);
+      cashoutsSaved = result.rowCount;
+    }
+
+    return { betsSaved, cashoutsSaved };
+  },
+
+  /**
+   * Apuestas de una ronda con su cashout (si lo hubo) y la lista completa de cashouts
+   */
+  async getRoundDetails(bookmakerId, roundId) {
+    const roundQuery = `
+      SELECT id, bookmaker_id, round_id, bets_count, total_bet_amount, max_multiplier, total_cashout, casino_profit, timestamp
+      FROM game_rounds
+      WHERE bookmaker_id = $1 AND round_id = $2
+      LIMIT 1
+    `;
+    const { rows: roundRows } = await db.query(roundQuery, [bookmakerId, roundId]);
+    const round = roundRows[0];
+    if (!round) return null;
+
+    const betsQuery = `
+      SELECT b.player_id, b.bet_id, b.amount, b.currency, b.auto_cashout,
+        c.multiplier AS cashout_multiplier, c.win_amount, c.cashed_out_at
+      FROM round_bets b
+      LEFT JOIN round_cashouts c
+        ON c.game_round_id = b.game_round_id AND c.player_id = b.player_id AND c.bet_id = b.bet_id
+      WHERE b.game_round_id = $1
+      ORDER BY b.amount DESC
+    `;
+    const cashoutsQuery = `
+      SELECT player_id, bet_id, multiplier, win_amount, cashed_out_at
+      FROM round_cashouts
+      WHERE game_round_id = $1
+      ORDER BY multiplier ASC
+    `;
+
+    const [bets, cashouts] = await Promise.all([
+      db.query(betsQuery, [round.id]),
+      db.query(cashoutsQuery, [round.id])
+    ]);
+
+    return {
+      round,
+      bets: bets.rows,
+      cashouts: cashouts.rows
+    };
+  }
+};
+
+module.exports = RoundBetModel;
@@ -0,0 +1,120 @@
+const db = require('../../config/database');
+
+// Solo los round_id numéricos forman una secuencia (los temp_ / round_ quedan en NULL).
+// CASE en lugar de WHERE + cast: PostgreSQL no garantiza el orden de evaluación de las condiciones
+const numericRoundId = (alias = '') => `(CASE WHEN ${alias}round_id ~ '^[0-9]{1,15}$' THEN ${alias}round_id::BIGINT END)`;
+
+// Rondas de un hueco (alias g) guardadas después de detectarlo
+const recoveredRounds = `
+  CROSS JOIN LATERAL (
+    SELECT COUNT(DISTINCT gr.round_id)::INTEGER AS count
+    FROM game_rounds gr
+    WHERE gr.bookmaker_id = g.bookmaker_id
+      AND ${numericRoundId('gr.')} BETWEEN g.from_round_id AND g.to_round_id
+  ) recovered
+`;
+
+const RoundGapModel = {
+  /**
+   * Registrar un rango de rondas faltantes
+   * @param {number} bookmakerId
+   * @param {number} fromRoundId - Primera ronda faltante
+   * @param {number} toRoundId - Última ronda faltante
+   * @param {string} previousRoundId - Última ronda guardada antes del hueco
+   * @param {string} nextRoundId - Ronda guardada que reveló el hueco
+   */
+  async recordGap(bookmakerId, fromRoundId, toRoundId, previousRoundId, nextRoundId) {
+    const query = `
+      INSERT INTO round_gaps (bookmaker_id, from_round_id, to_round_id, missing_count, previous_round_id, next_round_id)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      ON CONFLICT (bookmaker_id, from_round_id) DO NOTHING
+      RETURNING *
+    `;
+    const values = [bookmakerId, fromRoundId, toRoundId, toRoundId - fromRoundId + 1, previousRoundId, nextRoundId];
+    const { rows } = await db.query(query, values);
+    return rows[0] || null;
+  },
+
+  /**
+   * Último round_id numérico guardado de un bookmaker anterior a una ronda (punto de partida tras un reinicio)
+   */
+  async getLastNumericRoundId(bookmakerId, beforeRoundId) {
+    const query = `
+      SELECT MAX(${numericRoundId()}) AS last_round_id
+      FROM game_rounds
+      WHERE bookmaker_id = $1 AND ${numericRoundId()} < $2
+    `;
+    const { rows } = await db.query(query, [bookmakerId, beforeRoundId]);
+    return rows[0].last_round_id !== null ? Number(rows[0].last_round_id) : null;
+  },
+
+  /**
+   * Huecos de un bookmaker con las rondas recuperadas después (outbox, replay...)
+   */
+  async getGapsByBookmaker(bookmakerId, limit = 50) {
+    const query = `
+      SELECT g.*,
+        recovered.count AS recovered_count,
+        g.missing_count - recovered.count AS still_missing
+      FROM round_gaps g
+      ${recoveredRounds}
+      WHERE g.bookmaker_id = $1
+      ORDER BY g.from_round_id DESC
+      LIMIT $2
+    `;
+    const { rows } = await db.query(query, [bookmakerId, limit]);
+    return rows;
+  },
+
+  /**
+   * Resumen de huecos y cobertura de la secuencia de rondas
+   * La cobertura compara las rondas guardadas con todas las esperadas entre la primera y la última.
+   * missing_rounds descuenta las rondas recuperadas después (outbox)
+   */
+  async getGapSummary(bookmakerId) {
+    const coverageQuery = `
+      SELECT
+        MIN(${numericRoundId()}) AS first_round_id,
+        MAX(${numericRoundId()}) AS last_round_id,
+        COUNT(DISTINCT ${numericRoundId()}) AS saved_rounds
+      FROM game_rounds
+      WHERE bookmaker_id = $1
+    `;
+    const gapsQuery = `
+      SELECT
+        COUNT(*) AS gap_count,
+        COUNT(CASE WHEN g.missing_count > recovered.count THEN 1 END) AS open_gap_count,
+        COALESCE(SUM(g.missing_count - recovered.count), 0) AS missing_rounds,
+        COALESCE(SUM(recovered.count), 0) AS recovered_rounds,
+        MAX(g.detected_at) AS last_gap_at
+      FROM round_gaps g
+      ${recoveredRounds}
+      WHERE g.bookmaker_id = $1
+    `;
+
+    const [coverage, gaps] = await Promise.all([
+      db.query(coverageQuery, [bookmakerId]),
+      db.query(gapsQuery, [bookmakerId])
+    ]);
+
+    const { first_round_id, last_round_id, saved_rounds } = coverage.rows[0];
+    const savedRounds = parseInt(saved_rounds) || 0;
+    const expectedRounds = first_round_id !== null ? Number(last_round_id) - Number(first_round_id) + 1 : 0;
+
+    return {
+      gap_count: parseInt(gaps.rows[0].gap_count) || 0,
+      open_gap_count: parseInt(gaps.rows[0].open_gap_count) || 0,
+      missing_rounds: parseInt(gaps.rows[0].missing_rounds) || 0,
+      recovered_rounds: parseInt(gaps.rows[0].recovered_rounds) || 0,
+      last_gap_at: gaps.rows[0].last_gap_at,
+      first_round_id: first_round_id !== null ? String(first_round_id) : null,
+      last_round_id: last_round_id !== null ? String(last_round_id) : null,
+      saved_rounds: savedRounds,
+      expected_rounds: expectedRounds,
+      unaccounted_rounds: Math.max(0, expectedRounds - savedRounds),
+      coverage_percentage: expectedRounds > 0 ? parseFloat((savedRounds / expectedRounds * 100).toFixed(2)) : null
+    };
+  }
+};
+
+module.exports = RoundGapModel;
@@ -0,0 +1,66 @@
+const db = require('../../config/database');
+const { encodeTimeline, decodeTimeline } = require('../../services/Aviator/timelineCodec');
+
+const RoundTimelineModel = {
+  /**
+   * Guardar los tiempos de fase en game_rounds y la curva comprimida en round_timelines
+   * @param {Object} gameRound - Fila de game_rounds (id)
+   * @param {Object} timing - Instantes en ms (betPhaseStartedAt, flightStartedAt, crashedAt) y duraciones
+   * @param {Array<[number, number]>} timeline - [ms desde el despegue, multiplicador]
+   */
+  async saveTimeline(gameRound, timing, timeline = []) {
+    const timingQuery = `
+      UPDATE game_rounds SET
+        bet_phase_started_at = to_timestamp($2::DOUBLE PRECISION / 1000),
+        flight_started_at = to_timestamp($3::DOUBLE PRECISION / 1000),
+        crashed_at = to_timestamp($4::DOUBLE PRECISION / 1000),
+        flight_duration_ms = $5,
+        bet_phase_duration_ms = $6
+      WHERE id = $1
+    `;
+    await db.query(timingQuery, [
+      gameRound.id,
+      timing.betPhaseStartedAt ?? null,
+      timing.flightStartedAt ?? null,
+      timing.crashedAt ?? null,
+      timing.flightDurationMs ?? null,
+      timing.betPhaseDurationMs ?? null
+    ]);
+
+    if (timeline.length === 0) return;
+
+    const timelineQuery = `
+      INSERT INTO round_timelines (game_round_id, tick_count, timeline)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (game_round_id)
+      DO UPDATE SET tick_count = EXCLUDED.tick_count, timeline = EXCLUDED.timeline
+    `;
+    await db.query(timelineQuery, [gameRound.id, timeline.length, encodeTimeline(timeline)]);
+  },
+
+  /**
+   * Curva de una ronda para gráficas, con sus tiempos de fase
+   */
+  async getCurve(bookmakerId, roundId) {
+    const query = `
+      SELECT gr.id, gr.bookmaker_id, gr.round_id, gr.max_multiplier,
+        gr.bet_phase_started_at, gr.flight_started_at, gr.crashed_at,
+        gr.flight_duration_ms, gr.bet_phase_duration_ms,
+        rt.tick_count, rt.timeline
+      FROM game_rounds gr
+      LEFT JOIN round_timelines rt ON rt.game_round_id = gr.id
+      WHERE gr.bookmaker_id = $1 AND gr.round_id = $2
+      LIMIT 1
+    `;
+    const { rows } = await db.query(query, [bookmakerId, roundId]);
+    if (!rows[0]) return null;
+
+    const { timeline, ...round } = rows[0];
+    return {
+      round,
+      ticks: timeline ? decodeTimeline(timeline) : []
+    };
+  }
+};
+
+module.exports = RoundTimelineModel;
@@ -1,94 +1,115 @@
 const db = require('../../config/database');
+const { evaluateAttempt } = require('../../services/Aviator/strategyEngine');
 
 const SignalModel = {
   /**
    * Crear una nueva señal
+   * @param {Object|null} strategy - Estrategia que la emitió (se copian objetivo, gales y validez vigentes)
+   * @param {string|null} afterRoundId - Ronda cuyo resultado completó el patrón
    */
-  async createSignal(bookmakerId, patternDetected) {
+  async createSignal(bookmakerId, patternDetected, strategy = null, afterRoundId = null) {
     const query = `
-      INSERT INTO signals (bookmaker_id, pattern_detected, signal_timestamp, status)
-      VALUES ($1, $2, CURRENT_TIMESTAMP, 'pending')
+      INSERT INTO signals (bookmaker_id, pattern_detected, signal_timestamp, status, strategy_id, target_multiplier, max_gales, validity_seconds, expires_at, after_round_id)
+      VALUES ($1, $2, CURRENT_TIMESTAMP, 'pending', $3, $4, $5, $6, CURRENT_TIMESTAMP + $6 * INTERVAL '1 second', $7)
       RETURNING *
     `;
     // PostgreSQL convierte automáticamente JSON string a JSONB
-    const values = [bookmakerId, JSON.stringify(patternDetected)];
+    const values = [
+      bookmakerId,
+      JSON.stringify(patternDetected),
+      strategy ? strategy.id : null,
+      strategy ? strategy.target_multiplier : 1.50,
+      strategy ? strategy.max_gales : 1,
+      strategy ? strategy.validity_seconds : 180,
+      afterRoundId
+    ];
     const { rows } = await db.query(query, values);
     return rows[0];
   },
 
   /**
-   * Obtener señales pendientes de un bookmaker
+   * Obtener señales pendientes de un bookmaker (de todos si bookmakerId es null)
    */
-  async getPendingSignals(bookmakerId) {
+  async getPendingSignals(bookmakerId = null) {
+    const where = bookmakerId ? 's.bookmaker_id = $1 AND' : '';
     const query = `
-      SELECT * FROM signals 
-      WHERE bookmaker_id = $1 AND status = 'pending'
-      ORDER BY signal_timestamp DESC
+      SELECT s.*, st.name as strategy_name
+      FROM signals s
+      LEFT JOIN strategies st ON st.id = s.strategy_id
+      WHERE ${where} s.status = 'pending'
+      ORDER BY s.signal_timestamp DESC
     `;
-    const { rows } = await db.query(query, [bookmakerId]);
+    const { rows } = await db.query(query, bookmakerId ? [bookmakerId] : []);
     return rows;
   },
 
   /**
-   * Actualizar resultado del primer intento
+   * round_id de los intentos ya registrados de una señal, en orden de intento
    */
-  async updateFirstAttempt(signalId, result, roundId) {
-    const isWin = parseFloat(result) > 1.50;
-    const newStatus = isWin ? 'won' : 'pending'; // Si gana, terminamos. Si pierde, esperamos gale
-    
-    const query = `
-      UPDATE signals 
-      SET first_attempt_result = $1,
-          first_attempt_timestamp = CURRENT_TIMESTAMP,
-          status = $2,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $3
-      RETURNING *
-    `;
-    const { rows } = await db.query(query, [result, newStatus, signalId]);
-    
-    // Registrar resultado en signal_results
-    await this.addSignalResult(signalId, 1, result, isWin, roundId);
-    
-    return rows[0];
+  async getAttemptRoundIds(signalId) {
+    const query = 'SELECT round_id FROM signal_results WHERE signal_id = $1 AND round_id IS NOT NULL ORDER BY attempt_number';
+    const { rows } = await db.query(query, [signalId]);
+    return rows.map(row => String(row.round_id));
   },
 
   /**
-   * Actualizar resultado del segundo intento (gale)
+   * Cerrar una señal pendiente que ya no se puede verificar
+   * @param {string} status - expired (reconciliación tras reinicio) | void (ventana vencida o feed caído)
+   *                          | unverifiable (faltan rondas entre la señal y el intento)
+   * @param {string} reason - Motivo guardado en status_reason
+   * @returns {Object|undefined} - Señal actualizada (undefined si ya no estaba pendiente)
    */
-  async updateSecondAttempt(signalId, result, roundId) {
-    const isWin = parseFloat(result) > 1.50;
-    const newStatus = isWin ? 'won' : 'lost';
-    
+  async closeUnresolvedSignal(signalId, status, reason) {
     const query = `
       UPDATE signals 
-      SET second_attempt_result = $1,
-          second_attempt_timestamp = CURRENT_TIMESTAMP,
-          gale_used = true,
-          status = $2,
-          updated_at = CURRENT_TIMESTAMP
-      WHERE id = $3
+      SET status = $2, status_reason = $3, expires_at = NULL, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1 AND status = 'pending'
       RETURNING *
     `;
-    const { rows } = await db.query(query, [result, newStatus, signalId]);
-    
-    // Registrar resultado en signal_results
-    await this.addSignalResult(signalId, 2, result, isWin, roundId);
-    
+    const { rows } = await db.query(query, [signalId, status, reason]);
     return rows[0];
   },
 
   /**
-   * Agregar resultado de un intento
+   * Registrar el resultado de un intento y actualizar el estado de la señal
+   * Cada intento es una fila de signal_results: 1 = entrada, 2..max_gales+1 = gales
+   * first/second_attempt_* se siguen rellenando para los clientes que los leen
+   * El intento se inserta en la misma sentencia y solo si la señal seguía pendiente, para no
+   * dejar filas huérfanas cuando un void o una expiración la cierran a la vez. Es el único
+   * punto que escribe en signal_results
+   * @param {Object} signal - Fila de signals (id, target_multiplier, max_gales)
+   * @param {number} attemptNumber - Número de intento
+   * @returns {Object|undefined} - Señal actualizada (status, attempts_count, winning_attempt, expires_at);
+   *                               undefined si ya no estaba pendiente (p. ej. void)
    */
-  async addSignalResult(signalId, attemptNumber, resultMultiplier, isWin, roundId = null) {
+  async recordAttempt(signal, attemptNumber, result, roundId) {
+    // Si pierde y quedan gales, sigue pendiente
+    const { isWin, status: newStatus } = evaluateAttempt(signal, attemptNumber, parseFloat(result));
+
     const query = `
-      INSERT INTO signal_results (signal_id, attempt_number, result_multiplier, is_win, result_timestamp, round_id)
-      VALUES ($1, $2, $3, $4, CURRENT_TIMESTAMP, $5)
-      RETURNING *
+      WITH updated AS (
+        UPDATE signals
+        SET attempts_count = $2,
+            winning_attempt = $3,
+            status = $4,
+            gale_used = $2 > 1,
+            first_attempt_result = CASE WHEN $2 = 1 THEN $5 ELSE first_attempt_result END,
+            first_attempt_timestamp = CASE WHEN $2 = 1 THEN CURRENT_TIMESTAMP ELSE first_attempt_timestamp END,
+            second_attempt_result = CASE WHEN $2 = 2 THEN $5 ELSE second_attempt_result END,
+            second_attempt_timestamp = CASE WHEN $2 = 2 THEN CURRENT_TIMESTAMP ELSE second_attempt_timestamp END,
+            expires_at = CASE WHEN $4 = 'pending' THEN CURRENT_TIMESTAMP + validity_seconds * INTERVAL '1 second' ELSE expires_at END,
+            updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1 AND status = 'pending'
+        RETURNING *
+      ), attempt AS (
+        INSERT INTO signal_results (signal_id, attempt_number, result_multiplier, is_win, result_timestamp, round_id)
+        SELECT id, $2::INTEGER, $5::DECIMAL, $6::BOOLEAN, CURRENT_TIMESTAMP, $7::VARCHAR FROM updated
+      )
+      SELECT * FROM updated
     `;
-    const values = [signalId, attemptNumber, resultMultiplier, isWin, roundId];
+    const values = [signal.id, attemptNumber, isWin ? attemptNumber : null, newStatus, result, isWin, roundId];
     const { rows } = await db.query(query, values);
+    
     return rows[0];
   },
 
@@ -113,37 +134,104 @@ const SignalModel = {
 
   /**
    * Obtener estadísticas de señales
+   * wins_by_attempt indica en qué intento se ganaron las señales (1 = sin gale)
    */
   async getSignalStats(bookmakerId = null) {
-    let query, values;
+    const where = bookmakerId ? 'WHERE bookmaker_id = $1' : '';
+    const values = bookmakerId ? [bookmakerId] : [];
     
-    if (bookmakerId) {
-      query = `
-        SELECT 
-          COUNT(*) as total_signals,
-          COUNT(CASE WHEN status = 'won' THEN 1 END) as won_signals,
-          COUNT(CASE WHEN status = 'lost' THEN 1 END) as lost_signals,
-          COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_signals,
-          COUNT(CASE WHEN gale_used = true THEN 1 END) as gales_used
-        FROM signals
-        WHERE bookmaker_id = $1
-      `;
-      values = [bookmakerId];
-    } else {
-      query = `
-        SELECT 
-          COUNT(*) as total_signals,
-          COUNT(CASE WHEN status = 'won' THEN 1 END) as won_signals,
-          COUNT(CASE WHEN status = 'lost' THEN 1 END) as lost_signals,
-          COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_signals,
-          COUNT(CASE WHEN gale_used = true THEN 1 END) as gales_used
-        FROM signals
-      `;
-      values = [];
-    }
+    const query = `
+      SELECT 
+        COUNT(CASE WHEN status NOT IN ('void', 'unverifiable') THEN 1 END) as total_signals,
+        COUNT(CASE WHEN status = 'won' THEN 1 END) as won_signals,
+        COUNT(CASE WHEN status = 'lost' THEN 1 END) as lost_signals,
+        COUNT(CASE WHEN status = 'pending' THEN 1 END) as pending_signals,
+        COUNT(CASE WHEN status = 'expired' THEN 1 END) as expired_signals,
+        COUNT(CASE WHEN status = 'void' THEN 1 END) as void_signals,
+        COUNT(CASE WHEN status = 'unverifiable' THEN 1 END) as unverifiable_signals,
+        COUNT(CASE WHEN gale_used = true AND status NOT IN ('void', 'unverifiable') THEN 1 END) as gales_used,
+        COUNT(CASE WHEN status = 'won' AND winning_attempt = 1 THEN 1 END) as first_attempt_wins,
+        COUNT(CASE WHEN status = 'won' AND winning_attempt > 1 THEN 1 END) as gale_wins
+      FROM signals
+      ${where}
+    `;
+    const byAttemptQuery = `
+      SELECT winning_attempt as attempt, COUNT(*) as wins
+      FROM signals
+      ${where ? `${where} AND` : 'WHERE'} status = 'won' AND winning_attempt IS NOT NULL
+      GROUP BY winning_attempt
+      ORDER BY winning_attempt
+    `;
     
+    const [stats, byAttempt] = await Promise.all([
+      db.query(query, values),
+      db.query(byAttemptQuery, values)
+    ]);
+    return {
+      ...stats.rows[0],
+      wins_by_attempt: byAttempt.rows
+    };
+  },
+
+  /**
+   * Señales resueltas (won/lost) de un bookmaker con sus intentos, de la más antigua a la más reciente
+   * Las usa el simulador de bankroll
+   */
+  async getResolvedSignalsWithAttempts(bookmakerId, { from, to, strategyId = null, limit = 100000 }) {
+    const values = [bookmakerId, from, to, limit];
+    const strategyFilter = strategyId ? `AND s.strategy_id = $${values.push(strategyId)}` : '';
+
+    const query = `
+      SELECT 
+        s.id, s.strategy_id, s.signal_timestamp, s.status, s.target_multiplier, s.max_gales, s.winning_attempt,
+        json_agg(
+          json_build_object(
+            'attempt_number', sr.attempt_number,
+            'result_multiplier', sr.result_multiplier,
+            'is_win', sr.is_win
+          )
+          ORDER BY sr.attempt_number
+        ) as results
+      FROM signals s
+      JOIN signal_results sr ON s.id = sr.signal_id
+      WHERE s.bookmaker_id = $1
+        AND s.signal_timestamp >= $2 AND s.signal_timestamp < $3
+        AND s.status IN ('won', 'lost')
+        ${strategyFilter}
+      GROUP BY s.id
+      ORDER BY s.signal_timestamp ASC
+      LIMIT $4
+    `;
     const { rows } = await db.query(query, values);
-    return rows[0];
+    return rows;
+  },
+
+  /**
+   * Señales resueltas (won/lost) en un rango, de la más antigua a la más reciente
+   * Las usa la analítica de señales (sin bookmaker = todos). Si el rango tiene más de `limit`
+   * señales se conservan las más recientes (drift y racha actual) y se marca `truncated`
+   * @returns {Promise<{ signals: Array<Object>, totalSignals: number, truncated: boolean }>}
+   */
+  async getResolvedSignals({ bookmakerId = null, strategyId = null, from, to, limit = 100000 }) {
+    const values = [from, to, limit];
+    const bookmakerFilter = bookmakerId ? `AND bookmaker_id = $${values.push(bookmakerId)}` : '';
+    const strategyFilter = strategyId ? `AND strategy_id = $${values.push(strategyId)}` : '';
+
+    const query = `
+      SELECT id, bookmaker_id, strategy_id, signal_timestamp, status, winning_attempt, max_gales,
+             COUNT(*) OVER () AS total_signals
+      FROM signals
+      WHERE signal_timestamp >= $1 AND signal_timestamp < $2
+        AND status IN ('won', 'lost')
+        ${bookmakerFilter}
+        ${strategyFilter}
+      ORDER BY signal_timestamp DESC, id DESC
+      LIMIT $3
+    `;
+    const { rows } = await db.query(query, values);
+    const totalSignals = rows.length > 0 ? parseInt(rows[0].total_signals) : 0;
+    const signals = rows.reverse().map(({ total_signals, ...signal }) => signal);
+    return { signals, totalSignals, truncated: totalSignals > signals.length };
   },
 
   /**
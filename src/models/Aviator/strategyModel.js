@@ -0,0 +1,77 @@
+const db = require('../../config/database');
+
+const COLUMNS = 'name, description, conditions, target_multiplier, max_gales, cooldown_rounds, bookmaker_id, enabled, validity_seconds';
+
+const StrategyModel = {
+  async getAll() {
+    const query = 'SELECT * FROM strategies ORDER BY id ASC';
+    const { rows } = await db.query(query);
+    return rows;
+  },
+
+  /**
+   * Estrategias habilitadas que aplican a un bookmaker (las globales y las suyas)
+   */
+  async getEnabledForBookmaker(bookmakerId) {
+    const query = `
+      SELECT * FROM strategies
+      WHERE enabled = true AND (bookmaker_id IS NULL OR bookmaker_id = $1)
+      ORDER BY id ASC
+    `;
+    const { rows } = await db.query(query, [bookmakerId]);
+    return rows;
+  },
+
+  async getById(id) {
+    const query = 'SELECT * FROM strategies WHERE id = $1';
+    const { rows } = await db.query(query, [id]);
+    return rows[0];
+  },
+
+  /**
+   * @param {Object} strategy - Estrategia normalizada por strategyEngine.normalizeStrategy
+   */
+  async create(strategy) {
+    const query = `
+      INSERT INTO strategies (${COLUMNS})
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, StrategyModel.toValues(strategy));
+    return rows[0];
+  },
+
+  async update(id, strategy) {
+    const query = `
+      UPDATE strategies
+      SET name = $1, description = $2, conditions = $3, target_multiplier = $4, max_gales = $5,
+          cooldown_rounds = $6, bookmaker_id = $7, enabled = $8, validity_seconds = $9, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $10
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [...StrategyModel.toValues(strategy), id]);
+    return rows[0];
+  },
+
+  async delete(id) {
+    const query = 'DELETE FROM strategies WHERE id = $1 RETURNING *';
+    const { rows } = await db.query(query, [id]);
+    return rows[0];
+  },
+
+  toValues(strategy) {
+    return [
+      strategy.name,
+      strategy.description,
+      JSON.stringify(strategy.conditions),
+      strategy.target_multiplier,
+      strategy.max_gales,
+      strategy.cooldown_rounds,
+      strategy.bookmaker_id,
+      strategy.enabled,
+      strategy.validity_seconds
+    ];
+  }
+};
+
+module.exports = StrategyModel;
@@ -0,0 +1,182 @@
+const db = require('../../config/database');
+
+// La clave de firma no se devuelve al listar (solo al crear la suscripción)
+const PUBLIC_COLUMNS = 'id, url, event_types, bookmaker_id, description, enabled, created_at, updated_at';
+
+const WebhookModel = {
+  async getAll() {
+    const query = `SELECT ${PUBLIC_COLUMNS} FROM webhook_subscriptions ORDER BY id ASC`;
+    const { rows } = await db.query(query);
+    return rows;
+  },
+
+  /**
+   * @param {boolean} withSecret - Incluir la clave (para firmar o validar un PUT)
+   */
+  async getById(id, withSecret = false) {
+    const query = `SELECT ${withSecret ? '*' : PUBLIC_COLUMNS} FROM webhook_subscriptions WHERE id = $1`;
+    const { rows } = await db.query(query, [id]);
+    return rows[0];
+  },
+
+  /**
+   * Suscripciones habilitadas (con su clave) que agrupa webhookService por evento y bookmaker
+   */
+  async getEnabled() {
+    const query = 'SELECT * FROM webhook_subscriptions WHERE enabled = true ORDER BY id ASC';
+    const { rows } = await db.query(query);
+    return rows;
+  },
+
+  /**
+   * @param {Object} subscription - Suscripción normalizada por webhookService.normalizeSubscription
+   */
+  async create(subscription) {
+    const query = `
+      INSERT INTO webhook_subscriptions (url, event_types, bookmaker_id, secret, description, enabled)
+      VALUES ($1, $2, $3, $4, $5, $6)
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, WebhookModel.toValues(subscription));
+    return rows[0];
+  },
+
+  async update(id, subscription) {
+    const query = `
+      UPDATE webhook_subscriptions
+      SET url = $1, event_types = $2, bookmaker_id = $3, secret = $4, description = $5, enabled = $6,
+          updated_at = CURRENT_TIMESTAMP
+      WHERE id = $7
+      RETURNING ${PUBLIC_COLUMNS}
+    `;
+    const { rows } = await db.query(query, [...WebhookModel.toValues(subscription), id]);
+    return rows[0];
+  },
+
+  async delete(id) {
+    const query = `DELETE FROM webhook_subscriptions WHERE id = $1 RETURNING ${PUBLIC_COLUMNS}`;
+    const { rows } = await db.query(query, [id]);
+    return rows[0];
+  },
+
+  toValues(subscription) {
+    return [
+      subscription.url,
+      subscription.event_types,
+      subscription.bookmaker_id,
+      subscription.secret,
+      subscription.description,
+      subscription.enabled
+    ];
+  },
+
+  /**
+   * Registrar una entrega; queda reservada leaseMs para el primer intento inmediato
+   */
+  async createDelivery(subscriptionId, eventType, payload, leaseMs) {
+    const query = `
+      INSERT INTO webhook_deliveries (subscription_id, event_type, payload, next_attempt_at)
+      VALUES ($1, $2, $3, CURRENT_TIMESTAMP + $4 * INTERVAL '1 millisecond')
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [subscriptionId, eventType, JSON.stringify(payload), leaseMs]);
+    return rows[0];
+  },
+
+  /**
+   * Reservar las entregas pendientes cuyo reintento ya venció (SKIP LOCKED: sin dobles envíos
+   * si hay varias instancias), junto con la URL y la clave de su suscripción
+   * Las de suscripciones deshabilitadas esperan a que se vuelvan a habilitar
+   */
+  async claimDueDeliveries(limit, leaseMs) {
+    const query = `
+      WITH due AS (
+        SELECT d.id
+        FROM webhook_deliveries d
+        JOIN webhook_subscriptions s ON s.id = d.subscription_id AND s.enabled = true
+        WHERE d.status = 'pending' AND d.next_attempt_at <= CURRENT_TIMESTAMP
+        ORDER BY d.next_attempt_at ASC
+        LIMIT $1
+        FOR UPDATE OF d SKIP LOCKED
+      )
+      UPDATE webhook_deliveries d
+      SET next_attempt_at = CURRENT_TIMESTAMP + $2 * INTERVAL '1 millisecond'
+      FROM due, webhook_subscriptions s
+      WHERE d.id = due.id AND s.id = d.subscription_id
+      RETURNING d.*, s.url, s.secret
+    `;
+    const { rows } = await db.query(query, [limit, leaseMs]);
+    return rows;
+  },
+
+  async markDelivered(deliveryId, attempts, statusCode) {
+    const query = `
+      UPDATE webhook_deliveries
+      SET status = 'delivered', attempts = $2, last_status_code = $3, last_error = NULL,
+          next_attempt_at = NULL, delivered_at = CURRENT_TIMESTAMP, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `;
+    await db.query(query, [deliveryId, attempts, statusCode]);
+  },
+
+  async markRetry(deliveryId, attempts, statusCode, error, delayMs) {
+    const query = `
+      UPDATE webhook_deliveries
+      SET attempts = $2, last_status_code = $3, last_error = $4,
+          next_attempt_at = CURRENT_TIMESTAMP + $5 * INTERVAL '1 millisecond', updated_at = CURRENT_TIMESTAMP
+      WHERE id = $1
+    `;
+    await db.query(query, [deliveryId, attempts, statusCode, error, delayMs]);
+  },
+
+  /**
+   * Agotar una entrega: queda como dead y se copia a webhook_dead_letters
+   */
+  async markDead(deliveryId, attempts, statusCode, error) {
+    const query = `
+      WITH dead AS (
+        UPDATE webhook_deliveries
+        SET status = 'dead', attempts = $2, last_status_code = $3, last_error = $4,
+            next_attempt_at = NULL, updated_at = CURRENT_TIMESTAMP
+        WHERE id = $1
+        RETURNING *
+      )
+      INSERT INTO webhook_dead_letters (delivery_id, subscription_id, event_type, payload, attempts, last_status_code, last_error)
+      SELECT id, subscription_id, event_type, payload, attempts, last_status_code, last_error FROM dead
+      RETURNING *
+    `;
+    const { rows } = await db.query(query, [deliveryId, attempts, statusCode, error]);
+    return rows[0];
+  },
+
+  /**
+   * Registro de entregas de una suscripción, de la más reciente a la más antigua
+   */
+  async getDeliveries(subscriptionId, { status = null, limit = 100 } = {}) {
+    const values = [subscriptionId, limit];
+    const statusFilter = status ? `AND status = $${values.push(status)}` : '';
+    const query = `
+      SELECT * FROM webhook_deliveries
+      WHERE subscription_id = $1 ${statusFilter}
+      ORDER BY created_at DESC
+      LIMIT $2
+    `;
+    const { rows } = await db.query(query, values);
+    return rows;
+  },
+
+  async getDeadLetters({ subscriptionId = null, limit = 100 } = {}) {
+    const values = [limit];
+    const subscriptionFilter = subscriptionId ? `WHERE subscription_id = $${values.push(subscriptionId)}` : '';
+    const query = `
+      SELECT * FROM webhook_dead_letters
+      ${subscriptionFilter}
+      ORDER BY created_at DESC
+      LIMIT $1
+    `;
+    const { rows } = await db.query(query, values);
+    return rows;
+  }
+};
+
+module.exports = WebhookModel;
@@ -5,6 +5,29 @@ const webSocketService = require('../../services/Aviator/webSocketService');
 const BookmakerHistoryModel = require('../../models/Aviator/bookmakerHistoryModel');
 const SignalModel = require('../../models/Aviator/signalModel');
 const patternDetectionService = require('../../services/Aviator/patternDetectionService');
+const predictionService = require('../../services/Aviator/predictionService');
+const PredictionModel = require('../../models/Aviator/predictionModel');
+const roundOutboxService = require('../../services/Aviator/roundOutboxService');
+const { normalizeConnectionProfile } = require('../../services/Aviator/connectionProfile');
+const RoundGapModel = require('../../models/Aviator/roundGapModel');
+const RoundBetModel = require('../../models/Aviator/roundBetModel');
+const RoundTimelineModel = require('../../models/Aviator/roundTimelineModel');
+const StrategyModel = require('../../models/Aviator/strategyModel');
+const { normalizeStrategy } = require('../../services/Aviator/strategyEngine');
+const { runBacktest } = require('../../services/Aviator/backtestService');
+const { normalizeBankrollOptions, simulateBankroll } = require('../../services/Aviator/bankrollService');
+const { normalizeAnalyticsOptions, computeSignalAnalytics } = require('../../services/Aviator/signalAnalyticsService');
+const { normalizeThreshold, computeDistribution } = require('../../services/Aviator/distributionService');
+const { normalizeFairnessOptions, auditFairness } = require('../../services/Aviator/fairnessService');
+const GameRound = require('../../models/Aviator/gameRoundModel');
+const WebhookModel = require('../../models/Aviator/webhookModel');
+const webhookService = require('../../services/Aviator/webhookService');
+
+// Función auxiliar para validar connection_profile del body (lanza error con mensaje para 400)
+function parseConnectionProfile(value) {
+  const profile = normalizeConnectionProfile(value);
+  return profile ? JSON.stringify(profile) : null;
+}
 
 // Función auxiliar para formatear duración
 function formatDuration(ms) {
@@ -50,14 +73,21 @@ function formatDuration(ms) {
    });
 
    router.post('/bookmakers', async (req, res) => {
-     const { name, description, url_image, recomendado, active, url_websocket, first_message, second_message, third_message, decoder_type } = req.body;
+     const { name, description, url_image, recomendado, active, url_websocket, first_message, second_message, third_message, decoder_type, connection_profile } = req.body;
      
      console.log('Creando nuevo bookmaker:', { name, description, url_image: url_image ? 'PROVIDED' : 'NULL', recomendado, active, decoder_type: decoder_type || 'auto' });
+
+     let connectionProfile;
+     try {
+       connectionProfile = parseConnectionProfile(connection_profile);
+     } catch (validationError) {
+       return res.status(400).json({ error: validationError.message });
+     }
      
      try {
        const result = await db.query(
-         'INSERT INTO bookmakers (name, description, url_image, recomendado, active, url_websocket, first_message, second_message, third_message, decoder_type) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10) RETURNING *',
-         [name, description, url_image, recomendado || false, active !== false, url_websocket, first_message, second_message, third_message, decoder_type || 'auto']
+         'INSERT INTO bookmakers (name, description, url_image, recomendado, active, url_websocket, first_message, second_message, third_message, decoder_type, connection_profile) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11) RETURNING *',
+         [name, description, url_image, recomendado || false, active !== false, url_websocket, first_message, second_message, third_message, decoder_type || 'auto', connectionProfile]
        );
        
        const newBookmaker = result.rows[0];
@@ -71,6 +101,15 @@ function formatDuration(ms) {
            null, 
            name
          );
+         if (connectionProfile) {
+           await BookmakerHistoryModel.createHistoryEntry(
+             newBookmaker.id, 
+             'created', 
+             'connection_profile', 
+             null, 
+             JSON.stringify(newBookmaker.connection_profile)
+           );
+         }
        } catch (historyError) {
          console.error('Error creating history entry:', historyError);
          // No fallar la creación si hay error en historial
@@ -95,7 +134,7 @@ function formatDuration(ms) {
 
    router.put('/bookmakers/:id', async (req, res) => {
      const { id } = req.params;
-     const { name, description, url_image, recomendado, active, url_websocket, first_message, second_message, third_message, decoder_type } = req.body;
+     const { name, description, url_image, recomendado, active, url_websocket, first_message, second_message, third_message, decoder_type, connection_profile } = req.body;
      
      console.log('Actualizando bookmaker:', id);
      console.log('Datos recibidos:', { name, description, url_image: url_image ? `${url_image.substring(0, 50)}...` : 'null', recomendado, active, decoder_type: decoder_type || 'auto' });
@@ -108,9 +147,19 @@ function formatDuration(ms) {
        }
        const oldData = oldResult.rows[0];
 
+       // Si el body no trae connection_profile se conserva el actual (el dashboard no lo envía)
+       let connectionProfile;
+       try {
+         connectionProfile = connection_profile === undefined
+           ? (oldData.connection_profile ? JSON.stringify(oldData.connection_profile) : null)
+           : parseConnectionProfile(connection_profile);
+       } catch (validationError) {
+         return res.status(400).json({ error: validationError.message });
+       }
+
        const result = await db.query(
-         'UPDATE bookmakers SET name = $1, description = $2, url_image = $3, recomendado = $4, active = $5, url_websocket = $6, first_message = $7, second_message = $8, third_message = $9, decoder_type = $10, updated_at = CURRENT_TIMESTAMP WHERE id = $11 RETURNING *',
-         [name, description, url_image, recomendado, active, url_websocket, first_message, second_message, third_message, decoder_type || 'auto', id]
+         'UPDATE bookmakers SET name = $1, description = $2, url_image = $3, recomendado = $4, active = $5, url_websocket = $6, first_message = $7, second_message = $8, third_message = $9, decoder_type = $10, connection_profile = $11, updated_at = CURRENT_TIMESTAMP WHERE id = $12 RETURNING *',
+         [name, description, url_image, recomendado, active, url_websocket, first_message, second_message, third_message, decoder_type || 'auto', connectionProfile, id]
        );
        
        const newData = result.rows[0];
@@ -130,18 +179,28 @@ function formatDuration(ms) {
              );
            }
          }
+
+         // JSONB llega como objeto: se compara y se guarda serializado
+         const oldProfile = oldData.connection_profile ? JSON.stringify(oldData.connection_profile) : null;
+         const newProfile = newData.connection_profile ? JSON.stringify(newData.connection_profile) : null;
+         if (oldProfile !== newProfile) {
+           await BookmakerHistoryModel.createHistoryEntry(
+             id, 
+             'updated', 
+             'connection_profile', 
+             oldProfile, 
+             newProfile
+           );
+         }
        } catch (historyError) {
          console.error('Error creating history entry:', historyError);
          // No fallar la actualización si hay error en historial
        }
 
-       // Reiniciar conexiones WebSocket después de actualizar bookmaker
+       // Reiniciar solo la conexión del bookmaker actualizado (guarda antes su ronda en curso)
        try {
-         const io = req.app.get('io');
-         if (io) {
-           await webSocketService.resetConnections(io);
-           console.log(`[Bookmaker Update] Conexiones WebSocket reiniciadas después de actualizar bookmaker ${id}`);
-         }
+         await webSocketService.restartBookmaker(newData.id);
+         console.log(`[Bookmaker Update] Conexión WebSocket reiniciada después de actualizar bookmaker ${id}`);
        } catch (wsError) {
          console.error('Error reiniciando conexiones WebSocket:', wsError);
          // No fallar la actualización si hay error en WebSocket
@@ -189,6 +248,12 @@ function formatDuration(ms) {
          console.error('Error creating history entry:', historyError);
          // No fallar la eliminación si hay error en historial
        }
+
+       try {
+         await webSocketService.restartBookmaker(oldData.id);
+       } catch (wsError) {
+         console.error('Error cerrando conexión WebSocket:', wsError);
+       }
        
        res.json({ message: 'Bookmaker deleted successfully' });
      } catch (error) {
@@ -212,11 +277,13 @@ function formatDuration(ms) {
 
       const totalBookmakers = bookmakers.rows.length;
       const connectedBookmakers = connectionStatus.filter(conn => conn.status === 'CONNECTED').length;
+      const pausedBookmakers = connectionStatus.filter(conn => conn.paused).length;
       const disconnectedBookmakers = totalBookmakers - connectedBookmakers;
 
       res.json({
         totalBookmakers,
         connectedBookmakers,
+        pausedBookmakers,
         disconnectedBookmakers,
         connections: statusWithNames
       });
@@ -245,7 +312,8 @@ function formatDuration(ms) {
           timeSinceActivityFormatted: health.timeSinceActivity ? formatDuration(health.timeSinceActivity) : 'N/A',
           consecutiveFailures: health.consecutiveFailures,
           lastCheck: health.lastCheck ? new Date(health.lastCheck).toISOString() : null,
-          lastError: health.lastError
+          lastError: health.lastError,
+          circuitBreaker: health.circuitBreaker
         };
       });
 
@@ -256,7 +324,9 @@ function formatDuration(ms) {
         warning: healthWithDetails.filter(h => h.status === 'warning').length,
         down: healthWithDetails.filter(h => h.status === 'down').length,
         disconnected: healthWithDetails.filter(h => h.status === 'disconnected').length,
-        unknown: healthWithDetails.filter(h => h.status === 'unknown').length
+        unknown: healthWithDetails.filter(h => h.status === 'unknown').length,
+        circuitOpen: healthWithDetails.filter(h => h.circuitBreaker && h.circuitBreaker.state !== 'closed').length,
+        authBlocked: healthWithDetails.filter(h => h.circuitBreaker && h.circuitBreaker.blockedReason === 'auth').length
       };
 
       res.json({
@@ -270,6 +340,37 @@ function formatDuration(ms) {
     }
   });
 
+  // Estado del outbox de rondas que fallaron al guardarse
+  router.get('/outbox', async (req, res) => {
+    try {
+      res.json(roundOutboxService.getStatus());
+    } catch (error) {
+      console.error('Error fetching outbox status:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Forzar un reintento inmediato del outbox
+  router.post('/outbox/flush', async (req, res) => {
+    try {
+      const result = await roundOutboxService.flush();
+      res.json({ ...result, status: roundOutboxService.getStatus() });
+    } catch (error) {
+      console.error('Error flushing outbox:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
+  // Timers y listeners activos del servicio WebSocket (diagnóstico de resets)
+  router.get('/runtime', async (req, res) => {
+    try {
+      res.json(webSocketService.getRuntimeInfo());
+    } catch (error) {
+      console.error('Error fetching runtime info:', error);
+      res.status(500).json({ error: 'Internal server error' });
+    }
+  });
+
    // Endpoint para reiniciar conexiones WebSocket manualmente
    router.post('/reset-connections', async (req, res) => {
      try {
@@ -329,6 +430,42 @@ function formatDuration(ms) {
      }
    });
 
+   // Ciclo de vida de la conexión de un bookmaker: restart | pause | resume
+   router.post('/bookmakers/:id/connection/:action', async (req, res) => {
+     const { id, action } = req.params;
+     const actions = {
+       restart: (bookmakerId) => webSocketService.restartBookmaker(bookmakerId),
+       pause: (bookmakerId) => webSocketService.pauseBookmaker(bookmakerId),
+       resume: (bookmakerId) => webSocketService.resumeBookmaker(bookmakerId)
+     };
+
+     if (!actions[action]) {
+       return res.status(400).json({ error: 'Acción no válida. Usa restart, pause o resume' });
+     }
+
+     const bookmakerIdInt = parseInt(id);
+     if (isNaN(bookmakerIdInt)) {
+       return res.status(400).json({ error: 'id inválido' });
+     }
+
+     try {
+       const { rows } = await db.query('SELECT id FROM bookmakers WHERE id = $1', [bookmakerIdInt]);
+       const bookmaker = rows[0];
+       if (!bookmaker) {
+         return res.status(404).json({ error: 'Bookmaker not found' });
+       }
+       if (action === 'restart' && webSocketService.isBookmakerPaused(bookmaker.id)) {
+         return res.status(409).json({ error: 'El bookmaker está pausado. Usa resume para reconectarlo' });
+       }
+
+       const connection = await actions[action](bookmaker.id);
+       res.json({ success: true, action, connection });
+     } catch (error) {
+       console.error(`Error en ${action} de la conexión del bookmaker ${id}:`, error);
+       res.status(500).json({ error: 'Internal server error' });
+     }
+   });
+
    // Obtener historial de un bookmaker específico
    router.get('/bookmakers/:id/history', async (req, res) => {
      const { id } = req.params;
@@ -380,6 +517,71 @@ router.get('/rounds/:bookmakerId', async (req, res) => {
   }
 });
 
+// Apuestas y cashouts individuales de una ronda
+router.get('/rounds/:bookmakerId/:roundId/bets', async (req, res) => {
+  const { bookmakerId, roundId } = req.params;
+
+  try {
+    const details = await RoundBetModel.getRoundDetails(parseInt(bookmakerId), roundId);
+    if (!details) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ronda no encontrada'
+      });
+    }
+
+    res.json({
+      success: true,
+      bookmakerId: parseInt(bookmakerId),
+      round: details.round,
+      bets: details.bets,
+      cashouts: details.cashouts
+    });
+  } catch (error) {
+    console.error('Error fetching round bets:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error interno del servidor' 
+    });
+  }
+});
+
+// Curva de multiplicadores de una ronda para gráficas
+router.get('/rounds/:bookmakerId/:roundId/curve', async (req, res) => {
+  const { bookmakerId, roundId } = req.params;
+
+  try {
+    const curve = await RoundTimelineModel.getCurve(parseInt(bookmakerId), roundId);
+    if (!curve) {
+      return res.status(404).json({
+        success: false,
+        message: 'Ronda no encontrada'
+      });
+    }
+
+    // Ajuste de multiplicador = e^(k * ms) por mínimos cuadrados sobre ln(multiplicador)
+    const points = curve.ticks.filter(([elapsedMs, multiplier]) => elapsedMs > 0 && multiplier > 1);
+    const sumTT = points.reduce((sum, [elapsedMs]) => sum + elapsedMs * elapsedMs, 0);
+    const growthRate = sumTT > 0
+      ? points.reduce((sum, [elapsedMs, multiplier]) => sum + elapsedMs * Math.log(multiplier), 0) / sumTT
+      : null;
+
+    res.json({
+      success: true,
+      bookmakerId: parseInt(bookmakerId),
+      round: curve.round,
+      growth_rate_per_ms: growthRate,
+      points: curve.ticks.map(([elapsedMs, multiplier]) => ({ elapsed_ms: elapsedMs, multiplier }))
+    });
+  } catch (error) {
+    console.error('Error fetching round curve:', error);
+    res.status(500).json({ 
+      success: false, 
+      message: 'Error interno del servidor' 
+    });
+  }
+});
+
 
 // Obtener hora actual del servidor
 router.get('/server-time', async (req, res) => {
@@ -408,10 +610,625 @@ router.get('/server-time', async (req, res) => {
   }
 });
 
+// Huecos en la secuencia de rondas y cobertura del historial de un bookmaker
+router.get('/gaps/:bookmakerId', async (req, res) => {
+  try {
+    const bookmakerIdInt = parseInt(req.params.bookmakerId);
+    if (isNaN(bookmakerIdInt)) {
+      return res.status(400).json({ success: false, error: 'bookmakerId inválido' });
+    }
+    const limit = parseInt(req.query.limit) || 50;
+
+    const [summary, gaps] = await Promise.all([
+      RoundGapModel.getGapSummary(bookmakerIdInt),
+      RoundGapModel.getGapsByBookmaker(bookmakerIdInt, limit)
+    ]);
+
+    res.json({
+      success: true,
+      bookmakerId: bookmakerIdInt,
+      summary,
+      gaps
+    });
+  } catch (error) {
+    console.error('Error fetching round gaps:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Error interno del servidor' 
+    });
+  }
+});
+
+// Distribución de multiplicadores: percentiles, histograma, P(crash >= x), separación entre 10x/100x y rachas
+// Query: from, to, threshold (umbral de las rachas, 2 por defecto)
+router.get('/stats/:bookmakerId/distribution', async (req, res) => {
+  try {
+    const bookmakerIdInt = parseInt(req.params.bookmakerId);
+    if (isNaN(bookmakerIdInt)) {
+      return res.status(400).json({ success: false, error: 'bookmakerId inválido' });
+    }
+
+    // Rango por defecto: últimos 7 días
+    const toDate = req.query.to ? new Date(req.query.to) : new Date();
+    const fromDate = req.query.from ? new Date(req.query.from) : new Date(toDate.getTime() - 7 * 24 * 60 * 60 * 1000);
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || fromDate >= toDate) {
+      return res.status(400).json({ success: false, error: 'Rango de fechas inválido (from debe ser anterior a to)' });
+    }
+
+    let threshold;
+    try {
+      threshold = normalizeThreshold(req.query.threshold);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+
+    // Las rachas y "rondas desde el último" necesitan las rondas más recientes: si el rango se recorta, se pierden las antiguas
+    const { rounds, totalRounds, truncated } = await GameRound.getRangeHistory(bookmakerIdInt, fromDate, toDate);
+
+    res.json({
+      success: true,
+      bookmakerId: bookmakerIdInt,
+      from: fromDate.toISOString(),
+      to: toDate.toISOString(),
+      distribution: {
+        ...computeDistribution(rounds, { threshold }),
+        rounds_in_range: totalRounds,
+        truncated
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching multiplier distribution:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Error interno del servidor' 
+    });
+  }
+});
+
+// Leer from/to y rtp/alpha de una auditoría de equidad (lanza error con mensaje para 400)
+const parseFairnessQuery = (query) => {
+  // Rango por defecto: últimos 30 días
+  const toDate = query.to ? new Date(query.to) : new Date();
+  const fromDate = query.from ? new Date(query.from) : new Date(toDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+  if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || fromDate >= toDate) {
+    throw new Error('Rango de fechas inválido (from debe ser anterior a to)');
+  }
+  return { fromDate, toDate, options: normalizeFairnessOptions(query) };
+};
+
+// Auditoría de equidad de todos los bookmakers activos (KS, chi-cuadrado y RTP implícito)
+// Query: from, to, rtp (0.97 por defecto), alpha (0.01 por defecto)
+router.get('/stats/fairness', async (req, res) => {
+  let params;
+  try {
+    params = parseFairnessQuery(req.query);
+  } catch (validationError) {
+    return res.status(400).json({ success: false, error: validationError.message });
+  }
+
+  try {
+    const { rows: bookmakers } = await db.query('SELECT id, name, recomendado FROM bookmakers WHERE active = true ORDER BY id');
+
+    // Uno por uno: cada bookmaker puede tener cientos de miles de rondas en el rango
+    const audits = [];
+    for (const bookmaker of bookmakers) {
+      const { rounds, totalRounds, truncated } = await GameRound.getRangeHistory(bookmaker.id, params.fromDate, params.toDate);
+      const audit = auditFairness(rounds, params.options);
+      audits.push({
+        bookmakerId: bookmaker.id,
+        name: bookmaker.name,
+        recomendado: bookmaker.recomendado,
+        ...audit,
+        rounds_in_range: totalRounds,
+        truncated,
+        // El detalle por tramo está en /stats/:bookmakerId/fairness
+        chi_square: audit.chi_square ? { ...audit.chi_square, bins: undefined } : undefined
+      });
+    }
+
+    res.json({
+      success: true,
+      from: params.fromDate.toISOString(),
+      to: params.toDate.toISOString(),
+      ...params.options,
+      flagged: audits.filter(audit => audit.deviates).map(audit => audit.bookmakerId),
+      // Auditados sobre las rondas más recientes del rango, no sobre todas
+      truncated: audits.filter(audit => audit.truncated).map(audit => audit.bookmakerId),
+      bookmakers: audits
+    });
+  } catch (error) {
+    console.error('Error running fairness audit:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Error interno del servidor' 
+    });
+  }
+});
+
+// Auditoría de equidad de un bookmaker
+router.get('/stats/:bookmakerId/fairness', async (req, res) => {
+  const bookmakerIdInt = parseInt(req.params.bookmakerId);
+  if (isNaN(bookmakerIdInt)) {
+    return res.status(400).json({ success: false, error: 'bookmakerId inválido' });
+  }
+
+  let params;
+  try {
+    params = parseFairnessQuery(req.query);
+  } catch (validationError) {
+    return res.status(400).json({ success: false, error: validationError.message });
+  }
+
+  try {
+    const { rows } = await db.query('SELECT id, name, recomendado FROM bookmakers WHERE id = $1', [bookmakerIdInt]);
+    if (rows.length === 0) {
+      return res.status(404).json({ success: false, error: 'Bookmaker no encontrado' });
+    }
+
+    const { rounds, totalRounds, truncated } = await GameRound.getRangeHistory(bookmakerIdInt, params.fromDate, params.toDate);
+
+    res.json({
+      success: true,
+      bookmakerId: bookmakerIdInt,
+      name: rows[0].name,
+      recomendado: rows[0].recomendado,
+      from: params.fromDate.toISOString(),
+      to: params.toDate.toISOString(),
+      audit: {
+        ...auditFairness(rounds, params.options),
+        rounds_in_range: totalRounds,
+        truncated
+      }
+    });
+  } catch (error) {
+    console.error('Error running fairness audit:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Error interno del servidor' 
+    });
+  }
+});
+
+// ============================================
+// RUTAS DE ESTRATEGIAS DE SEÑALES
+// ============================================
+
+// Responder errores de guardado de estrategias (bookmaker_id inexistente = 400)
+const handleStrategyError = (res, error, context) => {
+  if (error.code === '23503') {
+    return res.status(400).json({ success: false, error: 'bookmaker_id no existe' });
+  }
+  console.error(`Error ${context}:`, error);
+  res.status(500).json({ 
+    success: false, 
+    error: 'Error interno del servidor' 
+  });
+};
+
+// Listar estrategias
+router.get('/strategies', async (req, res) => {
+  try {
+    const strategies = await StrategyModel.getAll();
+    res.json({
+      success: true,
+      strategies
+    });
+  } catch (error) {
+    handleStrategyError(res, error, 'fetching strategies');
+  }
+});
+
+router.get('/strategies/:id', async (req, res) => {
+  try {
+    const strategy = await StrategyModel.getById(parseInt(req.params.id) || 0);
+    if (!strategy) {
+      return res.status(404).json({ success: false, error: 'Estrategia no encontrada' });
+    }
+    res.json({
+      success: true,
+      strategy
+    });
+  } catch (error) {
+    handleStrategyError(res, error, 'fetching strategy');
+  }
+});
+
+// Crear estrategia
+router.post('/strategies', async (req, res) => {
+  let strategy;
+  try {
+    strategy = normalizeStrategy(req.body);
+  } catch (validationError) {
+    return res.status(400).json({ success: false, error: validationError.message });
+  }
+
+  try {
+    const created = await StrategyModel.create(strategy);
+    patternDetectionService.invalidateStrategies();
+    res.status(201).json({
+      success: true,
+      strategy: created
+    });
+  } catch (error) {
+    handleStrategyError(res, error, 'creating strategy');
+  }
+});
+
+// Actualizar estrategia (los campos omitidos se conservan; las señales en curso no cambian)
+router.put('/strategies/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id) || 0;
+    const current = await StrategyModel.getById(id);
+    if (!current) {
+      return res.status(404).json({ success: false, error: 'Estrategia no encontrada' });
+    }
+
+    let strategy;
+    try {
+      strategy = normalizeStrategy(req.body, current);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+
+    const updated = await StrategyModel.update(id, strategy);
+    patternDetectionService.invalidateStrategies();
+    res.json({
+      success: true,
+      strategy: updated
+    });
+  } catch (error) {
+    handleStrategyError(res, error, 'updating strategy');
+  }
+});
+
+// Eliminar estrategia (sus señales se conservan con strategy_id NULL)
+router.delete('/strategies/:id', async (req, res) => {
+  try {
+    const deleted = await StrategyModel.delete(parseInt(req.params.id) || 0);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Estrategia no encontrada' });
+    }
+    patternDetectionService.invalidateStrategies();
+    res.json({
+      success: true,
+      strategy: deleted
+    });
+  } catch (error) {
+    handleStrategyError(res, error, 'deleting strategy');
+  }
+});
+
+// Backtest de una estrategia sobre el historial de game_rounds
+// Body: { bookmaker_id, from, to, strategy_id | strategy: {...}, include_trace }
+router.post('/backtest', async (req, res) => {
+  try {
+    const { bookmaker_id, from, to, strategy_id, strategy: strategyInput, include_trace } = req.body || {};
+
+    const bookmakerIdInt = parseInt(bookmaker_id);
+    if (isNaN(bookmakerIdInt)) {
+      return res.status(400).json({ success: false, error: 'bookmaker_id inválido' });
+    }
+
+    // Rango por defecto: últimos 7 días
+    const toDate = to ? new Date(to) : new Date();
+    const fromDate = from ? new Date(from) : new Date(toDate.getTime() - 7 * 24 * 60 * 60 * 1000);
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || fromDate >= toDate) {
+      return res.status(400).json({ success: false, error: 'Rango de fechas inválido (from debe ser anterior a to)' });
+    }
+
+    let strategy;
+    if (strategy_id !== undefined && strategy_id !== null) {
+      strategy = await StrategyModel.getById(parseInt(strategy_id) || 0);
+      if (!strategy) {
+        return res.status(404).json({ success: false, error: 'Estrategia no encontrada' });
+      }
+    } else {
+      try {
+        strategy = normalizeStrategy({ name: 'backtest', ...(strategyInput || {}) });
+      } catch (validationError) {
+        return res.status(400).json({ success: false, error: validationError.message });
+      }
+    }
+
+    // Con más rondas que el límite se analizan las más recientes y se indica en la respuesta
+    const { rounds, totalRounds, truncated } = await GameRound.getRangeHistory(bookmakerIdInt, fromDate, toDate);
+    const result = runBacktest(rounds, strategy, { includeTrace: include_trace !== false });
+
+    res.json({
+      success: true,
+      bookmakerId: bookmakerIdInt,
+      from: fromDate.toISOString(),
+      to: toDate.toISOString(),
+      strategy: {
+        id: strategy.id || null,
+        name: strategy.name,
+        conditions: strategy.conditions,
+        target_multiplier: parseFloat(strategy.target_multiplier),
+        max_gales: parseInt(strategy.max_gales),
+        cooldown_rounds: parseInt(strategy.cooldown_rounds)
+      },
+      backtest: {
+        ...result,
+        rounds_in_range: totalRounds,
+        truncated
+      }
+    });
+  } catch (error) {
+    console.error('Error running backtest:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Error interno del servidor' 
+    });
+  }
+});
+
+// Simular un plan de apuestas sobre las señales resueltas de un bookmaker
+// Body: { bookmaker_id, from, to, strategy_id, starting_bankroll, base_stake, plan, ... }
+router.post('/bankroll/simulate', async (req, res) => {
+  try {
+    const body = req.body || {};
+
+    const bookmakerIdInt = parseInt(body.bookmaker_id);
+    if (isNaN(bookmakerIdInt)) {
+      return res.status(400).json({ success: false, error: 'bookmaker_id inválido' });
+    }
+
+    // Rango por defecto: últimos 30 días
+    const toDate = body.to ? new Date(body.to) : new Date();
+    const fromDate = body.from ? new Date(body.from) : new Date(toDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || fromDate >= toDate) {
+      return res.status(400).json({ success: false, error: 'Rango de fechas inválido (from debe ser anterior a to)' });
+    }
+
+    let options;
+    try {
+      options = normalizeBankrollOptions(body);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+
+    const strategyId = body.strategy_id ? parseInt(body.strategy_id) || null : null;
+    const signals = await SignalModel.getResolvedSignalsWithAttempts(bookmakerIdInt, {
+      from: fromDate,
+      to: toDate,
+      strategyId
+    });
+
+    res.json({
+      success: true,
+      bookmakerId: bookmakerIdInt,
+      strategyId,
+      from: fromDate.toISOString(),
+      to: toDate.toISOString(),
+      options,
+      simulation: simulateBankroll(signals, options)
+    });
+  } catch (error) {
+    console.error('Error simulating bankroll:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Error interno del servidor' 
+    });
+  }
+});
+
+// ============================================
+// RUTAS DE WEBHOOKS
+// ============================================
+
+const WEBHOOK_DELIVERY_STATUSES = ['pending', 'delivered', 'dead'];
+
+// Responder errores de guardado de webhooks (bookmaker_id inexistente = 400)
+const handleWebhookError = (res, error, context) => {
+  if (error.code === '23503') {
+    return res.status(400).json({ success: false, error: 'bookmaker_id no existe' });
+  }
+  console.error(`Error ${context}:`, error);
+  res.status(500).json({ 
+    success: false, 
+    error: 'Error interno del servidor' 
+  });
+};
+
+// Listar suscripciones (sin la clave de firma)
+router.get('/webhooks', async (req, res) => {
+  try {
+    const subscriptions = await WebhookModel.getAll();
+    res.json({
+      success: true,
+      events: webhookService.WEBHOOK_EVENTS,
+      delivery: webhookService.getStatus(),
+      subscriptions
+    });
+  } catch (error) {
+    handleWebhookError(res, error, 'fetching webhooks');
+  }
+});
+
+// Entregas agotadas (todas o de una suscripción con ?subscription_id=)
+router.get('/webhooks/dead-letters', async (req, res) => {
+  try {
+    const deadLetters = await WebhookModel.getDeadLetters({
+      subscriptionId: parseInt(req.query.subscription_id) || null,
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+    });
+    res.json({
+      success: true,
+      deadLetters
+    });
+  } catch (error) {
+    handleWebhookError(res, error, 'fetching webhook dead letters');
+  }
+});
+
+router.get('/webhooks/:id', async (req, res) => {
+  try {
+    const subscription = await WebhookModel.getById(parseInt(req.params.id) || 0);
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Webhook no encontrado' });
+    }
+    res.json({
+      success: true,
+      subscription
+    });
+  } catch (error) {
+    handleWebhookError(res, error, 'fetching webhook');
+  }
+});
+
+// Crear suscripción; la clave de firma solo se devuelve en esta respuesta
+// Body: { url, event_types: [...], bookmaker_id, secret, description, enabled }
+router.post('/webhooks', async (req, res) => {
+  let subscription;
+  try {
+    subscription = webhookService.normalizeSubscription(req.body);
+  } catch (validationError) {
+    return res.status(400).json({ success: false, error: validationError.message });
+  }
+
+  try {
+    const created = await WebhookModel.create(subscription);
+    webhookService.invalidateSubscriptions();
+    res.status(201).json({
+      success: true,
+      subscription: created
+    });
+  } catch (error) {
+    handleWebhookError(res, error, 'creating webhook');
+  }
+});
+
+// Actualizar suscripción (los campos omitidos se conservan, incluida la clave)
+router.put('/webhooks/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id) || 0;
+    const current = await WebhookModel.getById(id, true);
+    if (!current) {
+      return res.status(404).json({ success: false, error: 'Webhook no encontrado' });
+    }
+
+    let subscription;
+    try {
+      subscription = webhookService.normalizeSubscription(req.body, current);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+
+    const updated = await WebhookModel.update(id, subscription);
+    webhookService.invalidateSubscriptions();
+    res.json({
+      success: true,
+      subscription: updated
+    });
+  } catch (error) {
+    handleWebhookError(res, error, 'updating webhook');
+  }
+});
+
+// Eliminar suscripción (junto con su registro de entregas)
+router.delete('/webhooks/:id', async (req, res) => {
+  try {
+    const deleted = await WebhookModel.delete(parseInt(req.params.id) || 0);
+    if (!deleted) {
+      return res.status(404).json({ success: false, error: 'Webhook no encontrado' });
+    }
+    webhookService.invalidateSubscriptions();
+    res.json({
+      success: true,
+      subscription: deleted
+    });
+  } catch (error) {
+    handleWebhookError(res, error, 'deleting webhook');
+  }
+});
+
+// Registro de entregas de una suscripción (?status=pending|delivered|dead&limit=)
+router.get('/webhooks/:id/deliveries', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !WEBHOOK_DELIVERY_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status debe ser uno de ${WEBHOOK_DELIVERY_STATUSES.join(', ')}` });
+    }
+
+    const id = parseInt(req.params.id) || 0;
+    const subscription = await WebhookModel.getById(id);
+    if (!subscription) {
+      return res.status(404).json({ success: false, error: 'Webhook no encontrado' });
+    }
+
+    const deliveries = await WebhookModel.getDeliveries(id, {
+      status: status || null,
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+    });
+    res.json({
+      success: true,
+      subscription,
+      deliveries
+    });
+  } catch (error) {
+    handleWebhookError(res, error, 'fetching webhook deliveries');
+  }
+});
+
 // ============================================
 // RUTAS DE SEÑALES Y PREDICCIONES
 // ============================================
 
+// Rendimiento de las señales por día y por hora, entrada frente a gale y rachas
+// Query: bookmaker_id, strategy_id, from, to, timezone, confidence, recent_days
+router.get('/signals/analytics', async (req, res) => {
+  try {
+    const query = req.query;
+
+    const bookmakerIdInt = query.bookmaker_id ? parseInt(query.bookmaker_id) : null;
+    const strategyIdInt = query.strategy_id ? parseInt(query.strategy_id) : null;
+    if (Number.isNaN(bookmakerIdInt) || Number.isNaN(strategyIdInt)) {
+      return res.status(400).json({ success: false, error: 'bookmaker_id y strategy_id deben ser números' });
+    }
+
+    // Rango por defecto: últimos 30 días
+    const toDate = query.to ? new Date(query.to) : new Date();
+    const fromDate = query.from ? new Date(query.from) : new Date(toDate.getTime() - 30 * 24 * 60 * 60 * 1000);
+    if (isNaN(fromDate.getTime()) || isNaN(toDate.getTime()) || fromDate >= toDate) {
+      return res.status(400).json({ success: false, error: 'Rango de fechas inválido (from debe ser anterior a to)' });
+    }
+
+    let options;
+    try {
+      options = normalizeAnalyticsOptions(query);
+    } catch (validationError) {
+      return res.status(400).json({ success: false, error: validationError.message });
+    }
+
+    const { signals, totalSignals, truncated } = await SignalModel.getResolvedSignals({
+      bookmakerId: bookmakerIdInt,
+      strategyId: strategyIdInt,
+      from: fromDate,
+      to: toDate
+    });
+
+    res.json({
+      success: true,
+      bookmakerId: bookmakerIdInt,
+      strategyId: strategyIdInt,
+      from: fromDate.toISOString(),
+      to: toDate.toISOString(),
+      analytics: {
+        ...computeSignalAnalytics(signals, { ...options, to: toDate }),
+        signals_analyzed: signals.length,
+        signals_in_range: totalSignals,
+        truncated
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching signal analytics:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Error interno del servidor' 
+    });
+  }
+});
+
 // Obtener todas las señales de un bookmaker
 router.get('/signals/:bookmakerId', async (req, res) => {
   try {
@@ -467,12 +1284,25 @@ router.get('/signals/stats/:bookmakerId?', async (req, res) => {
     const winRate = totalCompleted > 0 
       ? ((parseInt(stats.won_signals) || 0) / totalCompleted * 100).toFixed(2)
       : 0;
+
+    // Tasa acumulada: señales ganadas hasta ese intento sobre el total completado
+    let cumulativeWins = 0;
+    const winsByAttempt = stats.wins_by_attempt.map(({ attempt, wins }) => {
+      cumulativeWins += parseInt(wins) || 0;
+      return {
+        attempt: parseInt(attempt),
+        gale: parseInt(attempt) - 1,
+        wins: parseInt(wins) || 0,
+        cumulative_win_rate: totalCompleted > 0 ? parseFloat((cumulativeWins / totalCompleted * 100).toFixed(2)) : 0
+      };
+    });
     
     res.json({
       success: true,
       bookmakerId: bookmakerIdInt,
       stats: {
         ...stats,
+        wins_by_attempt: winsByAttempt,
         win_rate: parseFloat(winRate),
         total_completed: totalCompleted
       }
@@ -504,4 +1334,110 @@ router.get('/signals/pending', async (req, res) => {
   }
 });
 
+const PREDICTION_STATUSES = ['pending', 'active', 'won', 'lost', 'expired'];
+
+// Listar predicciones (?bookmaker_id=&status=&limit=)
+router.get('/predictions', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !PREDICTION_STATUSES.includes(status)) {
+      return res.status(400).json({ success: false, error: `status debe ser uno de ${PREDICTION_STATUSES.join(', ')}` });
+    }
+
+    const predictions = await PredictionModel.getPredictions({
+      bookmakerId: parseInt(req.query.bookmaker_id) || null,
+      status: status || null,
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+    });
+
+    res.json({
+      success: true,
+      predictions
+    });
+  } catch (error) {
+    console.error('Error fetching predictions:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Error interno del servidor' 
+    });
+  }
+});
+
+// Predicciones abiertas (pendientes o activas) y configuración del disparador
+router.get('/predictions/pending', async (req, res) => {
+  try {
+    res.json({
+      success: true,
+      config: predictionService.config,
+      openPredictions: predictionService.getOpenPredictions()
+    });
+  } catch (error) {
+    console.error('Error fetching open predictions:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Error interno del servidor' 
+    });
+  }
+});
+
+// Estadísticas de predicciones
+router.get('/predictions/stats/:bookmakerId?', async (req, res) => {
+  try {
+    const { bookmakerId } = req.params;
+    const bookmakerIdInt = bookmakerId ? parseInt(bookmakerId) : null;
+
+    const stats = await PredictionModel.getPredictionStats(bookmakerIdInt);
+    const won = parseInt(stats.won_predictions) || 0;
+    const totalCompleted = won + (parseInt(stats.lost_predictions) || 0);
+
+    res.json({
+      success: true,
+      bookmakerId: bookmakerIdInt,
+      stats: {
+        total_predictions: parseInt(stats.total_predictions) || 0,
+        won_predictions: won,
+        lost_predictions: parseInt(stats.lost_predictions) || 0,
+        pending_predictions: parseInt(stats.pending_predictions) || 0,
+        active_predictions: parseInt(stats.active_predictions) || 0,
+        expired_predictions: parseInt(stats.expired_predictions) || 0,
+        win_rate: totalCompleted > 0 ? parseFloat((won / totalCompleted * 100).toFixed(2)) : 0,
+        avg_final_result: stats.avg_final_result !== null ? parseFloat(parseFloat(stats.avg_final_result).toFixed(2)) : null
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching prediction stats:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Error interno del servidor' 
+    });
+  }
+});
+
+// Predicciones de un bookmaker
+router.get('/predictions/:bookmakerId', async (req, res) => {
+  try {
+    const bookmakerIdInt = parseInt(req.params.bookmakerId);
+    if (isNaN(bookmakerIdInt)) {
+      return res.status(400).json({ success: false, error: 'bookmakerId inválido' });
+    }
+
+    const predictions = await PredictionModel.getPredictions({
+      bookmakerId: bookmakerIdInt,
+      limit: Math.min(parseInt(req.query.limit) || 100, 1000)
+    });
+
+    res.json({
+      success: true,
+      bookmakerId: bookmakerIdInt,
+      predictions
+    });
+  } catch (error) {
+    console.error('Error fetching bookmaker predictions:', error);
+    res.status(500).json({ 
+      success: false, 
+      error: 'Error interno del servidor' 
+    });
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,132 @@
+/**
+ * BACKTEST DE ESTRATEGIAS
+ *
+ * Reproduce el historial de game_rounds de un bookmaker con la misma secuencia que
+ * PatternDetectionService.processNewResult por cada ronda:
+ *   1. Descontar una ronda de cooldown
+ *   2. Verificar la señal pendiente (entrada o gale) con evaluateAttempt
+ *   3. Si no hay señal pendiente ni cooldown, buscar el patrón con matchStrategy
+ *
+ * El resultado en dinero se mide en unidades apostando 1 al objetivo en cada intento:
+ * ganar en el intento k suma (objetivo - 1) - (k - 1); perder todos resta max_gales + 1.
+ */
+
+const { matchStrategy, evaluateAttempt } = require('./strategyEngine');
+
+const MAX_TRACE = 5000;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const rate = (count, total) => (total > 0 ? round2(count / total * 100) : 0);
+
+/**
+ * @param {Array<Object>} rounds - Filas { round_id, max_multiplier, timestamp } del más antiguo al más reciente
+ * @param {Object} strategy - Estrategia normalizada o fila de strategies
+ * @param {Object} options - { includeTrace }
+ */
+function runBacktest(rounds, strategy, { includeTrace = true } = {}) {
+  const target = parseFloat(strategy.target_multiplier);
+  const maxGales = parseInt(strategy.max_gales);
+  const depth = strategy.conditions.length;
+
+  const recent = []; // Últimos resultados, el más reciente primero
+  const signals = [];
+  let pending = null;
+  let cooldown = 0;
+
+  for (const round of rounds) {
+    const multiplier = parseFloat(round.max_multiplier) || 0;
+    recent.unshift(multiplier);
+    if (recent.length > depth) recent.pop();
+
+    if (cooldown > 0) cooldown--;
+
+    if (pending) {
+      const attempt = pending.attempts.length + 1;
+      const { isWin, status } = evaluateAttempt(strategy, attempt, multiplier);
+      pending.attempts.push({ round_id: round.round_id, multiplier, is_win: isWin });
+
+      if (status !== 'pending') {
+        pending.status = status;
+        pending.winning_attempt = isWin ? attempt : null;
+        pending.units = isWin ? round2((target - 1) - (attempt - 1)) : -(maxGales + 1);
+        pending = null;
+        cooldown = parseInt(strategy.cooldown_rounds) || 0;
+      }
+    }
+
+    if (!pending && cooldown === 0) {
+      const pattern = matchStrategy(strategy, recent);
+      if (pattern) {
+        pending = {
+          emitted_after_round_id: round.round_id,
+          emitted_at: round.timestamp,
+          pattern,
+          attempts: [],
+          status: 'pending',
+          winning_attempt: null,
+          units: 0
+        };
+        signals.push(pending);
+      }
+    }
+  }
+
+  return summarize(signals, maxGales, rounds, includeTrace);
+}
+
+function summarize(signals, maxGales, rounds, includeTrace) {
+  const resolved = signals.filter(signal => signal.status !== 'pending');
+  const won = resolved.filter(signal => signal.status === 'won');
+  const firstAttemptWins = won.filter(signal => signal.winning_attempt === 1).length;
+
+  const winsByAttempt = [];
+  for (let attempt = 1; attempt <= maxGales + 1; attempt++) {
+    const wins = won.filter(signal => signal.winning_attempt === attempt).length;
+    winsByAttempt.push({ attempt, gale: attempt - 1, wins, win_rate: rate(wins, resolved.length) });
+  }
+
+  // Racha de pérdidas y drawdown sobre la curva acumulada de unidades
+  let longestLosingStreak = 0;
+  let losingStreak = 0;
+  let cumulative = 0;
+  let peak = 0;
+  let maxDrawdown = 0;
+  for (const signal of resolved) {
+    losingStreak = signal.status === 'lost' ? losingStreak + 1 : 0;
+    longestLosingStreak = Math.max(longestLosingStreak, losingStreak);
+
+    cumulative = round2(cumulative + signal.units);
+    signal.cumulative_units = cumulative;
+    peak = Math.max(peak, cumulative);
+    maxDrawdown = Math.max(maxDrawdown, round2(peak - cumulative));
+  }
+
+  const result = {
+    rounds_analyzed: rounds.length,
+    first_round_at: rounds.length > 0 ? rounds[0].timestamp : null,
+    last_round_at: rounds.length > 0 ? rounds[rounds.length - 1].timestamp : null,
+    signal_count: signals.length,
+    resolved_signals: resolved.length,
+    unresolved_signals: signals.length - resolved.length,
+    won_signals: won.length,
+    lost_signals: resolved.length - won.length,
+    win_rate: rate(won.length, resolved.length),
+    first_attempt_win_rate: rate(firstAttemptWins, resolved.length),
+    gale_win_rate: rate(won.length - firstAttemptWins, resolved.length),
+    wins_by_attempt: winsByAttempt,
+    longest_losing_streak: longestLosingStreak,
+    net_units: cumulative,
+    max_drawdown_units: maxDrawdown
+  };
+
+  if (includeTrace) {
+    result.trace = signals.slice(0, MAX_TRACE);
+    result.trace_truncated = signals.length > MAX_TRACE;
+  }
+
+  return result;
+}
+
+module.exports = {
+  runBacktest
+};
@@ -0,0 +1,262 @@
+/**
+ * SIMULADOR DE BANKROLL
+ *
+ * Aplica un plan de apuestas a las señales resueltas de un bookmaker, intento por intento
+ * (entrada y gales, tal como quedaron en signal_results), haciendo cashout en el
+ * target_multiplier de cada señal:
+ *
+ *   flat            Siempre el stake base
+ *   martingale      Multiplica el stake tras cada intento perdido; vuelve al base al ganar
+ *   fibonacci       Avanza un paso en 1, 1, 2, 3, 5... al perder; retrocede dos al ganar
+ *   fixed_fraction  Un porcentaje fijo del bankroll actual
+ *
+ * La progresión continúa entre señales (una señal perdida sigue subiendo el stake en la
+ * siguiente). Hay ruina cuando el bankroll ya no cubre el stake base.
+ *
+ * La probabilidad de ruina se estima con Monte Carlo remuestreando las señales
+ * (bootstrap con semilla fija, así la misma petición devuelve el mismo resultado).
+ */
+
+const PLANS = ['flat', 'martingale', 'fibonacci', 'fixed_fraction'];
+
+const MAX_EQUITY_POINTS = 5000;
+const MAX_SIMULATIONS = 5000;
+const MAX_SIMULATED_SIGNALS = 5000000; // simulaciones * señales, para acotar el tiempo de CPU
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const pct = (value, total) => (total > 0 ? round2(value / total * 100) : 0);
+
+function toNumber(value, field, { min = null, max = null, integer = false } = {}) {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number) || (integer && !Number.isInteger(number))) {
+    throw new Error(`${field} debe ser un número${integer ? ' entero' : ''}`);
+  }
+  if (min !== null && number < min) throw new Error(`${field} debe ser mayor o igual a ${min}`);
+  if (max !== null && number > max) throw new Error(`${field} debe ser menor o igual a ${max}`);
+  return number;
+}
+
+/**
+ * Validar y normalizar los parámetros recibidos por la API
+ * @throws {Error} - Si no son válidos (mensaje apto para responder 400)
+ */
+function normalizeBankrollOptions(input = {}) {
+  const plan = input.plan || 'flat';
+  if (!PLANS.includes(plan)) {
+    throw new Error(`plan debe ser uno de ${PLANS.join(', ')}`);
+  }
+
+  const startingBankroll = toNumber(input.starting_bankroll, 'starting_bankroll', { min: 0.01 });
+  const baseStake = toNumber(input.base_stake, 'base_stake', { min: 0.01, max: startingBankroll });
+
+  return {
+    plan,
+    starting_bankroll: startingBankroll,
+    base_stake: baseStake,
+    martingale_multiplier: toNumber(input.martingale_multiplier ?? 2, 'martingale_multiplier', { min: 1.01, max: 10 }),
+    // fixed_fraction: por defecto la proporción base_stake / starting_bankroll
+    fraction: toNumber(input.fraction ?? baseStake / startingBankroll, 'fraction', { min: 0.0001, max: 1 }),
+    max_stake: input.max_stake === undefined || input.max_stake === null || input.max_stake === ''
+      ? null
+      : toNumber(input.max_stake, 'max_stake', { min: baseStake }),
+    simulations: toNumber(input.simulations ?? 1000, 'simulations', { min: 0, max: MAX_SIMULATIONS, integer: true }),
+    seed: toNumber(input.seed ?? 1, 'seed', { integer: true })
+  };
+}
+
+/**
+ * Estado del plan de apuestas: stake del siguiente intento y ajuste tras el resultado
+ */
+function createStaking(options) {
+  const { plan, base_stake: base, martingale_multiplier: multiplier, fraction } = options;
+  let level = 0;
+  const fibonacci = [1, 1];
+
+  return {
+    nextStake(bankroll) {
+      switch (plan) {
+        case 'martingale':
+          return base * Math.pow(multiplier, level);
+        case 'fibonacci':
+          while (fibonacci.length <= level) {
+            fibonacci.push(fibonacci[fibonacci.length - 1] + fibonacci[fibonacci.length - 2]);
+          }
+          return base * fibonacci[level];
+        case 'fixed_fraction':
+          return bankroll * fraction;
+        default:
+          return base;
+      }
+    },
+    record(isWin) {
+      if (plan === 'martingale') level = isWin ? 0 : level + 1;
+      if (plan === 'fibonacci') level = isWin ? Math.max(0, level - 2) : level + 1;
+    }
+  };
+}
+
+/**
+ * Recorrer una secuencia de señales con el plan
+ * @param {Array<Object>} signals - { id, signal_timestamp, target_multiplier, results: [{ is_win }] }
+ * @param {Function|null} onSignal - Recibe cada punto de la curva (null en Monte Carlo)
+ */
+function playSignals(signals, options, onSignal = null) {
+  const staking = createStaking(options);
+  let bankroll = options.starting_bankroll;
+  let peak = bankroll;
+  let maxDrawdown = 0;
+  let maxDrawdownPct = 0;
+  let totalStaked = 0;
+  let attemptsPlaced = 0;
+  let largestStake = 0;
+  let signalsPlayed = 0;
+  let ruinedAt = null;
+
+  for (const signal of signals) {
+    const target = parseFloat(signal.target_multiplier);
+    let signalProfit = 0;
+
+    for (const attempt of signal.results || []) {
+      if (bankroll < options.base_stake) break;
+
+      let stake = staking.nextStake(bankroll);
+      if (options.max_stake !== null) stake = Math.min(stake, options.max_stake);
+      stake = round2(Math.min(stake, bankroll));
+
+      const profit = attempt.is_win ? round2(stake * (target - 1)) : -stake;
+      bankroll = round2(bankroll + profit);
+      signalProfit = round2(signalProfit + profit);
+      totalStaked += stake;
+      attemptsPlaced++;
+      largestStake = Math.max(largestStake, stake);
+      staking.record(attempt.is_win);
+
+      if (attempt.is_win) break;
+    }
+
+    signalsPlayed++;
+    peak = Math.max(peak, bankroll);
+    maxDrawdown = Math.max(maxDrawdown, round2(peak - bankroll));
+    maxDrawdownPct = Math.max(maxDrawdownPct, pct(peak - bankroll, peak));
+
+    if (onSignal) {
+      onSignal({
+        signal_id: signal.id,
+        signal_timestamp: signal.signal_timestamp,
+        status: signal.status,
+        profit: signalProfit,
+        bankroll
+      });
+    }
+
+    if (bankroll < options.base_stake) {
+      ruinedAt = signal.id ?? signalsPlayed;
+      break;
+    }
+  }
+
+  return {
+    signalsPlayed,
+    attemptsPlaced,
+    totalStaked: round2(totalStaked),
+    largestStake,
+    finalBankroll: bankroll,
+    peak,
+    maxDrawdown,
+    maxDrawdownPct,
+    ruined: ruinedAt !== null,
+    ruinedAt
+  };
+}
+
+/**
+ * Generador pseudoaleatorio con semilla (mulberry32)
+ */
+function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.floor(p / 100 * sorted.length))];
+}
+
+function monteCarlo(signals, options) {
+  const simulations = signals.length > 0
+    ? Math.min(options.simulations, Math.floor(MAX_SIMULATED_SIGNALS / signals.length))
+    : 0;
+  const random = seededRandom(options.seed);
+  const finals = [];
+  let ruined = 0;
+
+  for (let i = 0; i < simulations; i++) {
+    const sample = Array.from({ length: signals.length }, () => signals[Math.floor(random() * signals.length)]);
+    const run = playSignals(sample, options);
+    if (run.ruined) ruined++;
+    finals.push(run.finalBankroll);
+  }
+
+  finals.sort((a, b) => a - b);
+  return {
+    simulations,
+    seed: options.seed,
+    ruin_probability: simulations > 0 ? Math.round(ruined / simulations * 10000) / 10000 : null,
+    final_bankroll_p5: percentile(finals, 5),
+    final_bankroll_p50: percentile(finals, 50),
+    final_bankroll_p95: percentile(finals, 95)
+  };
+}
+
+function sampleCurve(curve) {
+  if (curve.length <= MAX_EQUITY_POINTS) return curve;
+  const step = curve.length / MAX_EQUITY_POINTS;
+  const sampled = [];
+  for (let i = 0; i < MAX_EQUITY_POINTS - 1; i++) {
+    sampled.push(curve[Math.floor(i * step)]);
+  }
+  sampled.push(curve[curve.length - 1]);
+  return sampled;
+}
+
+/**
+ * @param {Array<Object>} signals - Señales resueltas del más antiguo al más reciente
+ * @param {Object} options - Parámetros normalizados por normalizeBankrollOptions
+ */
+function simulateBankroll(signals, options) {
+  const curve = [];
+  const run = playSignals(signals, options, point => curve.push(point));
+  const netProfit = round2(run.finalBankroll - options.starting_bankroll);
+
+  return {
+    signals_available: signals.length,
+    signals_played: run.signalsPlayed,
+    attempts_placed: run.attemptsPlaced,
+    total_staked: run.totalStaked,
+    largest_stake: run.largestStake,
+    final_bankroll: run.finalBankroll,
+    net_profit: netProfit,
+    roi: pct(netProfit, run.totalStaked), // Beneficio sobre lo apostado
+    bankroll_return: pct(netProfit, options.starting_bankroll), // Beneficio sobre el bankroll inicial
+    peak_bankroll: run.peak,
+    max_drawdown: run.maxDrawdown,
+    max_drawdown_pct: run.maxDrawdownPct,
+    ruined: run.ruined,
+    ruined_at_signal_id: run.ruinedAt,
+    monte_carlo: monteCarlo(signals, options),
+    equity_curve: sampleCurve(curve),
+    equity_curve_sampled: curve.length > MAX_EQUITY_POINTS
+  };
+}
+
+module.exports = {
+  PLANS,
+  normalizeBankrollOptions,
+  simulateBankroll
+};
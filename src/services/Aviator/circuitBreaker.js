@@ -0,0 +1,156 @@
+/**
+ * Circuit breaker y backoff de reconexión (una instancia por bookmaker)
+ *
+ * Estados:
+ * - closed     Conexión sana (o fallos aislados): se reintenta con backoff exponencial
+ * - open       Demasiados fallos seguidos: se espera el backoff antes de probar otra vez
+ * - half_open  Intento de prueba tras estar abierto; un éxito lo cierra, un fallo lo reabre
+ *
+ * Los fallos se clasifican en:
+ * - network  Caídas de red, timeouts, cierres anormales: se reintentan sin límite
+ * - auth     Token rechazado (close 1008/4001/4003/4401/4403, HTTP 401/403): se reintenta
+ *            pocas veces y después queda bloqueado hasta que se actualice el bookmaker
+ * - config   Configuración inválida: no se reintenta
+ *
+ * No usa temporizadores: devuelve el retraso y el servicio programa la reconexión.
+ */
+
+const STATES = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+const FAILURE_TYPES = {
+  NETWORK: 'network',
+  AUTH: 'auth',
+  CONFIG: 'config'
+};
+
+const AUTH_CLOSE_CODES = [1008, 4001, 4003, 4401, 4403];
+const AUTH_HTTP_STATUS = /Unexpected server response: (401|403)/;
+
+const DEFAULT_OPTIONS = {
+  baseDelayMs: parseInt(process.env.WS_RECONNECT_BASE_MS) || 5000,
+  maxDelayMs: parseInt(process.env.WS_RECONNECT_MAX_MS) || 5 * 60 * 1000,
+  failureThreshold: 5, // Fallos seguidos para abrir el circuito
+  maxAuthFailures: 3 // Fallos de autenticación seguidos antes de bloquear
+};
+
+/**
+ * Clasificar el cierre de un WebSocket
+ * @param {number} code - Código de cierre
+ * @param {Error|null} lastError - Último error emitido por el socket (p. ej. respuesta HTTP 401)
+ * @returns {string} - FAILURE_TYPES.AUTH o FAILURE_TYPES.NETWORK
+ */
+function classifyClose(code, lastError = null) {
+  if (AUTH_CLOSE_CODES.includes(code)) return FAILURE_TYPES.AUTH;
+  if (lastError && AUTH_HTTP_STATUS.test(lastError.message)) return FAILURE_TYPES.AUTH;
+  return FAILURE_TYPES.NETWORK;
+}
+
+class CircuitBreaker {
+  constructor(options = {}, random = Math.random) {
+    this.options = { ...DEFAULT_OPTIONS, ...options };
+    this.random = random;
+    this.reset();
+  }
+
+  reset() {
+    this.state = STATES.CLOSED;
+    this.consecutiveFailures = 0;
+    this.authFailures = 0;
+    this.lastFailureType = null;
+    this.lastFailureReason = null;
+    this.lastFailureAt = null;
+    this.nextAttemptAt = null;
+    this.openedAt = null;
+    this.blockedReason = null;
+  }
+
+  /**
+   * Backoff exponencial con jitter: entre la mitad y el total de base * 2^n (con tope)
+   */
+  getDelay(failures) {
+    const { baseDelayMs, maxDelayMs } = this.options;
+    const exponential = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, Math.max(0, failures - 1)));
+    return Math.round(exponential / 2 + this.random() * exponential / 2);
+  }
+
+  /**
+   * Registrar un fallo de conexión
+   * @returns {{ retry: boolean, delayMs: number|null }}
+   */
+  recordFailure(type, reason, now = Date.now()) {
+    this.consecutiveFailures++;
+    this.authFailures = type === FAILURE_TYPES.AUTH ? this.authFailures + 1 : 0;
+    this.lastFailureType = type;
+    this.lastFailureReason = reason || null;
+    this.lastFailureAt = now;
+
+    const block = (blockedReason) => {
+      this.open(now);
+      this.blockedReason = blockedReason;
+      this.nextAttemptAt = null;
+      return { retry: false, delayMs: null };
+    };
+
+    if (type === FAILURE_TYPES.CONFIG) return block(FAILURE_TYPES.CONFIG);
+    if (type === FAILURE_TYPES.AUTH && this.authFailures >= this.options.maxAuthFailures) {
+      return block(FAILURE_TYPES.AUTH);
+    }
+
+    if (this.state === STATES.HALF_OPEN || this.consecutiveFailures >= this.options.failureThreshold) {
+      this.open(now);
+    }
+
+    const delayMs = this.getDelay(this.consecutiveFailures);
+    this.nextAttemptAt = now + delayMs;
+    return { retry: true, delayMs };
+  }
+
+  open(now) {
+    if (this.state !== STATES.OPEN) this.openedAt = now;
+    this.state = STATES.OPEN;
+  }
+
+  /**
+   * Llamar antes de cada intento de conexión
+   */
+  beforeAttempt() {
+    if (this.state === STATES.OPEN) this.state = STATES.HALF_OPEN;
+    this.nextAttemptAt = null;
+  }
+
+  /**
+   * El proveedor respondió con datos de juego: la conexión (y el token) funcionan
+   */
+  recordSuccess() {
+    if (this.state === STATES.CLOSED && this.consecutiveFailures === 0) return;
+    this.reset();
+  }
+
+  isBlocked() {
+    return this.blockedReason !== null;
+  }
+
+  getState() {
+    return {
+      state: this.state,
+      consecutiveFailures: this.consecutiveFailures,
+      authFailures: this.authFailures,
+      lastFailureType: this.lastFailureType,
+      lastFailureReason: this.lastFailureReason,
+      lastFailureAt: this.lastFailureAt ? new Date(this.lastFailureAt).toISOString() : null,
+      nextAttemptAt: this.nextAttemptAt ? new Date(this.nextAttemptAt).toISOString() : null,
+      openedAt: this.openedAt ? new Date(this.openedAt).toISOString() : null,
+      blockedReason: this.blockedReason
+    };
+  }
+}
+
+CircuitBreaker.STATES = STATES;
+CircuitBreaker.FAILURE_TYPES = FAILURE_TYPES;
+CircuitBreaker.classifyClose = classifyClose;
+
+module.exports = CircuitBreaker;
@@ -0,0 +1,162 @@
+/**
+ * PERFIL DE CONEXIÓN POR BOOKMAKER
+ *
+ * Describe cómo abrir el WebSocket de un bookmaker (bookmakers.connection_profile, JSONB).
+ * Un perfil vacío o NULL equivale al comportamiento histórico: cabeceras de navegador
+ * con el origin de Spribe y PING cada 10 segundos.
+ *
+ * {
+ *   origin: 'https://aviator-next.spribegaming.com',  // null = sin cabecera Origin
+ *   headers: { 'Accept-Language': 'pt-BR' },          // se combinan con las de defecto; null elimina una
+ *   subprotocols: ['json'],
+ *   cookies: { session: 'abc' },
+ *   queryParams: { token: 'xyz' },                    // se agregan a url_websocket
+ *   pingIntervalMs: 10000,
+ *   handshakeTimeoutMs: 15000
+ * }
+ */
+
+const DEFAULT_ORIGIN = 'https://aviator-next.spribegaming.com';
+
+const DEFAULT_HEADERS = {
+  Pragma: 'no-cache',
+  'Cache-Control': 'no-cache',
+  'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36',
+  'Accept-Encoding': 'gzip, deflate, br, zstd',
+  'Accept-Language': 'es-419,es;q=0.9',
+  'Sec-WebSocket-Extensions': 'permessage-deflate; client_max_window_bits',
+};
+
+const DEFAULT_PING_INTERVAL_MS = 10000;
+const DEFAULT_HANDSHAKE_TIMEOUT_MS = 15000;
+const MIN_PING_INTERVAL_MS = 1000;
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+function normalizeStringMap(value, field, { allowNull = false } = {}) {
+  if (value === undefined || value === null) return {};
+  if (!isPlainObject(value)) {
+    throw new Error(`${field} debe ser un objeto`);
+  }
+
+  const result = {};
+  for (const [key, item] of Object.entries(value)) {
+    if (item === null && allowNull) {
+      result[key] = null;
+    } else if (['string', 'number', 'boolean'].includes(typeof item)) {
+      result[key] = String(item);
+    } else {
+      throw new Error(`${field}.${key} debe ser texto`);
+    }
+  }
+  return result;
+}
+
+function normalizeInterval(value, field, min) {
+  if (value === undefined || value === null) return null;
+  const ms = Number(value);
+  if (!Number.isInteger(ms) || ms < min) {
+    throw new Error(`${field} debe ser un entero mayor o igual a ${min}`);
+  }
+  return ms;
+}
+
+/**
+ * Validar y normalizar un perfil recibido por la API
+ * @param {Object|string|null} input - Perfil (objeto o JSON)
+ * @returns {Object|null} - Perfil normalizado, o null si no hay perfil
+ * @throws {Error} - Si el perfil no es válido (mensaje apto para responder 400)
+ */
+function normalizeConnectionProfile(input) {
+  if (input === undefined || input === null || input === '') return null;
+
+  let profile = input;
+  if (typeof input === 'string') {
+    try {
+      profile = JSON.parse(input);
+    } catch (error) {
+      throw new Error('connection_profile no es JSON válido');
+    }
+  }
+  if (!isPlainObject(profile)) {
+    throw new Error('connection_profile debe ser un objeto');
+  }
+
+  if (profile.origin !== undefined && profile.origin !== null && typeof profile.origin !== 'string') {
+    throw new Error('origin debe ser texto o null');
+  }
+
+  const subprotocols = profile.subprotocols === undefined || profile.subprotocols === null ? [] : profile.subprotocols;
+  if (!Array.isArray(subprotocols) || subprotocols.some(protocol => typeof protocol !== 'string' || !protocol)) {
+    throw new Error('subprotocols debe ser una lista de textos');
+  }
+
+  const normalized = {
+    headers: normalizeStringMap(profile.headers, 'headers', { allowNull: true }),
+    subprotocols,
+    cookies: normalizeStringMap(profile.cookies, 'cookies'),
+    queryParams: normalizeStringMap(profile.queryParams, 'queryParams'),
+    pingIntervalMs: normalizeInterval(profile.pingIntervalMs, 'pingIntervalMs', MIN_PING_INTERVAL_MS),
+    handshakeTimeoutMs: normalizeInterval(profile.handshakeTimeoutMs, 'handshakeTimeoutMs', 1)
+  };
+  // undefined = origin por defecto, null = sin cabecera Origin
+  if (profile.origin !== undefined) normalized.origin = profile.origin;
+
+  return normalized;
+}
+
+// Los nombres de cabecera HTTP no distinguen mayúsculas: se reemplaza cualquier variante existente
+function setHeader(headers, name, value) {
+  for (const existing of Object.keys(headers)) {
+    if (existing.toLowerCase() === name.toLowerCase()) delete headers[existing];
+  }
+  if (value !== null) headers[name] = value;
+}
+
+/**
+ * Opciones de conexión efectivas de un bookmaker para new WebSocket(url, protocols, options)
+ * @param {Object} bookmaker - Fila con url_websocket y connection_profile
+ */
+function buildConnectionOptions(bookmaker) {
+  const profile = normalizeConnectionProfile(bookmaker.connection_profile) || {};
+
+  const headers = { ...DEFAULT_HEADERS };
+  const origin = profile.origin === undefined ? DEFAULT_ORIGIN : profile.origin;
+  if (origin) headers.Origin = origin;
+
+  for (const [name, value] of Object.entries(profile.headers || {})) {
+    setHeader(headers, name, value);
+  }
+
+  const cookies = Object.entries(profile.cookies || {});
+  if (cookies.length > 0) {
+    setHeader(headers, 'Cookie', cookies.map(([name, value]) => `${name}=${value}`).join('; '));
+  }
+
+  let url = bookmaker.url_websocket;
+  const queryParams = Object.entries(profile.queryParams || {});
+  if (queryParams.length > 0) {
+    const parsed = new URL(url);
+    for (const [name, value] of queryParams) {
+      parsed.searchParams.set(name, value);
+    }
+    url = parsed.toString();
+  }
+
+  return {
+    url,
+    protocols: profile.subprotocols || [],
+    options: {
+      headers,
+      handshakeTimeout: profile.handshakeTimeoutMs || DEFAULT_HANDSHAKE_TIMEOUT_MS
+    },
+    pingIntervalMs: profile.pingIntervalMs || DEFAULT_PING_INTERVAL_MS
+  };
+}
+
+module.exports = {
+  normalizeConnectionProfile,
+  buildConnectionOptions,
+  DEFAULT_HEADERS,
+  DEFAULT_ORIGIN
+};
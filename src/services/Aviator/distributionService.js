@@ -0,0 +1,178 @@
+/**
+ * DISTRIBUCIÓN DE MULTIPLICADORES
+ *
+ * Estadísticas de los resultados (max_multiplier) de un bookmaker en un rango de fechas,
+ * calculadas en el servidor sobre todas las rondas guardadas en lugar de las últimas 20
+ * que ve el dashboard:
+ *
+ *   percentiles   Percentiles del multiplicador de crash
+ *   histogram     Rondas por tramo (<1.2, <1.5, <2, <5, <10, <100, 100+)
+ *   survival      P(crash >= x) observada en puntos fijos
+ *   hits          Tiempo y rondas entre resultados de 10x y de 100x (media y mediana)
+ *   streaks       Racha actual y más larga de rondas por debajo de un umbral
+ */
+
+const HISTOGRAM_BUCKETS = [
+  { label: '<1.2', from: 1, to: 1.2 },
+  { label: '<1.5', from: 1.2, to: 1.5 },
+  { label: '<2', from: 1.5, to: 2 },
+  { label: '<5', from: 2, to: 5 },
+  { label: '<10', from: 5, to: 10 },
+  { label: '<100', from: 10, to: 100 },
+  { label: '100+', from: 100, to: null }
+];
+
+const PERCENTILES = [1, 5, 10, 25, 50, 75, 90, 95, 99];
+const SURVIVAL_POINTS = [1.1, 1.2, 1.5, 2, 3, 5, 10, 20, 50, 100, 1000];
+const HIT_THRESHOLDS = [10, 100];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const round4 = (value) => Math.round(value * 10000) / 10000;
+
+/**
+ * Validar el umbral de rachas recibido por la API
+ * @throws {Error} - Si no es válido (mensaje apto para responder 400)
+ */
+function normalizeThreshold(value) {
+  if (value === undefined || value === '') return 2;
+  const threshold = Number(value);
+  if (!Number.isFinite(threshold) || threshold < 1.01 || threshold > 1000000) {
+    throw new Error('threshold debe ser un número entre 1.01 y 1000000');
+  }
+  return threshold;
+}
+
+/**
+ * Percentil por interpolación lineal sobre una lista ordenada
+ */
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  const position = (sorted.length - 1) * p / 100;
+  const lower = Math.floor(position);
+  const upper = Math.ceil(position);
+  return round2(sorted[lower] + (sorted[upper] - sorted[lower]) * (position - lower));
+}
+
+function median(values) {
+  return percentile([...values].sort((a, b) => a - b), 50);
+}
+
+function mean(values) {
+  return values.length > 0 ? values.reduce((sum, value) => sum + value, 0) / values.length : null;
+}
+
+/**
+ * P(crash >= x) observada (proporción de rondas)
+ */
+function empiricalSurvival(sorted, x) {
+  if (sorted.length === 0) return null;
+  // Primer índice con valor >= x (búsqueda binaria)
+  let low = 0;
+  let high = sorted.length;
+  while (low < high) {
+    const middle = (low + high) >> 1;
+    if (sorted[middle] < x) low = middle + 1;
+    else high = middle;
+  }
+  return (sorted.length - low) / sorted.length;
+}
+
+function computeHistogram(multipliers) {
+  const counts = HISTOGRAM_BUCKETS.map(() => 0);
+  for (const multiplier of multipliers) {
+    const index = HISTOGRAM_BUCKETS.findIndex(bucket => bucket.to === null || multiplier < bucket.to);
+    counts[index]++;
+  }
+  return HISTOGRAM_BUCKETS.map((bucket, index) => ({
+    ...bucket,
+    count: counts[index],
+    percentage: multipliers.length > 0 ? round2(counts[index] / multipliers.length * 100) : 0
+  }));
+}
+
+/**
+ * Separación entre resultados >= threshold, en segundos y en rondas
+ * @param {Array<Object>} rounds - { multiplier, time } del más antiguo al más reciente
+ */
+function computeHits(rounds, threshold) {
+  const seconds = [];
+  const roundGaps = [];
+  let last = null;
+
+  rounds.forEach((round, index) => {
+    if (round.multiplier < threshold) return;
+    if (last) {
+      seconds.push((round.time - last.time) / 1000);
+      roundGaps.push(index - last.index);
+    }
+    last = { time: round.time, index };
+  });
+
+  const meanSeconds = mean(seconds);
+  const meanRounds = mean(roundGaps);
+  return {
+    threshold,
+    hits: rounds.filter(round => round.multiplier >= threshold).length,
+    mean_seconds_between: meanSeconds !== null ? Math.round(meanSeconds) : null,
+    median_seconds_between: seconds.length > 0 ? Math.round(median(seconds)) : null,
+    mean_rounds_between: meanRounds !== null ? round2(meanRounds) : null,
+    median_rounds_between: roundGaps.length > 0 ? median(roundGaps) : null,
+    last_hit_at: last ? new Date(last.time).toISOString() : null,
+    rounds_since_last_hit: last ? rounds.length - 1 - last.index : null
+  };
+}
+
+function computeStreaks(multipliers, threshold) {
+  let longest = 0;
+  let current = 0;
+  for (const multiplier of multipliers) {
+    current = multiplier < threshold ? current + 1 : 0;
+    longest = Math.max(longest, current);
+  }
+  return {
+    threshold,
+    current_under: current,
+    longest_under: longest
+  };
+}
+
+/**
+ * @param {Array<Object>} rows - Filas { round_id, max_multiplier, timestamp } del más antiguo al más reciente
+ * @param {Object} options - { threshold } umbral de las rachas
+ */
+function computeDistribution(rows, { threshold = 2 } = {}) {
+  const rounds = rows
+    .map(row => ({ multiplier: parseFloat(row.max_multiplier), time: new Date(row.timestamp).getTime() }))
+    .filter(round => Number.isFinite(round.multiplier) && round.multiplier >= 1);
+  const multipliers = rounds.map(round => round.multiplier);
+  const sorted = [...multipliers].sort((a, b) => a - b);
+  const average = mean(multipliers);
+
+  return {
+    rounds_analyzed: rounds.length,
+    first_round_at: rows.length > 0 ? rows[0].timestamp : null,
+    last_round_at: rows.length > 0 ? rows[rows.length - 1].timestamp : null,
+    summary: {
+      min: sorted.length > 0 ? sorted[0] : null,
+      max: sorted.length > 0 ? sorted[sorted.length - 1] : null,
+      mean: average !== null ? round2(average) : null,
+      median: percentile(sorted, 50)
+    },
+    percentiles: PERCENTILES.map(p => ({ percentile: p, multiplier: percentile(sorted, p) })),
+    histogram: computeHistogram(multipliers),
+    survival: SURVIVAL_POINTS.map(x => {
+      const probability = empiricalSurvival(sorted, x);
+      return { multiplier: x, probability: probability !== null ? round4(probability) : null };
+    }),
+    hits: HIT_THRESHOLDS.map(hitThreshold => computeHits(rounds, hitThreshold)),
+    streaks: computeStreaks(multipliers, threshold)
+  };
+}
+
+module.exports = {
+  HISTOGRAM_BUCKETS,
+  SURVIVAL_POINTS,
+  normalizeThreshold,
+  empiricalSurvival,
+  computeDistribution
+};
@@ -0,0 +1,166 @@
+/**
+ * ENCODER SFS / MESSAGEPACK
+ *
+ * Operación inversa de decoder.js y decoder-msgpack.js: genera frames binarios
+ * con el mismo formato que envían los proveedores. Lo usa el simulador local
+ * (simulate-provider.js) para poder trabajar sin tokens reales de casino.
+ */
+
+const zlib = require('zlib');
+const msgpack = require('msgpack-lite');
+
+// Por encima de este tamaño el cuerpo SFS se comprime con zlib (igual que SmartFoxServer)
+const SFS_COMPRESSION_THRESHOLD = 1024;
+
+class ByteWriter {
+  constructor() {
+    this.chunks = [];
+  }
+
+  writeUInt8(value) {
+    const buffer = Buffer.alloc(1);
+    buffer.writeUInt8(value);
+    this.chunks.push(buffer);
+  }
+
+  writeUInt16(value) {
+    const buffer = Buffer.alloc(2);
+    buffer.writeUInt16BE(value);
+    this.chunks.push(buffer);
+  }
+
+  writeInt32(value) {
+    const buffer = Buffer.alloc(4);
+    buffer.writeInt32BE(value);
+    this.chunks.push(buffer);
+  }
+
+  writeInt64(value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeBigInt64BE(BigInt(value));
+    this.chunks.push(buffer);
+  }
+
+  writeFloat64(value) {
+    const buffer = Buffer.alloc(8);
+    buffer.writeDoubleBE(value);
+    this.chunks.push(buffer);
+  }
+
+  writeUtf8String(value) {
+    const buffer = Buffer.from(value, 'utf8');
+    this.writeUInt16(buffer.length);
+    this.chunks.push(buffer);
+  }
+
+  toBuffer() {
+    return Buffer.concat(this.chunks);
+  }
+}
+
+function encodeValue(writer, value) {
+  if (value === null || value === undefined) {
+    writer.writeUInt8(0x00);
+  } else if (typeof value === 'boolean') {
+    writer.writeUInt8(0x01);
+    writer.writeUInt8(value ? 1 : 0);
+  } else if (typeof value === 'number') {
+    if (Number.isInteger(value) && value >= -2147483648 && value <= 2147483647) {
+      writer.writeUInt8(0x04);
+      writer.writeInt32(value);
+    } else if (Number.isInteger(value)) {
+      writer.writeUInt8(0x05);
+      writer.writeInt64(value);
+    } else {
+      writer.writeUInt8(0x07);
+      writer.writeFloat64(value);
+    }
+  } else if (typeof value === 'string') {
+    writer.writeUInt8(0x08);
+    writer.writeUtf8String(value);
+  } else if (Array.isArray(value)) {
+    writer.writeUInt8(0x11);
+    encodeSfsArray(writer, value);
+  } else if (typeof value === 'object') {
+    writer.writeUInt8(0x12);
+    encodeSfsObject(writer, value);
+  } else {
+    throw new Error(`Unsupported value type: ${typeof value}`);
+  }
+}
+
+function encodeSfsObject(writer, obj) {
+  const keys = Object.keys(obj).filter(key => obj[key] !== undefined);
+  writer.writeUInt16(keys.length);
+  for (const key of keys) {
+    writer.writeUtf8String(key);
+    encodeValue(writer, obj[key]);
+  }
+}
+
+function encodeSfsArray(writer, arr) {
+  writer.writeUInt16(arr.length);
+  for (const value of arr) {
+    encodeValue(writer, value);
+  }
+}
+
+/**
+ * Codificar un objeto como frame SFS (header 0x80 + longitud + SFS_OBJECT)
+ * @param {Object} obj
+ * @returns {Buffer}
+ */
+function encodeSfsMessage(obj) {
+  const writer = new ByteWriter();
+  writer.writeUInt8(0x12);
+  encodeSfsObject(writer, obj);
+
+  let body = writer.toBuffer();
+  let header = 0x80;
+  if (body.length > SFS_COMPRESSION_THRESHOLD) {
+    body = zlib.deflateSync(body);
+    header |= 0x20;
+  }
+
+  if (body.length > 0xffff) {
+    throw new Error(`SFS message too large: ${body.length} bytes`);
+  }
+
+  const frame = Buffer.alloc(3 + body.length);
+  frame.writeUInt8(header, 0);
+  frame.writeUInt16BE(body.length, 1);
+  body.copy(frame, 3);
+  return frame;
+}
+
+/**
+ * Codificar un objeto como frame MessagePack
+ * @param {Object} obj
+ * @returns {Buffer}
+ */
+function encodeMessagePackMessage(obj) {
+  return msgpack.encode(obj);
+}
+
+/**
+ * Codificar un comando de extensión de Aviator ({ c, p }) en el formato indicado
+ * El resultado decodifica a { p: { c: comando, p: parámetros } }, la estructura
+ * que espera WebSocketService.handleMessage
+ * @param {string} command - Nombre del comando (changeState, x, updateCurrentBets...)
+ * @param {Object} params - Parámetros del comando
+ * @param {string} format - 'sfs' o 'msgpack'
+ * @returns {Buffer}
+ */
+function encodeCommand(command, params, format = 'sfs') {
+  if (format === 'msgpack') {
+    return encodeMessagePackMessage({ p: { c: command, p: params } });
+  }
+  return encodeSfsMessage({ c: 1, a: 13, p: { c: command, p: params } });
+}
+
+module.exports = {
+  encodeSfsMessage,
+  encodeMessagePackMessage,
+  encodeCommand,
+  encodeValue
+};
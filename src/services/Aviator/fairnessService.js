@@ -0,0 +1,310 @@
+/**
+ * AUDITORÍA DE EQUIDAD
+ *
+ * Compara los max_multiplier observados de un bookmaker con la distribución teórica de los
+ * juegos crash para un RTP dado (la misma que genera simulate-provider.js):
+ *
+ *   crash = max(1, floor(rtp / (1 - U) * 100) / 100)   =>   P(crash >= x) = rtp / x   (x > 1)
+ *
+ * - Kolmogorov-Smirnov: mayor diferencia entre la CDF observada y la teórica. La distribución
+ *   es discreta (pasos de 0.01), así que la D se mide a ambos lados de cada valor observado y
+ *   el p-valor asintótico es conservador
+ * - Chi-cuadrado: rondas observadas frente a esperadas en los tramos del histograma
+ *   (distributionService), juntando los tramos con menos de 5 esperadas
+ * - RTP implícito: a partir de la media de min(crash, 10), que bajo el modelo es
+ *   1 + 0.01 * rtp * sum(1 / x) para x = 1.01..10. Usa todas las rondas y no depende de la cola
+ *
+ * Un bookmaker se marca como desviado si alguna prueba rechaza el modelo con el nivel alpha
+ * o si el RTP configurado queda fuera del intervalo de confianza del RTP implícito.
+ */
+
+const { HISTOGRAM_BUCKETS } = require('./distributionService');
+const { normalCdf } = require('./signalAnalyticsService');
+
+const MIN_ROUNDS = 200;
+const MIN_EXPECTED_PER_BIN = 5;
+const RTP_CAP = 10; // Tope de min(crash, tope) para estimar el RTP implícito
+
+const round4 = (value) => Math.round(value * 10000) / 10000;
+const round6 = (value) => Math.round(value * 1000000) / 1000000;
+
+/**
+ * Validar y normalizar los parámetros recibidos por la API
+ * @throws {Error} - Si no son válidos (mensaje apto para responder 400)
+ */
+function normalizeFairnessOptions(input = {}) {
+  const rtp = input.rtp === undefined || input.rtp === '' ? 0.97 : Number(input.rtp);
+  if (!Number.isFinite(rtp) || rtp < 0.5 || rtp > 0.999) {
+    throw new Error('rtp debe ser un número entre 0.5 y 0.999 (p. ej. 0.97)');
+  }
+
+  const alpha = input.alpha === undefined || input.alpha === '' ? 0.01 : Number(input.alpha);
+  if (!Number.isFinite(alpha) || alpha <= 0 || alpha >= 0.5) {
+    throw new Error('alpha debe ser un número mayor que 0 y menor que 0.5 (p. ej. 0.01)');
+  }
+
+  return { rtp, alpha };
+}
+
+/**
+ * P(crash >= x) teórica
+ */
+function theoreticalSurvival(x, rtp) {
+  return x <= 1 ? 1 : Math.min(1, rtp / x);
+}
+
+/**
+ * Logaritmo de la función gamma (aproximación de Lanczos)
+ */
+function logGamma(x) {
+  const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091, -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+  let y = x;
+  const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+  let series = 1.000000000190015;
+  for (const coefficient of coefficients) {
+    series += coefficient / ++y;
+  }
+  return -tmp + Math.log(2.5066282746310005 * series / x);
+}
+
+/**
+ * Gamma incompleta regularizada superior Q(a, x) (serie o fracción continua)
+ */
+function upperRegularizedGamma(a, x) {
+  if (x <= 0) return 1;
+  const logPrefix = -x + a * Math.log(x) - logGamma(a);
+
+  if (x < a + 1) {
+    let term = 1 / a;
+    let sum = term;
+    for (let n = 1; n < 1000; n++) {
+      term *= x / (a + n);
+      sum += term;
+      if (Math.abs(term) < Math.abs(sum) * 1e-15) break;
+    }
+    return Math.max(0, 1 - sum * Math.exp(logPrefix));
+  }
+
+  // Fracción continua de Lentz
+  let b = x + 1 - a;
+  let c = 1 / 1e-300;
+  let d = 1 / b;
+  let h = d;
+  for (let n = 1; n < 1000; n++) {
+    const an = -n * (n - a);
+    b += 2;
+    d = an * d + b;
+    if (Math.abs(d) < 1e-300) d = 1e-300;
+    c = b + an / c;
+    if (Math.abs(c) < 1e-300) c = 1e-300;
+    d = 1 / d;
+    const delta = d * c;
+    h *= delta;
+    if (Math.abs(delta - 1) < 1e-15) break;
+  }
+  return Math.min(1, Math.exp(logPrefix) * h);
+}
+
+/**
+ * p-valor de la distribución chi-cuadrado con df grados de libertad
+ */
+function chiSquarePValue(statistic, df) {
+  return upperRegularizedGamma(df / 2, statistic / 2);
+}
+
+/**
+ * p-valor asintótico de Kolmogorov para D con n muestras (corrección de Stephens)
+ */
+function kolmogorovPValue(d, n) {
+  const lambda = (Math.sqrt(n) + 0.12 + 0.11 / Math.sqrt(n)) * d;
+  if (lambda < 0.2) return 1;
+  let sum = 0;
+  for (let k = 1; k <= 100; k++) {
+    const term = 2 * Math.pow(-1, k - 1) * Math.exp(-2 * k * k * lambda * lambda);
+    sum += term;
+    if (Math.abs(term) < 1e-12) break;
+  }
+  return Math.min(1, Math.max(0, sum));
+}
+
+/**
+ * Kolmogorov-Smirnov contra P(crash < x) = 1 - rtp / x
+ * @param {Array<number>} sorted - Multiplicadores ordenados de menor a mayor
+ */
+function ksTest(sorted, rtp) {
+  const n = sorted.length;
+  let statistic = 0;
+  let atMultiplier = null;
+  let index = 0;
+
+  while (index < n) {
+    const value = sorted[index];
+    let next = index;
+    while (next < n && sorted[next] === value) next++;
+
+    // Antes del valor: P(X < v); incluyéndolo: P(X <= v) = P(X < v + 0.01)
+    const below = Math.abs(index / n - (1 - theoreticalSurvival(value, rtp)));
+    const including = Math.abs(next / n - (1 - theoreticalSurvival(Math.round((value + 0.01) * 100) / 100, rtp)));
+    const distance = Math.max(below, including);
+    if (distance > statistic) {
+      statistic = distance;
+      atMultiplier = value;
+    }
+    index = next;
+  }
+
+  return {
+    statistic: round6(statistic),
+    p_value: round6(kolmogorovPValue(statistic, n)),
+    at_multiplier: atMultiplier
+  };
+}
+
+/**
+ * Chi-cuadrado en los tramos del histograma
+ */
+function chiSquareTest(multipliers, rtp) {
+  const n = multipliers.length;
+  const bins = HISTOGRAM_BUCKETS.map(bucket => ({
+    label: bucket.label,
+    from: bucket.from,
+    to: bucket.to,
+    observed: 0,
+    expected: n * (theoreticalSurvival(bucket.from, rtp) - (bucket.to === null ? 0 : theoreticalSurvival(bucket.to, rtp)))
+  }));
+  for (const multiplier of multipliers) {
+    bins[HISTOGRAM_BUCKETS.findIndex(bucket => bucket.to === null || multiplier < bucket.to)].observed++;
+  }
+
+  // Juntar desde la cola los tramos con pocas rondas esperadas
+  const merged = [];
+  for (const bin of bins.reverse()) {
+    const last = merged[merged.length - 1];
+    if (last && last.expected < MIN_EXPECTED_PER_BIN) {
+      merged[merged.length - 1] = {
+        label: `${bin.from}+`,
+        from: bin.from,
+        to: last.to,
+        observed: last.observed + bin.observed,
+        expected: last.expected + bin.expected
+      };
+    } else {
+      merged.push({ ...bin });
+    }
+  }
+  merged.reverse();
+  if (merged.length > 1 && merged[0].expected < MIN_EXPECTED_PER_BIN) {
+    const [first, second, ...rest] = merged;
+    merged.splice(0, merged.length, {
+      label: `<${second.to}`,
+      from: first.from,
+      to: second.to,
+      observed: first.observed + second.observed,
+      expected: first.expected + second.expected
+    }, ...rest);
+  }
+
+  const statistic = merged.reduce((sum, bin) => sum + (bin.observed - bin.expected) ** 2 / bin.expected, 0);
+  const df = merged.length - 1;
+  return {
+    statistic: round4(statistic),
+    df,
+    p_value: df > 0 ? round6(chiSquarePValue(statistic, df)) : null,
+    bins: merged.map(bin => ({ ...bin, expected: round4(bin.expected) }))
+  };
+}
+
+/**
+ * Valor z bilateral para un nivel alpha (bisección sobre la normal estándar)
+ */
+function twoSidedZ(alpha) {
+  let low = 0;
+  let high = 10;
+  for (let i = 0; i < 60; i++) {
+    const middle = (low + high) / 2;
+    if (2 * (1 - normalCdf(middle)) > alpha) low = middle;
+    else high = middle;
+  }
+  return (low + high) / 2;
+}
+
+/**
+ * RTP implícito a partir de la media de min(crash, RTP_CAP), con su intervalo de confianza
+ */
+function impliedRtp(multipliers, z) {
+  const n = multipliers.length;
+  let harmonic = 0;
+  for (let k = 1; k <= Math.round((RTP_CAP - 1) * 100); k++) {
+    harmonic += 1 / (1 + k / 100);
+  }
+  const scale = harmonic / 100;
+
+  const capped = multipliers.map(multiplier => Math.min(multiplier, RTP_CAP));
+  const mean = capped.reduce((sum, value) => sum + value, 0) / n;
+  const variance = capped.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (n - 1);
+  const estimate = (mean - 1) / scale;
+  const margin = z * Math.sqrt(variance / n) / scale;
+
+  return {
+    rtp: round4(estimate),
+    lower: round4(estimate - margin),
+    upper: round4(estimate + margin)
+  };
+}
+
+/**
+ * @param {Array<Object>} rows - Filas { max_multiplier } de game_rounds
+ * @param {Object} options - Normalizadas por normalizeFairnessOptions
+ */
+function auditFairness(rows, { rtp, alpha }) {
+  const multipliers = rows
+    .map(row => parseFloat(row.max_multiplier))
+    .filter(multiplier => Number.isFinite(multiplier) && multiplier >= 1);
+  const base = {
+    rounds_analyzed: multipliers.length,
+    rtp,
+    expected_house_edge: round4(1 - rtp),
+    alpha
+  };
+
+  if (multipliers.length < MIN_ROUNDS) {
+    return {
+      ...base,
+      insufficient_data: true,
+      min_rounds: MIN_ROUNDS,
+      deviates: null,
+      reasons: []
+    };
+  }
+
+  const sorted = [...multipliers].sort((a, b) => a - b);
+  const ks = ksTest(sorted, rtp);
+  const chiSquare = chiSquareTest(multipliers, rtp);
+  const implied = impliedRtp(multipliers, twoSidedZ(alpha));
+
+  const reasons = [];
+  if (ks.p_value < alpha) reasons.push('ks_test');
+  if (chiSquare.p_value !== null && chiSquare.p_value < alpha) reasons.push('chi_square_test');
+  if (rtp < implied.lower || rtp > implied.upper) reasons.push('implied_rtp');
+
+  return {
+    ...base,
+    insufficient_data: false,
+    implied_rtp: implied.rtp,
+    implied_rtp_ci: { lower: implied.lower, upper: implied.upper },
+    implied_house_edge: round4(1 - implied.rtp),
+    ks,
+    chi_square: chiSquare,
+    deviates: reasons.length > 0,
+    reasons
+  };
+}
+
+module.exports = {
+  MIN_ROUNDS,
+  normalizeFairnessOptions,
+  theoreticalSurvival,
+  chiSquarePValue,
+  kolmogorovPValue,
+  auditFairness
+};
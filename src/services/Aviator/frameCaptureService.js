@@ -0,0 +1,214 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Servicio de captura de frames WebSocket
+ *
+ * Registra cada frame binario entrante y saliente de un bookmaker en un archivo
+ * JSONL rotativo para poder reproducir exactamente lo que envió el proveedor
+ * (ver replay-capture.js).
+ *
+ * Formato de cada línea:
+ * - { type: 'meta', bookmakerId, name, decoderType, url, startedAt }  (primera línea de cada archivo)
+ * - { type: 'frame', timestamp, direction: 'in' | 'out', bookmakerId, payload }  (payload en base64)
+ * - { type: 'frame', timestamp, direction: 'out', bookmakerId, bytes }  (saliente sin contenido)
+ *
+ * Configuración por variables de entorno:
+ * - FRAME_CAPTURE=true                 Capturar todos los bookmakers
+ * - FRAME_CAPTURE_BOOKMAKERS=1,3       Capturar solo estos bookmakers
+ * - FRAME_CAPTURE_DIR=captures         Directorio de salida
+ * - FRAME_CAPTURE_MAX_MB=50            Tamaño máximo de cada archivo antes de rotar
+ * - FRAME_CAPTURE_MAX_FILES=5          Archivos que se conservan por bookmaker
+ * - FRAME_CAPTURE_OUTBOUND_PAYLOADS=true  Guardar también el contenido de los frames salientes
+ *
+ * Los frames salientes llevan los tokens de sesión del bookmaker (login, second_message):
+ * por defecto solo se registra su tamaño, y la url de la meta se guarda sin los valores de
+ * la query. El replay solo usa los frames entrantes. Los archivos se crean con permisos 600.
+ */
+class FrameCaptureService {
+  constructor() {
+    this.captureAll = process.env.FRAME_CAPTURE === 'true';
+    this.bookmakerIds = new Set(
+      (process.env.FRAME_CAPTURE_BOOKMAKERS || '')
+        .split(',')
+        .map(value => parseInt(value.trim()))
+        .filter(value => !isNaN(value))
+    );
+    this.directory = process.env.FRAME_CAPTURE_DIR || path.join(process.cwd(), 'captures');
+    this.maxBytes = (parseFloat(process.env.FRAME_CAPTURE_MAX_MB) || 50) * 1024 * 1024;
+    this.maxFiles = parseInt(process.env.FRAME_CAPTURE_MAX_FILES) || 5;
+    this.captureOutboundPayloads = process.env.FRAME_CAPTURE_OUTBOUND_PAYLOADS === 'true';
+    this.files = new Map(); // bookmakerId -> { stream, filePath, bytes, meta }
+  }
+
+  /**
+   * Indica si se deben capturar los frames de un bookmaker
+   */
+  isEnabled(bookmakerId) {
+    return this.captureAll || this.bookmakerIds.has(bookmakerId);
+  }
+
+  /**
+   * Abrir la captura de un bookmaker al conectar
+   * @param {Object} bookmaker - Configuración del bookmaker (id, nombre, url_websocket, decoder_type)
+   */
+  start(bookmaker) {
+    if (!this.isEnabled(bookmaker.id)) return;
+
+    const meta = {
+      type: 'meta',
+      bookmakerId: bookmaker.id,
+      name: bookmaker.nombre,
+      decoderType: bookmaker.decoder_type || 'auto',
+      url: this.redactUrl(bookmaker.url_websocket),
+      startedAt: new Date().toISOString()
+    };
+
+    // Las reconexiones siguen escribiendo en el mismo archivo mientras no cambie la configuración
+    const current = this.files.get(bookmaker.id);
+    if (current && current.meta.url === meta.url && current.meta.decoderType === meta.decoderType) {
+      return;
+    }
+
+    this.stop(bookmaker.id);
+    this.openFile(bookmaker.id, meta);
+  }
+
+  /**
+   * Registrar un frame
+   * @param {number} bookmakerId
+   * @param {string} direction - 'in' (recibido) o 'out' (enviado)
+   * @param {Buffer|string} data
+   */
+  record(bookmakerId, direction, data) {
+    const file = this.files.get(bookmakerId);
+    if (!file || data === undefined || data === null) return;
+
+    try {
+      const payload = Buffer.isBuffer(data) ? data : Buffer.from(data);
+      const entry = {
+        type: 'frame',
+        timestamp: new Date().toISOString(),
+        direction,
+        bookmakerId
+      };
+      if (direction === 'out' && !this.captureOutboundPayloads) {
+        entry.bytes = payload.length;
+      } else {
+        entry.payload = payload.toString('base64');
+      }
+      this.write(bookmakerId, entry);
+    } catch (error) {
+      console.error(`[FrameCapture:${bookmakerId}] ❌ Error registrando frame:`, error.message);
+    }
+  }
+
+  // Url sin los valores de la query (pueden llevar tokens)
+  redactUrl(url) {
+    if (!url) return url;
+    try {
+      const parsed = new URL(url);
+      for (const key of Array.from(parsed.searchParams.keys())) {
+        parsed.searchParams.set(key, 'REDACTED');
+      }
+      return parsed.toString();
+    } catch (error) {
+      return String(url).split('?')[0];
+    }
+  }
+
+  /**
+   * Cerrar la captura de un bookmaker
+   */
+  stop(bookmakerId) {
+    const file = this.files.get(bookmakerId);
+    if (!file) return;
+
+    file.stream.end();
+    this.files.delete(bookmakerId);
+  }
+
+  write(bookmakerId, entry) {
+    let file = this.files.get(bookmakerId);
+    const line = JSON.stringify(entry) + '\n';
+
+    if (file.bytes + Buffer.byteLength(line) > this.maxBytes) {
+      const meta = { ...file.meta, startedAt: new Date().toISOString() };
+      this.stop(bookmakerId);
+      file = this.openFile(bookmakerId, meta);
+    }
+
+    file.stream.write(line);
+    file.bytes += Buffer.byteLength(line);
+  }
+
+  openFile(bookmakerId, meta) {
+    const bookmakerDir = path.join(this.directory, `bookmaker_${bookmakerId}`);
+    fs.mkdirSync(bookmakerDir, { recursive: true });
+
+    const fileName = `${meta.startedAt.replace(/[:.]/g, '-')}.jsonl`;
+    const filePath = path.join(bookmakerDir, fileName);
+    const stream = fs.createWriteStream(filePath, { flags: 'a', mode: 0o600 });
+
+    stream.on('error', (error) => {
+      console.error(`[FrameCapture:${bookmakerId}] ❌ Error escribiendo ${filePath}:`, error.message);
+      this.files.delete(bookmakerId);
+    });
+
+    const file = { stream, filePath, bytes: 0, meta };
+    this.files.set(bookmakerId, file);
+    this.pruneOldFiles(bookmakerDir);
+
+    const metaLine = JSON.stringify(meta) + '\n';
+    stream.write(metaLine);
+    file.bytes += Buffer.byteLength(metaLine);
+
+    console.log(`[FrameCapture:${bookmakerId}] 🎥 Capturando frames en ${filePath}`);
+    return file;
+  }
+
+  // Conservar solo los últimos maxFiles archivos del bookmaker
+  pruneOldFiles(bookmakerDir) {
+    try {
+      const captures = fs.readdirSync(bookmakerDir)
+        .filter(fileName => fileName.endsWith('.jsonl'))
+        .sort();
+
+      for (const fileName of captures.slice(0, Math.max(0, captures.length - this.maxFiles))) {
+        fs.unlinkSync(path.join(bookmakerDir, fileName));
+      }
+    } catch (error) {
+      console.warn(`[FrameCapture] ⚠️ Error rotando capturas en ${bookmakerDir}:`, error.message);
+    }
+  }
+
+  /**
+   * Leer un archivo de captura completo
+   * @param {string} filePath
+   * @returns {{ meta: Object|null, frames: Array<Object> }}
+   */
+  readCapture(filePath) {
+    const lines = fs.readFileSync(filePath, 'utf8').split('\n');
+    let meta = null;
+    const frames = [];
+
+    for (const line of lines) {
+      if (!line.trim()) continue;
+      try {
+        const entry = JSON.parse(line);
+        if (entry.type === 'meta') {
+          meta = meta || entry;
+        } else if (entry.type === 'frame') {
+          frames.push(entry);
+        }
+      } catch (error) {
+        // Última línea truncada si el proceso murió escribiendo
+        console.warn(`[FrameCapture] ⚠️ Línea inválida en ${filePath}, omitiendo`);
+      }
+    }
+
+    return { meta, frames };
+  }
+}
+
+module.exports = new FrameCaptureService();
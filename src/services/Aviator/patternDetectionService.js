@@ -1,22 +1,52 @@
 const GameRound = require('../../models/Aviator/gameRoundModel');
 const SignalModel = require('../../models/Aviator/signalModel');
+const StrategyModel = require('../../models/Aviator/strategyModel');
+const { matchStrategy, isWinningResult, describeConditions } = require('./strategyEngine');
+const webhookService = require('./webhookService');
+
+// Tras un reinicio, una señal sigue pendiente solo si su última ronda es así de reciente
+const PENDING_SIGNAL_GRACE_MS = parseInt(process.env.PENDING_SIGNAL_GRACE_MS) || 2 * 60 * 1000;
+
+// Motivos de void (status_reason)
+const VOID_REASONS = {
+  WINDOW_ELAPSED: 'validity_window_elapsed', // No llegó la ronda del intento dentro de validity_seconds
+  FEED_DISCONNECTED: 'feed_disconnected', // Se cerró la conexión con el bookmaker
+  FEED_DOWN: 'feed_down' // El health check marcó el bookmaker como caído
+};
 
 /**
  * Servicio de detección de patrones para emitir señales
  * 
- * Patrón a detectar:
- * - Resultado 1: > 1.50x
- * - Resultado 2: > 1.50x
- * - Resultado 3: < 2.00x
+ * Las reglas son estrategias guardadas en la tabla strategies (ver strategyEngine.js).
+ * Por cada resultado nuevo se evalúan todas las estrategias habilitadas del bookmaker,
+ * y cada estrategia tiene como máximo una señal pendiente por bookmaker.
+ * 
+ * La señal se verifica con los siguientes resultados:
+ * - Gana si el resultado supera el objetivo de la estrategia
+ * - Si pierde y quedan gales (max_gales), se espera el siguiente resultado
+ * - Cada intento se guarda en signal_results y la señal recuerda en cuál ganó
+ * - Tras resolverse, la estrategia espera cooldown_rounds rondas antes de volver a emitir
+ * 
+ * Las señales pendientes viven en memoria; al arrancar, rehydratePendingSignals reconcilia
+ * las que quedaron pendientes en la base de datos.
+ * 
+ * Cada intento debe llegar dentro de la ventana de validez de la señal (validity_seconds
+ * desde la emisión o el intento anterior). Si vence, o se corta el feed del bookmaker, la
+ * señal queda void y no cuenta en las estadísticas.
  * 
- * Cuando se detecta este patrón, se emite una señal.
- * La señal se verifica con el siguiente resultado:
- * - Gana si el resultado es > 1.50x
- * - Pierde si el resultado es <= 1.50x (se permite 1 gale)
+ * Cada señal guarda la ronda tras la que se emitió (after_round_id) y cada intento debe ser
+ * la ronda siguiente a la anterior. Si faltan rondas en medio (reconexión) no se puede saber
+ * el resultado real: la señal queda unverifiable en lugar de ganada o perdida.
+ * 
+ * Los eventos de señales solo llegan a los clientes suscritos (subscribeSignals), por
+ * bookmaker (sala signals:<bookmakerId>) o por estrategia (signals:<bookmakerId>:<strategyId>).
  */
 class PatternDetectionService {
   constructor() {
-    this.pendingSignals = new Map(); // bookmakerId -> signalId
+    this.pendingSignals = new Map(); // `${bookmakerId}:${strategyId}` -> { signalId, bookmakerId, strategyId, cooldownRounds, expiresAt, lastRoundId }
+    this.cooldowns = new Map(); // `${bookmakerId}:${strategyId}` -> rondas restantes sin emitir
+    this.strategyCache = new Map(); // bookmakerId -> { strategies, loadedAt }
+    this.strategyCacheTtlMs = 30000;
     this.io = null;
   }
 
@@ -28,32 +58,47 @@ class PatternDetectionService {
     console.log('[PatternDetection] ✅ Servicio de detección de patrones inicializado');
   }
 
+  pendingKey(bookmakerId, strategyId) {
+    return `${bookmakerId}:${strategyId}`;
+  }
+
   /**
-   * Detectar patrón en los últimos resultados
-   * Patrón: >1.50x, >1.50x, <2.00x
+   * Estrategias habilitadas del bookmaker (cache corta para no consultar en cada ronda)
    */
-  detectPattern(results) {
-    if (!results || results.length < 3) {
-      return false;
+  async getStrategies(bookmakerId) {
+    const cached = this.strategyCache.get(bookmakerId);
+    if (cached && Date.now() - cached.loadedAt < this.strategyCacheTtlMs) {
+      return cached.strategies;
     }
 
-    // Necesitamos al menos 3 resultados para detectar el patrón
-    // Los resultados vienen ordenados DESC (más reciente primero)
-    const result1 = parseFloat(results[0].max_multiplier) || 0;
-    const result2 = parseFloat(results[1].max_multiplier) || 0;
-    const result3 = parseFloat(results[2].max_multiplier) || 0;
+    const strategies = await StrategyModel.getEnabledForBookmaker(bookmakerId);
+    this.strategyCache.set(bookmakerId, { strategies, loadedAt: Date.now() });
+    return strategies;
+  }
+
+  // Llamar tras crear, editar o eliminar estrategias
+  invalidateStrategies() {
+    this.strategyCache.clear();
+  }
+
+  /**
+   * Detectar el patrón de una estrategia en los últimos resultados
+   * @param {Array<Object>} results - Filas de game_rounds, la más reciente primero
+   * @param {Object} strategy - Fila de strategies
+   */
+  detectPattern(results, strategy) {
+    if (!results || results.length < strategy.conditions.length) {
+      return { detected: false };
+    }
 
-    // Patrón: >1.50x, >1.50x, <2.00x
-    const patternDetected = 
-      result1 > 1.50 &&
-      result2 > 1.50 &&
-      result3 < 2.00;
+    const multipliers = results.map(result => parseFloat(result.max_multiplier) || 0);
+    const pattern = matchStrategy(strategy, multipliers);
 
-    if (patternDetected) {
-      console.log(`[PatternDetection] 🎯 Patrón detectado: ${result1.toFixed(2)}x, ${result2.toFixed(2)}x, ${result3.toFixed(2)}x`);
+    if (pattern) {
+      console.log(`[PatternDetection] 🎯 Patrón "${strategy.name}" detectado: ${pattern.map(p => p.toFixed(2) + 'x').join(', ')} (${describeConditions(strategy)})`);
       return {
         detected: true,
-        pattern: [result1, result2, result3]
+        pattern
       };
     }
 
@@ -84,17 +129,27 @@ class PatternDetectionService {
         this.processedResults = new Set(array.slice(-500)); // Mantener últimos 500
       }
 
-      // Verificar si hay señales pendientes para este bookmaker
-      const pendingSignalId = this.pendingSignals.get(bookmakerId);
-      
-      if (pendingSignalId) {
-        // Hay una señal pendiente, verificar resultado
-        await this.verifySignal(pendingSignalId, bookmakerId, roundId, multiplier);
+      // Cada resultado nuevo descuenta una ronda de cooldown
+      this.tickCooldowns(bookmakerId);
+
+      // Verificar las señales pendientes de este bookmaker (una por estrategia)
+      const pendingForBookmaker = Array.from(this.pendingSignals.values()).filter(pending => pending.bookmakerId === bookmakerId);
+      for (const pending of pendingForBookmaker) {
+        if (this.isExpired(pending)) {
+          await this.voidSignal(pending, VOID_REASONS.WINDOW_ELAPSED);
+        } else {
+          await this.verifySignal(pending, roundId, multiplier);
+        }
       }
 
-      // Obtener últimos 5 resultados para detectar nuevos patrones
-      // IMPORTANTE: Usar DISTINCT para evitar duplicados en la consulta
-      const lastResults = await GameRound.getLastResults(bookmakerId, 5);
+      const strategies = await this.getStrategies(bookmakerId);
+      if (strategies.length === 0) {
+        return;
+      }
+
+      // Obtener los últimos resultados que necesita la estrategia más larga (con margen por duplicados)
+      const depth = Math.max(...strategies.map(strategy => strategy.conditions.length));
+      const lastResults = await GameRound.getLastResults(bookmakerId, depth + 2);
       
       // Filtrar duplicados por round_id antes de analizar
       const uniqueResults = [];
@@ -106,12 +161,20 @@ class PatternDetectionService {
         }
       }
       
-      if (uniqueResults.length >= 3) {
-        const patternCheck = this.detectPattern(uniqueResults);
-        
+      for (const strategy of strategies) {
+        const key = this.pendingKey(bookmakerId, strategy.id);
+        if (this.pendingSignals.has(key) || this.cooldowns.has(key)) {
+          continue;
+        }
+
+        const patternCheck = this.detectPattern(uniqueResults, strategy);
         if (patternCheck.detected) {
-          // Emitir nueva señal
-          await this.emitSignal(bookmakerId, patternCheck.pattern);
+          // Emitir nueva señal; si falla el insert de una estrategia, las demás siguen
+          try {
+            await this.emitSignal(bookmakerId, patternCheck.pattern, strategy, roundId);
+          } catch (error) {
+            console.error(`[PatternDetection] ⚠️ Señal de "${strategy.name}" no emitida para bookmaker ${bookmakerId}, se continúa con las demás estrategias`);
+          }
         }
       }
     } catch (error) {
@@ -119,35 +182,65 @@ class PatternDetectionService {
     }
   }
 
+  /**
+   * Verificar las señales pendientes con una ronda recuperada del outbox
+   * No vence señales, no descuenta cooldown ni emite señales nuevas: la ronda ya se jugó.
+   * checkRoundSequence descarta las rondas que no son la siguiente del intento
+   */
+  async processReplayedResult(bookmakerId, roundId, multiplier) {
+    const pendingForBookmaker = Array.from(this.pendingSignals.values()).filter(pending => pending.bookmakerId === bookmakerId);
+    for (const pending of pendingForBookmaker) {
+      await this.verifySignal(pending, roundId, multiplier);
+    }
+  }
+
+  tickCooldowns(bookmakerId) {
+    for (const [key, rounds] of this.cooldowns) {
+      if (!key.startsWith(`${bookmakerId}:`)) continue;
+      if (rounds <= 1) {
+        this.cooldowns.delete(key);
+      } else {
+        this.cooldowns.set(key, rounds - 1);
+      }
+    }
+  }
+
   /**
    * Emitir una nueva señal
+   * @param {string} afterRoundId - Ronda cuyo resultado completó el patrón
    */
-  async emitSignal(bookmakerId, pattern) {
+  async emitSignal(bookmakerId, pattern, strategy, afterRoundId = null) {
     try {
-      // Verificar si ya hay una señal pendiente para este bookmaker
-      if (this.pendingSignals.has(bookmakerId)) {
-        console.log(`[PatternDetection] ⚠️ Ya existe una señal pendiente para bookmaker ${bookmakerId}`);
+      const key = this.pendingKey(bookmakerId, strategy.id);
+
+      // Verificar si ya hay una señal pendiente para este bookmaker y estrategia
+      if (this.pendingSignals.has(key)) {
+        console.log(`[PatternDetection] ⚠️ Ya existe una señal pendiente de "${strategy.name}" para bookmaker ${bookmakerId}`);
         return;
       }
 
       // Crear señal en la base de datos
-      const signal = await SignalModel.createSignal(bookmakerId, pattern);
+      const signal = await SignalModel.createSignal(bookmakerId, pattern, strategy, afterRoundId);
       
       // Guardar referencia de señal pendiente
-      this.pendingSignals.set(bookmakerId, signal.id);
+      this.pendingSignals.set(key, {
+        signalId: signal.id,
+        bookmakerId,
+        strategyId: strategy.id,
+        cooldownRounds: strategy.cooldown_rounds,
+        expiresAt: this.getExpiresAt(signal),
+        lastRoundId: afterRoundId
+      });
 
-      console.log(`[PatternDetection] 🚨 SEÑAL EMITIDA para bookmaker ${bookmakerId} - Signal ID: ${signal.id}`);
-      console.log(`[PatternDetection] 📊 Patrón: ${pattern.map(p => p.toFixed(2) + 'x').join(', ')}`);
+      console.log(`[PatternDetection] 🚨 SEÑAL EMITIDA para bookmaker ${bookmakerId} - Signal ID: ${signal.id} - Estrategia: ${strategy.name}`);
+      console.log(`[PatternDetection] 📊 Patrón: ${pattern.map(p => p.toFixed(2) + 'x').join(', ')} - Objetivo: ${parseFloat(strategy.target_multiplier).toFixed(2)}x`);
 
-      // Emitir evento WebSocket
+      // Emitir evento WebSocket a los suscritos al bookmaker o a la estrategia, y a los webhooks
+      const signalData = this.formatSignal(signal, strategy.name, pattern);
       if (this.io) {
-        this.io.emit('signalEmitted', {
-          signalId: signal.id,
-          bookmakerId: bookmakerId,
-          pattern: pattern,
-          timestamp: signal.signal_timestamp
-        });
+        this.io.to(this.signalRooms(bookmakerId, strategy.id)).emit('signalEmitted', signalData);
       }
+      webhookService.publish('signalEmitted', signalData, bookmakerId);
 
       return signal;
     } catch (error) {
@@ -156,13 +249,36 @@ class PatternDetectionService {
     }
   }
 
+  /**
+   * Cerrar una señal pendiente y arrancar el cooldown de su estrategia
+   */
+  resolvePending(pending) {
+    const key = this.pendingKey(pending.bookmakerId, pending.strategyId);
+    this.pendingSignals.delete(key);
+    if (pending.cooldownRounds > 0) {
+      this.cooldowns.set(key, pending.cooldownRounds);
+    }
+  }
+
   /**
    * Verificar resultado de una señal pendiente
+   * @param {Object} pending - Entrada de pendingSignals
    */
-  async verifySignal(signalId, bookmakerId, roundId, multiplier) {
+  async verifySignal(pending, roundId, multiplier) {
+    const { signalId, bookmakerId, strategyId } = pending;
     try {
       const multiplierValue = parseFloat(multiplier) || 0;
-      const isWin = multiplierValue > 1.50;
+
+      // El intento tiene que ser la ronda siguiente a la de emisión o a la del intento anterior
+      const sequence = this.checkRoundSequence(pending.lastRoundId, roundId);
+      if (sequence === 'stale') {
+        console.log(`[PatternDetection] ⚠️ Ronda ${roundId} no es posterior a ${pending.lastRoundId}, no cuenta para la señal ${signalId}`);
+        return;
+      }
+      if (sequence === 'gap') {
+        await this.closeUnresolved(pending, 'unverifiable', `round_gap:${pending.lastRoundId}->${roundId}`);
+        return;
+      }
 
       // Obtener la señal actual
       const pendingSignals = await SignalModel.getPendingSignals(bookmakerId);
@@ -170,92 +286,371 @@ class PatternDetectionService {
 
       if (!signal) {
         console.log(`[PatternDetection] ⚠️ Señal ${signalId} no encontrada o ya procesada`);
-        this.pendingSignals.delete(bookmakerId);
+        this.pendingSignals.delete(this.pendingKey(bookmakerId, strategyId));
         return;
       }
 
-      // Verificar si es el primer intento o el gale
-      const isFirstAttempt = !signal.first_attempt_result;
-
-      if (isFirstAttempt) {
-        // Primer intento
-        console.log(`[PatternDetection] 🎲 Primer intento - Resultado: ${multiplierValue.toFixed(2)}x - ${isWin ? '✅ GANÓ' : '❌ PERDIÓ'}`);
-        
-        await SignalModel.updateFirstAttempt(signalId, multiplierValue, roundId);
-
-        if (isWin) {
-          // Ganó en el primer intento, señal completada
-          console.log(`[PatternDetection] ✅ Señal ${signalId} GANADA en primer intento`);
-          this.pendingSignals.delete(bookmakerId);
-          
-          // Emitir evento
-          if (this.io) {
-            this.io.emit('signalResult', {
-              signalId: signalId,
-              bookmakerId: bookmakerId,
-              attempt: 1,
-              result: multiplierValue,
-              status: 'won',
-              galeUsed: false
-            });
-          }
-        } else {
-          // Perdió, esperar gale (siguiente resultado)
-          console.log(`[PatternDetection] ⏳ Señal ${signalId} perdió primer intento, esperando gale...`);
-          
-          // Emitir evento
-          if (this.io) {
-            this.io.emit('signalResult', {
-              signalId: signalId,
-              bookmakerId: bookmakerId,
-              attempt: 1,
-              result: multiplierValue,
-              status: 'pending_gale',
-              galeUsed: false
-            });
-          }
-        }
+      // Objetivo y gales vigentes al emitir (editar la estrategia no cambia señales en curso)
+      const targetMultiplier = parseFloat(signal.target_multiplier);
+      const maxGales = parseInt(signal.max_gales);
+      const attempt = (parseInt(signal.attempts_count) || 0) + 1; // 1 = entrada, 2.. = gales
+      const isWin = isWinningResult(signal, multiplierValue);
+      const attemptLabel = attempt === 1 ? 'Primer intento' : `Gale ${attempt - 1}/${maxGales}`;
+
+      console.log(`[PatternDetection] 🎲 ${attemptLabel} - Resultado: ${multiplierValue.toFixed(2)}x (objetivo ${targetMultiplier.toFixed(2)}x) - ${isWin ? '✅ GANÓ' : '❌ PERDIÓ'}`);
+
+      const updated = await SignalModel.recordAttempt(signal, attempt, multiplierValue, roundId);
+      if (!updated) {
+        // Se cerró mientras tanto (void por el feed o la ventana de validez)
+        console.log(`[PatternDetection] ⚠️ Señal ${signalId} ya no está pendiente, se descarta el intento`);
+        this.pendingSignals.delete(this.pendingKey(bookmakerId, strategyId));
+        return;
+      }
+      const finalStatus = updated.status;
+
+      if (finalStatus === 'pending') {
+        // Perdió, esperar el siguiente gale dentro de una nueva ventana de validez
+        pending.expiresAt = this.getExpiresAt(updated);
+        pending.lastRoundId = roundId;
+        console.log(`[PatternDetection] ⏳ Señal ${signalId} perdió el intento ${attempt}, esperando gale ${attempt}/${maxGales}...`);
       } else {
-        // Segundo intento (gale)
-        console.log(`[PatternDetection] 🎲 Segundo intento (GALE) - Resultado: ${multiplierValue.toFixed(2)}x - ${isWin ? '✅ GANÓ' : '❌ PERDIÓ'}`);
-        
-        await SignalModel.updateSecondAttempt(signalId, multiplierValue, roundId);
-        
-        // Señal completada (ganó o perdió)
-        this.pendingSignals.delete(bookmakerId);
-        
-        const finalStatus = isWin ? 'won' : 'lost';
-        console.log(`[PatternDetection] ${isWin ? '✅' : '❌'} Señal ${signalId} ${finalStatus.toUpperCase()} en gale`);
-        
-        // Emitir evento
-        if (this.io) {
-          this.io.emit('signalResult', {
-            signalId: signalId,
-            bookmakerId: bookmakerId,
-            attempt: 2,
-            result: multiplierValue,
-            status: finalStatus,
-            galeUsed: true
-          });
-        }
+        // Señal completada (ganó o se agotaron los gales)
+        console.log(`[PatternDetection] ${isWin ? '✅' : '❌'} Señal ${signalId} ${finalStatus.toUpperCase()} en ${attemptLabel.toLowerCase()}`);
+        this.resolvePending(pending);
       }
+
+      // Emitir evento
+      this.emitSignalResult(signal, {
+        attempt,
+        result: multiplierValue,
+        status: finalStatus === 'pending' ? 'pending_gale' : finalStatus,
+        winningAttempt: isWin ? attempt : null
+      });
     } catch (error) {
       console.error(`[PatternDetection] ❌ Error verificando señal:`, error.message);
       // Limpiar señal pendiente en caso de error
-      this.pendingSignals.delete(bookmakerId);
+      this.pendingSignals.delete(this.pendingKey(bookmakerId, strategyId));
+    }
+  }
+
+  getExpiresAt(signal) {
+    if (signal.expires_at) return new Date(signal.expires_at).getTime();
+    return Date.now() + (parseInt(signal.validity_seconds) || 180) * 1000;
+  }
+
+  isExpired(pending, now = Date.now()) {
+    return pending.expiresAt !== undefined && pending.expiresAt !== null && now > pending.expiresAt;
+  }
+
+  /**
+   * ¿roundId es la ronda siguiente a previousRoundId?
+   * Solo los round_id numéricos forman una secuencia (como en roundGapService): con ids
+   * temporales o señales anteriores a after_round_id no se puede comprobar y se acepta
+   * @returns {string} - next | gap | stale (ronda anterior o repetida) | unknown
+   */
+  checkRoundSequence(previousRoundId, roundId) {
+    const numeric = /^[0-9]{1,15}$/;
+    if (!numeric.test(String(previousRoundId)) || !numeric.test(String(roundId))) return 'unknown';
+
+    const distance = Number(roundId) - Number(previousRoundId);
+    if (distance === 1) return 'next';
+    return distance > 1 ? 'gap' : 'stale';
+  }
+
+  /**
+   * Cerrar una señal pendiente sin resultado: void (ventana vencida, feed caído) o
+   * unverifiable (faltan rondas). No arranca cooldown; la estrategia puede volver a emitir
+   */
+  async closeUnresolved(pending, status, reason) {
+    const { signalId, bookmakerId, strategyId } = pending;
+    this.pendingSignals.delete(this.pendingKey(bookmakerId, strategyId));
+    try {
+      const signal = await SignalModel.closeUnresolvedSignal(signalId, status, reason);
+      if (!signal) return;
+
+      console.log(`[PatternDetection] 🚫 Señal ${signalId} de bookmaker ${bookmakerId} ${status.toUpperCase()} (${reason})`);
+      this.emitSignalResult(signal, {
+        attempt: parseInt(signal.attempts_count) || 0,
+        status,
+        reason
+      });
+    } catch (error) {
+      console.error(`[PatternDetection] ❌ Error cerrando señal ${signalId} como ${status}:`, error.message);
+    }
+  }
+
+  async voidSignal(pending, reason) {
+    await this.closeUnresolved(pending, 'void', reason);
+  }
+
+  /**
+   * Anular las señales pendientes de un bookmaker cuyo feed se cortó
+   */
+  async voidPendingSignals(bookmakerId, reason) {
+    const pendingForBookmaker = Array.from(this.pendingSignals.values()).filter(pending => pending.bookmakerId === bookmakerId);
+    for (const pending of pendingForBookmaker) {
+      await this.voidSignal(pending, reason);
+    }
+  }
+
+  /**
+   * Anular las señales cuya ventana de validez venció sin recibir la ronda (timer del servicio WebSocket)
+   */
+  async voidExpiredSignals(now = Date.now()) {
+    const expired = Array.from(this.pendingSignals.values()).filter(pending => this.isExpired(pending, now));
+    for (const pending of expired) {
+      await this.voidSignal(pending, VOID_REASONS.WINDOW_ELAPSED);
+    }
+  }
+
+  /**
+   * Emitir signalResult a los clientes y a los webhooks
+   * @param {Object} signal - Fila de signals
+   * @param {Object} outcome - { attempt, result, status, winningAttempt, reason }
+   */
+  emitSignalResult(signal, { attempt, result = null, status, winningAttempt = null, reason = null }) {
+    const resultData = {
+      signalId: signal.id,
+      bookmakerId: signal.bookmaker_id,
+      strategyId: signal.strategy_id,
+      attempt: attempt,
+      result: result,
+      status: status,
+      galeUsed: attempt > 1,
+      winningAttempt: winningAttempt,
+      maxGales: parseInt(signal.max_gales),
+      ...(reason ? { reason } : {})
+    };
+    if (this.io) {
+      this.io.to(this.signalRooms(signal.bookmaker_id, signal.strategy_id)).emit('signalResult', resultData);
+    }
+    webhookService.publish('signalResult', resultData, signal.bookmaker_id);
+  }
+
+  /**
+   * Datos de una señal para los clientes (signalEmitted y snapshot de suscripción)
+   */
+  formatSignal(signal, strategyName = null, pattern = signal.pattern_detected) {
+    return {
+      signalId: signal.id,
+      bookmakerId: signal.bookmaker_id,
+      strategyId: signal.strategy_id,
+      strategyName: strategyName,
+      targetMultiplier: parseFloat(signal.target_multiplier),
+      maxGales: parseInt(signal.max_gales),
+      validitySeconds: parseInt(signal.validity_seconds),
+      afterRoundId: signal.after_round_id,
+      expiresAt: signal.expires_at,
+      pattern: pattern,
+      timestamp: signal.signal_timestamp
+    };
+  }
+
+  /**
+   * Salas de Socket.IO que reciben los eventos de una señal
+   */
+  signalRooms(bookmakerId, strategyId = null) {
+    const rooms = [`signals:${bookmakerId}`];
+    if (strategyId !== null && strategyId !== undefined) {
+      rooms.push(`signals:${bookmakerId}:${strategyId}`);
+    }
+    return rooms;
+  }
+
+  /**
+   * Sala de una suscripción: { bookmakerId, strategyId? } (sin strategyId = todas las estrategias)
+   * @throws {Error} - Si bookmakerId o strategyId no son válidos
+   */
+  subscriptionRoom(request) {
+    const { bookmakerId, strategyId = null } = typeof request === 'object' && request !== null ? request : { bookmakerId: request };
+    const bookmakerIdInt = parseInt(bookmakerId);
+    const strategyIdInt = strategyId === null || strategyId === undefined || strategyId === '' ? null : parseInt(strategyId);
+    if (isNaN(bookmakerIdInt) || Number.isNaN(strategyIdInt)) {
+      throw new Error('bookmakerId y strategyId deben ser números');
+    }
+    const rooms = this.signalRooms(bookmakerIdInt, strategyIdInt);
+    return { bookmakerId: bookmakerIdInt, strategyId: strategyIdInt, room: rooms[rooms.length - 1] };
+  }
+
+  /**
+   * Señales pendientes en seguimiento de un bookmaker (opcionalmente de una estrategia)
+   */
+  async getPendingSnapshot(bookmakerId, strategyId = null) {
+    const trackedIds = new Set(Array.from(this.pendingSignals.values())
+      .filter(pending => pending.bookmakerId === bookmakerId && (strategyId === null || pending.strategyId === strategyId))
+      .map(pending => pending.signalId));
+    if (trackedIds.size === 0) return [];
+
+    const signals = await SignalModel.getPendingSignals(bookmakerId);
+    return signals
+      .filter(signal => trackedIds.has(signal.id))
+      .map(signal => ({
+        ...this.formatSignal(signal, signal.strategy_name),
+        attemptsCount: parseInt(signal.attempts_count) || 0
+      }));
+  }
+
+  /**
+   * Handler de 'subscribeSignals': une el socket a la sala y le envía las señales pendientes
+   * @param {Object} socket - Socket del cliente
+   * @param {Object|number} request - { bookmakerId, strategyId? } o solo el bookmakerId
+   * @param {Function} ack - Callback opcional del cliente
+   */
+  async subscribeSignals(socket, request, ack) {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const { bookmakerId, strategyId, room } = this.subscriptionRoom(request);
+      socket.join(room);
+      const signals = await this.getPendingSnapshot(bookmakerId, strategyId);
+      socket.emit('signalsSnapshot', { bookmakerId, strategyId, signals });
+      reply({ success: true, room, pending: signals.length });
+    } catch (error) {
+      console.error(`[PatternDetection] ❌ Error en subscribeSignals:`, error.message);
+      reply({ success: false, error: error.message });
+    }
+  }
+
+  unsubscribeSignals(socket, request, ack) {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const { room } = this.subscriptionRoom(request);
+      socket.leave(room);
+      reply({ success: true, room });
+    } catch (error) {
+      reply({ success: false, error: error.message });
+    }
+  }
+
+  /**
+   * Reconciliar las señales que quedaron pendientes en la base de datos (reinicio o caída)
+   * - Se verifican con las rondas ya guardadas desde signal_timestamp
+   * - Si siguen pendientes y su última ronda es reciente, vuelven a pendingSignals
+   * - Si no, se cierran como expired con el motivo en status_reason
+   * Idempotente: las señales que ya se siguen en memoria no se tocan
+   */
+  async rehydratePendingSignals() {
+    const summary = { resolved: 0, tracked: 0, expired: 0, unverifiable: 0, failed: 0 };
+    try {
+      // De la más reciente a la más antigua: la más reciente de cada estrategia es la que se sigue
+      const signals = await SignalModel.getPendingSignals();
+      const trackedIds = new Set(Array.from(this.pendingSignals.values()).map(pending => pending.signalId));
+      const claimed = new Set(this.pendingSignals.keys());
+
+      for (const signal of signals) {
+        if (trackedIds.has(signal.id)) continue;
+        try {
+          const outcome = await this.reconcileSignal(signal, claimed);
+          summary[outcome]++;
+        } catch (error) {
+          summary.failed++;
+          console.error(`[PatternDetection] ❌ Error reconciliando señal ${signal.id}:`, error.message);
+        }
+      }
+
+      if (signals.length > 0) {
+        console.log(`[PatternDetection] ♻️ Señales pendientes reconciliadas: ${summary.resolved} resueltas, ${summary.tracked} en seguimiento, ${summary.expired} expiradas, ${summary.unverifiable} no verificables, ${summary.failed} con error`);
+      }
+    } catch (error) {
+      console.error(`[PatternDetection] ❌ Error cargando señales pendientes:`, error.message);
+    }
+    return summary;
+  }
+
+  /**
+   * @param {Object} signal - Fila de signals pendiente
+   * @param {Set<string>} claimed - Estrategias que ya tienen una señal en seguimiento
+   * @returns {string} - resolved | tracked | expired | unverifiable
+   */
+  async reconcileSignal(signal, claimed) {
+    const bookmakerId = signal.bookmaker_id;
+    const key = this.pendingKey(bookmakerId, signal.strategy_id);
+    const maxGales = parseInt(signal.max_gales);
+    let attempt = parseInt(signal.attempts_count) || 0;
+
+    // Rondas guardadas después de emitir la señal que aún no cuentan como intento
+    const recordedRoundIds = await SignalModel.getAttemptRoundIds(signal.id);
+    const recorded = new Set(recordedRoundIds);
+    const rounds = await GameRound.getResultsInRange(bookmakerId, signal.signal_timestamp, new Date(), recorded.size + maxGales + 1);
+    let lastActivity = new Date(signal.signal_timestamp).getTime();
+    let latest = signal;
+    let lastRoundId = recordedRoundIds.length > 0 ? recordedRoundIds[recordedRoundIds.length - 1] : signal.after_round_id;
+
+    for (const round of rounds) {
+      lastActivity = Math.max(lastActivity, new Date(round.timestamp).getTime());
+      if (recorded.has(String(round.round_id))) continue;
+
+      const sequence = this.checkRoundSequence(lastRoundId, round.round_id);
+      if (sequence === 'stale') continue;
+      if (sequence === 'gap') {
+        const closed = await SignalModel.closeUnresolvedSignal(signal.id, 'unverifiable', `round_gap:${lastRoundId}->${round.round_id}`);
+        if (closed) {
+          console.log(`[PatternDetection] ♻️ Señal ${signal.id} UNVERIFIABLE: faltan rondas entre ${lastRoundId} y ${round.round_id}`);
+          this.emitSignalResult(signal, { attempt, status: 'unverifiable', reason: closed.status_reason });
+        }
+        return 'unverifiable';
+      }
+      lastRoundId = String(round.round_id);
+
+      attempt++;
+      const multiplierValue = parseFloat(round.max_multiplier) || 0;
+      const updated = await SignalModel.recordAttempt(signal, attempt, multiplierValue, String(round.round_id));
+      if (!updated) return 'resolved';
+      latest = updated;
+      if (updated.status !== 'pending') {
+        console.log(`[PatternDetection] ♻️ Señal ${signal.id} ${updated.status.toUpperCase()} con rondas guardadas (intento ${attempt})`);
+        this.emitSignalResult(signal, {
+          attempt,
+          result: multiplierValue,
+          status: updated.status,
+          winningAttempt: updated.winning_attempt
+        });
+        return 'resolved';
+      }
+    }
+
+    // Sigue pendiente: se sigue en vivo solo si es la más reciente de su estrategia y no se perdieron rondas
+    let reason = null;
+    if (claimed.has(key)) {
+      reason = 'superseded_after_restart';
+    } else if (Date.now() - lastActivity > PENDING_SIGNAL_GRACE_MS) {
+      reason = 'stale_after_restart';
+    }
+
+    if (!reason) {
+      const strategy = signal.strategy_id ? await StrategyModel.getById(signal.strategy_id) : null;
+      this.pendingSignals.set(key, {
+        signalId: signal.id,
+        bookmakerId,
+        strategyId: signal.strategy_id,
+        cooldownRounds: strategy ? strategy.cooldown_rounds : 0,
+        expiresAt: this.getExpiresAt(latest),
+        lastRoundId
+      });
+      claimed.add(key);
+      console.log(`[PatternDetection] ♻️ Señal ${signal.id} de bookmaker ${bookmakerId} vuelve a seguimiento (intento ${attempt + 1}/${maxGales + 1})`);
+      return 'tracked';
+    }
+
+    const expired = await SignalModel.closeUnresolvedSignal(signal.id, 'expired', reason);
+    if (expired) {
+      console.log(`[PatternDetection] ⌛ Señal ${signal.id} de bookmaker ${bookmakerId} EXPIRED (${reason})`);
+      this.emitSignalResult(signal, { attempt, status: 'expired', reason });
     }
+    return 'expired';
   }
 
   /**
    * Obtener señales pendientes
    */
   getPendingSignals() {
-    return Array.from(this.pendingSignals.entries()).map(([bookmakerId, signalId]) => ({
+    return Array.from(this.pendingSignals.values()).map(({ bookmakerId, strategyId, signalId }) => ({
       bookmakerId,
+      strategyId,
       signalId
     }));
   }
 }
 
 module.exports = new PatternDetectionService();
+module.exports.VOID_REASONS = VOID_REASONS;
 
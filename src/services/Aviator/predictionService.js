@@ -0,0 +1,331 @@
+const GameRound = require('../../models/Aviator/gameRoundModel');
+const PredictionModel = require('../../models/Aviator/predictionModel');
+const { isWinningResult } = require('./strategyEngine');
+
+/**
+ * Servicio de predicciones por hora
+ *
+ * Un resultado por encima del disparador (PREDICTION_TRIGGER_MULTIPLIER, >3.00x por defecto)
+ * programa una predicción para una hora futura: prediction_time = hora del disparo +
+ * PREDICTION_DELAY_SECONDS. Ciclo de vida (tabla predictions):
+ *
+ *   pending   Esperando la hora predicha
+ *   active    Ventana de entrada abierta durante PREDICTION_WINDOW_SECONDS desde prediction_time
+ *   won/lost  La primera ronda que cae en la ventana supera (o no) PREDICTION_TARGET_MULTIPLIER
+ *   expired   La ventana se cerró sin ninguna ronda (feed caído, bookmaker pausado)
+ *
+ * Cada bookmaker tiene como máximo una predicción abierta; los disparos mientras hay una
+ * pendiente o activa se ignoran. El reloj (tick) lo llama WebSocketService cada segundo.
+ *
+ * Las predicciones abiertas viven en memoria; al arrancar, rehydratePredictions resuelve con
+ * las rondas guardadas las que quedaron abiertas en la base de datos.
+ *
+ * Los eventos solo llegan a los clientes suscritos (subscribePredictions, sala predictions:<bookmakerId>).
+ */
+class PredictionService {
+  constructor() {
+    this.config = {
+      enabled: process.env.PREDICTIONS_ENABLED !== 'false',
+      triggerMultiplier: parseFloat(process.env.PREDICTION_TRIGGER_MULTIPLIER) || 3.0,
+      delaySeconds: parseInt(process.env.PREDICTION_DELAY_SECONDS) || 120,
+      windowSeconds: parseInt(process.env.PREDICTION_WINDOW_SECONDS) || 60,
+      targetMultiplier: parseFloat(process.env.PREDICTION_TARGET_MULTIPLIER) || 2.0
+    };
+    this.openPredictions = new Map(); // bookmakerId -> { predictionId, bookmakerId, status, predictionTime, windowEndsAt, targetMultiplier, activating }
+    this.io = null;
+  }
+
+  initialize(io) {
+    this.io = io;
+    console.log(`[Predictions] ✅ Servicio de predicciones inicializado (disparo >${this.config.triggerMultiplier.toFixed(2)}x, +${this.config.delaySeconds}s, ventana ${this.config.windowSeconds}s, objetivo ${this.config.targetMultiplier.toFixed(2)}x)`);
+  }
+
+  /**
+   * Procesar un resultado nuevo: resolver la predicción abierta si la ronda cae en su ventana
+   * y programar una nueva si el resultado supera el disparador
+   */
+  async processNewResult(bookmakerId, roundId, multiplier, now = Date.now()) {
+    if (!this.config.enabled) return;
+    try {
+      const open = this.openPredictions.get(bookmakerId);
+      if (open && open.predictionId !== null && now > open.windowEndsAt) {
+        await this.expire(open, 'no_round_in_window');
+      } else if (open && now >= open.predictionTime) {
+        await this.resolve(open, roundId, multiplier, new Date(now));
+      }
+
+      if (multiplier > this.config.triggerMultiplier && !this.openPredictions.has(bookmakerId)) {
+        await this.schedulePrediction(bookmakerId, roundId, multiplier, now);
+      }
+    } catch (error) {
+      console.error(`[Predictions] ❌ Error procesando resultado:`, error.message);
+    }
+  }
+
+  /**
+   * Ronda recuperada del outbox: solo resuelve la predicción abierta si la ronda se jugó
+   * dentro de su ventana; no programa predicciones nuevas
+   * @param {number} playedAt - Hora de la ronda (ms)
+   */
+  async processReplayedResult(bookmakerId, roundId, multiplier, playedAt) {
+    if (!this.config.enabled) return;
+    const open = this.openPredictions.get(bookmakerId);
+    if (!open || open.predictionId === null) return;
+    if (playedAt < open.predictionTime || playedAt > open.windowEndsAt) return;
+    await this.resolve(open, roundId, multiplier, new Date(playedAt));
+  }
+
+  async schedulePrediction(bookmakerId, roundId, multiplier, now = Date.now()) {
+    const predictionTime = now + this.config.delaySeconds * 1000;
+    // Reservar el bookmaker antes de esperar a la base de datos
+    const entry = {
+      predictionId: null,
+      bookmakerId,
+      status: 'pending',
+      predictionTime,
+      windowEndsAt: predictionTime + this.config.windowSeconds * 1000,
+      targetMultiplier: this.config.targetMultiplier,
+      activating: false
+    };
+    this.openPredictions.set(bookmakerId, entry);
+
+    try {
+      const prediction = await PredictionModel.createPrediction(bookmakerId, {
+        triggerResult: multiplier,
+        triggerTime: new Date(now),
+        triggerRoundId: roundId,
+        predictionTime: new Date(predictionTime),
+        windowSeconds: this.config.windowSeconds,
+        targetMultiplier: this.config.targetMultiplier
+      });
+      entry.predictionId = prediction.id;
+
+      console.log(`[Predictions] 🔮 Predicción ${prediction.id} para bookmaker ${bookmakerId}: ${new Date(predictionTime).toLocaleTimeString('es-ES', { hour12: false })} (disparo ${multiplier.toFixed(2)}x en ronda ${roundId})`);
+      this.emit(bookmakerId, 'predictionEmitted', this.formatPrediction(prediction));
+      return prediction;
+    } catch (error) {
+      this.openPredictions.delete(bookmakerId);
+      throw error;
+    }
+  }
+
+  /**
+   * Resolver con la ronda que cayó en la ventana
+   */
+  async resolve(entry, roundId, multiplier, finalTime) {
+    if (this.openPredictions.get(entry.bookmakerId) !== entry || entry.predictionId === null) return;
+    this.openPredictions.delete(entry.bookmakerId);
+
+    const status = this.isWin(entry, multiplier) ? 'won' : 'lost';
+    const prediction = await PredictionModel.resolvePrediction(entry.predictionId, status, multiplier, roundId, finalTime);
+    if (!prediction) return;
+
+    console.log(`[Predictions] ${status === 'won' ? '✅' : '❌'} Predicción ${prediction.id} ${status === 'won' ? 'GANADA' : 'PERDIDA'} - ${multiplier.toFixed(2)}x (objetivo ${entry.targetMultiplier.toFixed(2)}x)`);
+    this.emitPredictionResult(prediction);
+  }
+
+  // Misma regla que las señales: gana si el resultado supera el objetivo
+  isWin(entry, multiplier) {
+    return isWinningResult({ target_multiplier: entry.targetMultiplier }, multiplier);
+  }
+
+  async expire(entry, reason) {
+    if (this.openPredictions.get(entry.bookmakerId) === entry) {
+      this.openPredictions.delete(entry.bookmakerId);
+    }
+
+    const prediction = await PredictionModel.expirePrediction(entry.predictionId, reason);
+    if (!prediction) return;
+
+    console.warn(`[Predictions] ⌛ Predicción ${prediction.id} expirada (${reason})`);
+    this.emitPredictionResult(prediction);
+  }
+
+  /**
+   * Reloj de predicciones: abrir las ventanas que llegaron a su hora y cerrar las vencidas
+   */
+  async tick(now = Date.now()) {
+    for (const entry of Array.from(this.openPredictions.values())) {
+      if (entry.predictionId === null) continue;
+      try {
+        if (now > entry.windowEndsAt) {
+          await this.expire(entry, 'no_round_in_window');
+        } else if (entry.status === 'pending' && now >= entry.predictionTime && !entry.activating) {
+          entry.activating = true;
+          const prediction = await PredictionModel.activatePrediction(entry.predictionId);
+          // Una ronda pudo resolverla mientras tanto
+          if (prediction && this.openPredictions.get(entry.bookmakerId) === entry) {
+            entry.status = 'active';
+            console.log(`[Predictions] 🟢 Predicción ${prediction.id} activa para bookmaker ${entry.bookmakerId} durante ${prediction.window_seconds}s`);
+            this.emit(entry.bookmakerId, 'predictionActive', this.formatPrediction(prediction));
+          }
+          entry.activating = false;
+        }
+      } catch (error) {
+        entry.activating = false;
+        console.error(`[Predictions] ❌ Error actualizando predicción ${entry.predictionId}:`, error.message);
+      }
+    }
+  }
+
+  emitPredictionResult(prediction) {
+    this.emit(prediction.bookmaker_id, 'predictionResult', {
+      predictionId: prediction.id,
+      bookmakerId: prediction.bookmaker_id,
+      status: prediction.status,
+      result: prediction.final_result !== null ? parseFloat(prediction.final_result) : null,
+      roundId: prediction.final_round_id,
+      targetMultiplier: parseFloat(prediction.target_multiplier),
+      ...(prediction.status_reason ? { reason: prediction.status_reason } : {})
+    });
+  }
+
+  emit(bookmakerId, event, data) {
+    if (!this.io) return;
+    this.io.to(this.predictionRoom(bookmakerId)).emit(event, data);
+  }
+
+  /**
+   * Datos de una predicción para los clientes (predictionEmitted, predictionActive y snapshot)
+   */
+  formatPrediction(prediction) {
+    const predictionTime = new Date(prediction.prediction_time);
+    return {
+      predictionId: prediction.id,
+      bookmakerId: prediction.bookmaker_id,
+      status: prediction.status,
+      triggerResult: parseFloat(prediction.trigger_result),
+      triggerRoundId: prediction.trigger_round_id,
+      triggerTime: prediction.trigger_time,
+      predictionTime: prediction.prediction_time,
+      windowSeconds: parseInt(prediction.window_seconds),
+      windowEndsAt: new Date(predictionTime.getTime() + parseInt(prediction.window_seconds) * 1000),
+      targetMultiplier: parseFloat(prediction.target_multiplier),
+      entryTime: prediction.entry_time
+    };
+  }
+
+  predictionRoom(bookmakerId) {
+    return `predictions:${bookmakerId}`;
+  }
+
+  /**
+   * Predicciones abiertas en memoria (para GET /predictions/pending)
+   */
+  getOpenPredictions() {
+    return Array.from(this.openPredictions.values())
+      .filter(entry => entry.predictionId !== null)
+      .map(({ activating, ...entry }) => ({
+        ...entry,
+        predictionTime: new Date(entry.predictionTime),
+        windowEndsAt: new Date(entry.windowEndsAt)
+      }));
+  }
+
+  /**
+   * Handler de 'subscribePredictions': une el socket a la sala y le envía la predicción abierta
+   * @param {Object|number} request - { bookmakerId } o solo el bookmakerId
+   */
+  async subscribePredictions(socket, request, ack) {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    try {
+      const bookmakerId = parseInt(typeof request === 'object' && request !== null ? request.bookmakerId : request);
+      if (isNaN(bookmakerId)) {
+        throw new Error('bookmakerId debe ser un número');
+      }
+      const room = this.predictionRoom(bookmakerId);
+      socket.join(room);
+
+      const open = this.openPredictions.get(bookmakerId);
+      const predictions = open && open.predictionId !== null
+        ? (await PredictionModel.getOpenPredictions(bookmakerId))
+          .filter(prediction => prediction.id === open.predictionId)
+          .map(prediction => this.formatPrediction(prediction))
+        : [];
+      socket.emit('predictionsSnapshot', { bookmakerId, predictions });
+      reply({ success: true, room, open: predictions.length });
+    } catch (error) {
+      console.error(`[Predictions] ❌ Error en subscribePredictions:`, error.message);
+      reply({ success: false, error: error.message });
+    }
+  }
+
+  unsubscribePredictions(socket, request, ack) {
+    const reply = typeof ack === 'function' ? ack : () => {};
+    const bookmakerId = parseInt(typeof request === 'object' && request !== null ? request.bookmakerId : request);
+    if (isNaN(bookmakerId)) {
+      return reply({ success: false, error: 'bookmakerId debe ser un número' });
+    }
+    const room = this.predictionRoom(bookmakerId);
+    socket.leave(room);
+    reply({ success: true, room });
+  }
+
+  /**
+   * Reconciliar las predicciones que quedaron abiertas en la base de datos (reinicio o caída)
+   * - Si ya cayó una ronda en su ventana, se resuelven con la primera
+   * - Si la ventana se cerró sin rondas, quedan expired
+   * - Si no, la más reciente de cada bookmaker vuelve a seguirse; las demás quedan expired
+   * Idempotente: las predicciones que ya se siguen en memoria no se tocan
+   */
+  async rehydratePredictions(now = Date.now()) {
+    const summary = { resolved: 0, tracked: 0, expired: 0, failed: 0 };
+    try {
+      const predictions = await PredictionModel.getOpenPredictions();
+      const trackedIds = new Set(Array.from(this.openPredictions.values()).map(entry => entry.predictionId));
+
+      for (const prediction of predictions) {
+        if (trackedIds.has(prediction.id)) continue;
+        try {
+          summary[await this.reconcilePrediction(prediction, now)]++;
+        } catch (error) {
+          summary.failed++;
+          console.error(`[Predictions] ❌ Error reconciliando predicción ${prediction.id}:`, error.message);
+        }
+      }
+
+      if (predictions.length > 0) {
+        console.log(`[Predictions] ♻️ Predicciones abiertas reconciliadas: ${summary.resolved} resueltas, ${summary.tracked} en seguimiento, ${summary.expired} expiradas, ${summary.failed} con error`);
+      }
+    } catch (error) {
+      console.error(`[Predictions] ❌ Error cargando predicciones abiertas:`, error.message);
+    }
+    return summary;
+  }
+
+  /**
+   * @returns {string} - resolved | tracked | expired
+   */
+  async reconcilePrediction(prediction, now) {
+    const entry = {
+      predictionId: prediction.id,
+      bookmakerId: prediction.bookmaker_id,
+      status: prediction.status,
+      predictionTime: new Date(prediction.prediction_time).getTime(),
+      windowEndsAt: new Date(prediction.prediction_time).getTime() + parseInt(prediction.window_seconds) * 1000,
+      targetMultiplier: parseFloat(prediction.target_multiplier),
+      activating: false
+    };
+
+    if (now >= entry.predictionTime) {
+      const [round] = await GameRound.getResultsInRange(entry.bookmakerId, new Date(entry.predictionTime), new Date(Math.min(now, entry.windowEndsAt) + 1), 1);
+      if (round) {
+        const multiplier = parseFloat(round.max_multiplier);
+        const status = this.isWin(entry, multiplier) ? 'won' : 'lost';
+        const resolved = await PredictionModel.resolvePrediction(entry.predictionId, status, multiplier, String(round.round_id), round.timestamp);
+        if (resolved) this.emitPredictionResult(resolved);
+        return 'resolved';
+      }
+    }
+
+    if (now > entry.windowEndsAt || this.openPredictions.has(entry.bookmakerId)) {
+      await this.expire(entry, now > entry.windowEndsAt ? 'no_round_in_window' : 'superseded_after_restart');
+      return 'expired';
+    }
+
+    this.openPredictions.set(entry.bookmakerId, entry);
+    return 'tracked';
+  }
+}
+
+module.exports = new PredictionService();
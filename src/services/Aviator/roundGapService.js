@@ -0,0 +1,54 @@
+const RoundGapModel = require('../../models/Aviator/roundGapModel');
+
+/**
+ * Detección de huecos en la secuencia de rondas
+ *
+ * Los round_id de Spribe son consecutivos por bookmaker. Cada ronda guardada se compara
+ * con la última ronda guardada de ese bookmaker; si faltan ids intermedios (desconexión,
+ * frame de crash perdido...) se registra el rango en round_gaps.
+ *
+ * Configuración:
+ * - ROUND_GAP_MAX=10000   Saltos mayores se consideran un reinicio de la secuencia, no un hueco
+ */
+class RoundGapService {
+  constructor() {
+    this.lastRoundIds = new Map(); // bookmakerId -> último round_id numérico guardado
+    this.maxGapSize = parseInt(process.env.ROUND_GAP_MAX) || 10000;
+  }
+
+  /**
+   * Comprobar una ronda recién guardada contra la anterior del mismo bookmaker
+   * @param {number} bookmakerId
+   * @param {string} roundId
+   * @returns {Promise<Object|null>} - Hueco registrado, si lo hubo
+   */
+  async checkRound(bookmakerId, roundId) {
+    if (!/^[0-9]{1,15}$/.test(String(roundId))) return null;
+    const current = Number(roundId);
+
+    if (!this.lastRoundIds.has(bookmakerId)) {
+      // Primera ronda desde el arranque: continuar desde la última guardada en BD
+      this.lastRoundIds.set(bookmakerId, await RoundGapModel.getLastNumericRoundId(bookmakerId, current));
+    }
+
+    const previous = this.lastRoundIds.get(bookmakerId);
+
+    // Ronda antigua (outbox, replay): no mueve la referencia
+    if (previous !== null && current <= previous) return null;
+    this.lastRoundIds.set(bookmakerId, current);
+
+    if (previous === null || current === previous + 1) return null;
+
+    const missing = current - previous - 1;
+    if (missing > this.maxGapSize) {
+      console.warn(`[Gaps:${bookmakerId}] ⚠️ Salto de ${missing} rondas (${previous} → ${current}), se toma como reinicio de la secuencia`);
+      return null;
+    }
+
+    const gap = await RoundGapModel.recordGap(bookmakerId, previous + 1, current - 1, String(previous), String(roundId));
+    console.warn(`[Gaps:${bookmakerId}] 🕳️ ${missing} rondas faltantes entre ${previous} y ${current}`);
+    return gap;
+  }
+}
+
+module.exports = new RoundGapService();
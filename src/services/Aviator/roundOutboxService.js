@@ -0,0 +1,312 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const GameRound = require('../../models/Aviator/gameRoundModel');
+const RoundBetModel = require('../../models/Aviator/roundBetModel');
+const RoundTimelineModel = require('../../models/Aviator/roundTimelineModel');
+const patternDetectionService = require('./patternDetectionService');
+const predictionService = require('./predictionService');
+const roundGapService = require('./roundGapService');
+
+/**
+ * Outbox durable de rondas
+ *
+ * Cuando una ronda no se puede guardar en PostgreSQL (caída de la base de datos,
+ * timeouts...) se escribe en un archivo local JSONL de solo anexado, con fsync para
+ * que sobreviva a un reinicio. Un flusher en segundo plano reintenta las rondas en
+ * orden con GameRound.addRound cuando la base de datos vuelve a responder.
+ *
+ * Si la base de datos sigue sin conexión, el reintento se detiene sin contar intentos.
+ * Cualquier otro error (constraint, datos inválidos) cuenta un intento para esa entrada y
+ * se sigue con las demás; tras ROUND_OUTBOX_MAX_ATTEMPTS la entrada pasa al archivo de
+ * dead letters para que no bloquee el outbox.
+ *
+ * Las rondas recuperadas pasan por la detección de huecos, verifican las señales pendientes
+ * (solo si son la ronda siguiente del intento) y resuelven la predicción abierta si cayeron en
+ * su ventana. No emiten señales ni predicciones nuevas: llegarían con la ronda ya jugada.
+ *
+ * Configuración:
+ * - ROUND_OUTBOX_FILE=data/rounds_outbox.jsonl              Archivo del outbox
+ * - ROUND_OUTBOX_DEAD_LETTER_FILE=data/rounds_outbox_dead.jsonl   Entradas descartadas
+ * - ROUND_OUTBOX_MAX_ATTEMPTS=5                             Intentos por entrada
+ * - ROUND_OUTBOX_FLUSH_MS=30000                             Intervalo del flusher
+ */
+class RoundOutboxService {
+  constructor() {
+    this.filePath = process.env.ROUND_OUTBOX_FILE || path.join(process.cwd(), 'data', 'rounds_outbox.jsonl');
+    this.deadLetterPath = process.env.ROUND_OUTBOX_DEAD_LETTER_FILE || path.join(path.dirname(this.filePath), 'rounds_outbox_dead.jsonl');
+    this.maxAttempts = parseInt(process.env.ROUND_OUTBOX_MAX_ATTEMPTS) || 5;
+    this.flushIntervalMs = parseInt(process.env.ROUND_OUTBOX_FLUSH_MS) || 30000;
+    this.flushInterval = null;
+    this.isFlushing = false;
+    this.lastFlushAt = null;
+    this.lastFlushError = null;
+    this.lastFlushedCount = 0;
+    this.totalFlushed = 0;
+    this.totalDeadLettered = 0;
+  }
+
+  /**
+   * Agregar una ronda al outbox
+   * @param {Object} round - Valores de game_rounds (mismos argumentos que GameRound.addRound),
+   *                         más el detalle opcional `bets`, `cashouts`, `timing` y `timeline`
+   * @returns {Object} - Entrada escrita
+   */
+  enqueue(round) {
+    const entry = {
+      outboxId: crypto.randomUUID(),
+      enqueuedAt: new Date().toISOString(),
+      ...round
+    };
+
+    this.appendLine(this.filePath, entry);
+
+    console.warn(`[Outbox:${round.bookmaker_id}] 📥 Ronda ${round.round_id} guardada en outbox (${this.getDepth()} pendientes)`);
+    return entry;
+  }
+
+  // Anexar una línea JSON con fsync
+  appendLine(filePath, entry) {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    const fd = fs.openSync(filePath, 'a');
+    try {
+      fs.writeSync(fd, JSON.stringify(entry) + '\n');
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+  }
+
+  /**
+   * Leer las entradas pendientes del outbox (o del archivo indicado)
+   */
+  readEntries(filePath = this.filePath) {
+    if (!fs.existsSync(filePath)) return [];
+
+    const entries = [];
+    for (const line of fs.readFileSync(filePath, 'utf8').split('\n')) {
+      if (!line.trim()) continue;
+      try {
+        entries.push(JSON.parse(line));
+      } catch (error) {
+        // Línea truncada si el proceso murió escribiendo: se descarta
+        console.warn('[Outbox] ⚠️ Línea inválida en outbox, omitiendo');
+      }
+    }
+    return entries;
+  }
+
+  getDepth() {
+    return this.readEntries().length;
+  }
+
+  /**
+   * ¿La base de datos no está disponible? (errores de red del driver, clases SQLSTATE 08, 53 y 57, timeouts)
+   * Con la base de datos caída las demás entradas también fallarían: no cuenta como intento
+   */
+  isConnectionError(error) {
+    const code = String(error.code || '');
+    return /^E[A-Z]+$/.test(code) ||
+      /^(08|53|57)/.test(code) ||
+      /timeout|Connection terminated/i.test(error.message || '');
+  }
+
+  /**
+   * Reintentar las rondas pendientes en orden
+   * Un error de conexión detiene el reintento; los demás cuentan un intento para esa entrada y se sigue
+   */
+  async flush() {
+    if (this.isFlushing) return { flushed: 0, skipped: true };
+    this.isFlushing = true;
+
+    const flushedIds = new Set();
+    const failedEntries = new Map(); // outboxId -> { attempts, lastError }
+    const deadLettered = [];
+    try {
+      const entries = this.readEntries();
+      if (entries.length === 0) {
+        return { flushed: 0 };
+      }
+
+      console.log(`[Outbox] 🔄 Reintentando ${entries.length} rondas pendientes...`);
+      let connectionError = null;
+      for (const entry of entries) {
+        try {
+          await this.saveEntry(entry);
+          flushedIds.add(entry.outboxId);
+        } catch (error) {
+          this.lastFlushError = {
+            message: error.message,
+            code: error.code || null,
+            outboxId: entry.outboxId,
+            at: new Date().toISOString()
+          };
+          if (this.isConnectionError(error)) {
+            connectionError = error;
+            break;
+          }
+
+          const attempts = (entry.attempts || 0) + 1;
+          const lastError = { message: error.message, code: error.code || null, at: this.lastFlushError.at };
+          if (attempts >= this.maxAttempts) {
+            deadLettered.push({ ...entry, attempts, lastError, deadLetteredAt: lastError.at });
+            console.error(`[Outbox:${entry.bookmaker_id}] ☠️ Ronda ${entry.round_id} descartada tras ${attempts} intentos:`, error.message);
+          } else {
+            failedEntries.set(entry.outboxId, { attempts, lastError });
+            console.error(`[Outbox:${entry.bookmaker_id}] ❌ Error reintentando ronda ${entry.round_id} (intento ${attempts}/${this.maxAttempts}):`, error.message);
+          }
+        }
+      }
+
+      if (connectionError) {
+        console.error(`[Outbox] ❌ Base de datos no disponible (${flushedIds.size} guardadas antes del error):`, connectionError.message);
+        return { flushed: flushedIds.size, deadLettered: deadLettered.length, error: connectionError.message };
+      }
+      if (failedEntries.size === 0 && deadLettered.length === 0) {
+        this.lastFlushError = null;
+      }
+      return { flushed: flushedIds.size, failed: failedEntries.size, deadLettered: deadLettered.length };
+    } finally {
+      // Primero al archivo de dead letters: si el proceso muere entre ambos pasos la entrada queda duplicada, no perdida
+      for (const entry of deadLettered) {
+        this.appendLine(this.deadLetterPath, entry);
+      }
+      this.rewriteEntries(new Set([...flushedIds, ...deadLettered.map(entry => entry.outboxId)]), failedEntries);
+      this.lastFlushAt = new Date().toISOString();
+      this.lastFlushedCount = flushedIds.size;
+      this.totalFlushed += flushedIds.size;
+      this.totalDeadLettered += deadLettered.length;
+      this.isFlushing = false;
+      if (flushedIds.size > 0) {
+        console.log(`[Outbox] ✅ ${flushedIds.size} rondas recuperadas del outbox`);
+      }
+    }
+  }
+
+  /**
+   * Guardar una entrada y pasarla por el procesamiento posterior al guardado
+   * Solo fallan la entrada los errores de game_rounds; el detalle y el resto se registran en el log
+   */
+  async saveEntry(entry) {
+    const savedRound = await GameRound.addRound(
+      entry.bookmaker_id,
+      String(entry.round_id),
+      entry.bets_count,
+      entry.total_bet_amount,
+      entry.online_players,
+      entry.max_multiplier,
+      entry.total_cashout,
+      entry.casino_profit,
+      entry.loss_percentage
+    );
+    if (!savedRound) return;
+
+    const bookmakerId = entry.bookmaker_id;
+    const roundId = String(savedRound.round_id || entry.round_id);
+
+    if (savedRound.id && (entry.bets?.length || entry.cashouts?.length)) {
+      try {
+        await RoundBetModel.saveRoundDetails(savedRound, entry.bets || [], entry.cashouts || []);
+      } catch (detailsError) {
+        console.error(`[Outbox:${bookmakerId}] ⚠️ Error guardando apuestas/cashouts de ${roundId}:`, detailsError.message);
+      }
+    }
+    if (savedRound.id && entry.timing) {
+      try {
+        await RoundTimelineModel.saveTimeline(savedRound, entry.timing, entry.timeline || []);
+      } catch (timelineError) {
+        console.error(`[Outbox:${bookmakerId}] ⚠️ Error guardando timeline de ${roundId}:`, timelineError.message);
+      }
+    }
+
+    try {
+      GameRound.invalidateCache(bookmakerId);
+    } catch (cacheError) {
+      console.warn(`[Outbox:${bookmakerId}] ⚠️ Error invalidando caché:`, cacheError.message);
+    }
+
+    // Si llega antes que la siguiente ronda en vivo, evita registrar el hueco
+    try {
+      await roundGapService.checkRound(bookmakerId, roundId);
+    } catch (gapError) {
+      console.error(`[Outbox:${bookmakerId}] ⚠️ Error en detección de huecos:`, gapError.message);
+    }
+
+    const multiplier = parseFloat(entry.max_multiplier);
+    try {
+      await patternDetectionService.processReplayedResult(bookmakerId, roundId, multiplier);
+    } catch (patternError) {
+      console.error(`[Outbox:${bookmakerId}] ⚠️ Error verificando señales:`, patternError.message);
+    }
+    try {
+      await predictionService.processReplayedResult(bookmakerId, roundId, multiplier, new Date(entry.enqueuedAt).getTime());
+    } catch (predictionError) {
+      console.error(`[Outbox:${bookmakerId}] ⚠️ Error en predicciones:`, predictionError.message);
+    }
+  }
+
+  /**
+   * Reescribir el outbox sin las entradas guardadas o descartadas y con los intentos de las que fallaron
+   * (tmp + rename, síncrono para no perder anexos)
+   */
+  rewriteEntries(removedIds, failedEntries = new Map()) {
+    if (removedIds.size === 0 && failedEntries.size === 0) return;
+
+    const remaining = this.readEntries()
+      .filter(entry => !removedIds.has(entry.outboxId))
+      .map(entry => (failedEntries.has(entry.outboxId) ? { ...entry, ...failedEntries.get(entry.outboxId) } : entry));
+    const tmpPath = `${this.filePath}.tmp`;
+    const fd = fs.openSync(tmpPath, 'w');
+    try {
+      if (remaining.length > 0) {
+        fs.writeSync(fd, remaining.map(entry => JSON.stringify(entry)).join('\n') + '\n');
+      }
+      fs.fsyncSync(fd);
+    } finally {
+      fs.closeSync(fd);
+    }
+    fs.renameSync(tmpPath, this.filePath);
+  }
+
+  /**
+   * Iniciar el flusher en segundo plano (idempotente)
+   */
+  start() {
+    if (this.flushInterval) return;
+
+    this.flushInterval = setInterval(() => {
+      this.flush().catch(error => {
+        console.error('[Outbox] ❌ Error en flusher:', error.message);
+      });
+    }, this.flushIntervalMs);
+
+    const depth = this.getDepth();
+    if (depth > 0) {
+      console.log(`[Outbox] 📦 ${depth} rondas pendientes en outbox, se reintentarán cada ${this.flushIntervalMs / 1000}s`);
+    }
+  }
+
+  stop() {
+    clearInterval(this.flushInterval);
+    this.flushInterval = null;
+  }
+
+  getStatus() {
+    return {
+      depth: this.getDepth(),
+      file: this.filePath,
+      deadLetterDepth: this.readEntries(this.deadLetterPath).length,
+      deadLetterFile: this.deadLetterPath,
+      maxAttempts: this.maxAttempts,
+      flushIntervalMs: this.flushIntervalMs,
+      isFlushing: this.isFlushing,
+      lastFlushAt: this.lastFlushAt,
+      lastFlushError: this.lastFlushError,
+      lastFlushedCount: this.lastFlushedCount,
+      totalFlushed: this.totalFlushed,
+      totalDeadLettered: this.totalDeadLettered
+    };
+  }
+}
+
+module.exports = new RoundOutboxService();
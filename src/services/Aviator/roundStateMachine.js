@@ -0,0 +1,325 @@
+/**
+ * Máquina de estados del ciclo de vida de una ronda (una instancia por bookmaker)
+ *
+ * Recibe los comandos ya decodificados del proveedor y devuelve eventos de dominio
+ * explícitos. No hace I/O, no usa temporizadores y no lee el reloj por su cuenta
+ * (el instante se pasa en cada llamada), por lo que su comportamiento es determinista.
+ *
+ * Eventos devueltos por handle():
+ * - roundStarted   { round }                  Apuestas abiertas para una nueva ronda
+ * - flightStarted  { round }                  El avión despegó
+ * - betsUpdated    { round }                  Cambió el total apostado o cobrado
+ * - tick           { round, multiplier }      Multiplicador actual durante el vuelo
+ * - crashed        { round, multiplier }      Multiplicador final conocido
+ * - roundCompleted { round, reason }          La ronda terminó y debe persistirse (una sola vez por ronda).
+ *                                             Solo este snapshot incluye el detalle `bets` y `cashouts`,
+ *                                             la curva `timeline` y las duraciones de cada fase
+ * - chartInfo      { roundId, maxMultiplier } roundChartInfo recibido del proveedor
+ *
+ * `round` es siempre una copia (snapshot) del estado, nunca la referencia interna.
+ */
+
+const GAME_STATES = {
+  BET: 'Bet',
+  RUN: 'Run',
+  END: 'End'
+};
+
+// Normalizar una apuesta individual de updateCurrentBets
+function normalizeBet(bet) {
+  return {
+    playerId: String(bet.player_id || bet.playerId || ''),
+    betId: String(bet.betId || bet.bet_id || ''),
+    amount: parseFloat(bet.bet || bet.amount || 0) || 0,
+    currency: bet.currency || null,
+    autoCashout: parseFloat(bet.autoCashOut || bet.auto_cashout || 0) || null
+  };
+}
+
+// Extraer roundId de los distintos campos que usan los proveedores
+function extractRoundId(params) {
+  const roundId = params.roundId || params.round_id || params.id || params.gameId || params.game_id;
+  return roundId !== undefined && roundId !== null ? String(roundId) : null;
+}
+
+class RoundStateMachine {
+  constructor(bookmakerId, { onlinePlayers = 0 } = {}) {
+    this.bookmakerId = bookmakerId;
+    this.onlinePlayers = onlinePlayers;
+    // Al conectar no se sabe cuándo empezó la ronda en curso: sin inicio de apuestas
+    this.round = this.createRound(null, null);
+  }
+
+  createRound(roundId, betPhaseStartedAt) {
+    return {
+      roundId,
+      gameState: GAME_STATES.BET,
+      betPhaseStartedAt,
+      flightStartedAt: null,
+      crashedAt: null,
+      lastTickAt: null,
+      betsCount: 0,
+      totalBetAmount: 0,
+      totalCashout: 0,
+      cashoutRecords: new Set(),
+      bets: new Map(), // playerId-betId -> apuesta normalizada
+      cashouts: [],
+      timeline: [], // [ms desde el despegue, multiplicador]
+      currentMultiplier: 0,
+      maxMultiplier: 0,
+      ticks: 0,
+      completed: false
+    };
+  }
+
+  /**
+   * Snapshot inmutable de la ronda actual
+   */
+  getSnapshot() {
+    const { cashoutRecords, completed, bets, cashouts, timeline, lastTickAt, ...round } = this.round;
+    return {
+      bookmakerId: this.bookmakerId,
+      ...round,
+      onlinePlayers: this.onlinePlayers,
+      casinoProfit: round.totalBetAmount - round.totalCashout
+    };
+  }
+
+  /**
+   * Procesar un comando decodificado
+   * @param {string} command - Comando del proveedor (p.c)
+   * @param {Object} params - Parámetros del comando (p.p)
+   * @param {number} now - Instante actual en ms
+   * @returns {Array<Object>} - Eventos de dominio
+   */
+  handle(command, params = {}, now = Date.now()) {
+    switch (command) {
+      case 'updateCurrentBets':
+        return this.handleBets(params, now);
+      case 'updateCurrentCashOuts':
+        return this.handleCashouts(params, now);
+      case 'onlinePlayers':
+        this.onlinePlayers = parseInt(params.onlinePlayers) || 0;
+        return [];
+      case 'changeState':
+        return this.handleChangeState(params, now);
+      case 'x':
+        return this.handleMultiplier(params, now);
+      case 'roundChartInfo':
+        return this.handleChartInfo(params, now);
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Completar la ronda en curso si tiene roundId y multiplicador conocido
+   * (desconexión, reinicio o apagado)
+   */
+  flush(reason, now = Date.now()) {
+    const round = this.round;
+    if (round.completed || !round.roundId || round.maxMultiplier <= 0) {
+      return [];
+    }
+    // Sin crash recibido, el último tick es la mejor estimación del momento del crash
+    return this.complete(round.maxMultiplier, reason, round.lastTickAt ?? now);
+  }
+
+  handleBets(params, now) {
+    const events = this.round.completed ? this.startRound(null, now) : [];
+    const round = this.round;
+
+    const newBetsCount = parseInt(params.betsCount) || 0;
+    round.betsCount = Math.max(round.betsCount, newBetsCount);
+
+    if (params.bets && Array.isArray(params.bets)) {
+      params.bets.forEach((bet, index) => {
+        const normalized = normalizeBet(bet);
+        // Sin player_id ni bet_id la apuesta se identifica por su posición; esa clave se guarda como
+        // bet_id para que ON CONFLICT (game_round_id, player_id, bet_id) no junte las apuestas anónimas
+        if (!normalized.playerId && !normalized.betId) {
+          normalized.betId = `index-${index}`;
+        }
+        round.bets.set(`${normalized.playerId}-${normalized.betId}`, normalized);
+      });
+
+      round.totalBetAmount = params.bets.reduce((sum, bet) => {
+        const betAmount = parseFloat(bet.bet || bet.amount || 0);
+        return sum + betAmount;
+      }, 0);
+    } else if (params.totalBetAmount !== undefined) {
+      round.totalBetAmount = parseFloat(params.totalBetAmount) || 0;
+    }
+
+    events.push({ type: 'betsUpdated', round: this.getSnapshot() });
+    return events;
+  }
+
+  handleCashouts(params, now) {
+    const round = this.round;
+    const cashouts = params.cashouts || params.cashOuts || [];
+    if (!Array.isArray(cashouts) || round.completed) return [];
+
+    let changed = false;
+    for (const cashout of cashouts) {
+      const playerId = cashout.player_id || cashout.playerId || '';
+      const betId = cashout.betId || cashout.bet_id || '';
+      const multiplier = cashout.multiplier || cashout.multi || 0;
+      const cashoutKey = `${playerId}-${betId}-${multiplier}`;
+
+      if (!round.cashoutRecords.has(cashoutKey)) {
+        const winAmount = parseFloat(cashout.winAmount || cashout.win_amount || cashout.amount || 0) || 0;
+        round.totalCashout += winAmount;
+        round.cashoutRecords.add(cashoutKey);
+        round.cashouts.push({
+          playerId: String(playerId),
+          betId: String(betId),
+          multiplier: parseFloat(multiplier) || 0,
+          winAmount,
+          cashedOutAt: now
+        });
+        changed = true;
+      }
+    }
+
+    return changed ? [{ type: 'betsUpdated', round: this.getSnapshot() }] : [];
+  }
+
+  handleChangeState(params, now) {
+    const roundId = extractRoundId(params);
+
+    // newStateId: 1 = Bet (apuestas abiertas), 2 = Run (avión volando), 3 = End (terminó)
+    if (params.newStateId === 1) {
+      const events = [];
+      const round = this.round;
+
+      // Ronda anterior terminada sin crashX explícito: se completa con el máximo observado
+      if (!round.completed && round.gameState !== GAME_STATES.BET && round.maxMultiplier > 0) {
+        events.push(...this.complete(round.maxMultiplier, 'nextRound', round.lastTickAt ?? now));
+      }
+
+      // Las apuestas pueden llegar antes que el changeState: se conserva la ronda si aún está en Bet
+      if (this.round.completed || this.round.gameState !== GAME_STATES.BET || (roundId && this.round.roundId && this.round.roundId !== roundId)) {
+        events.push(...this.startRound(roundId, now));
+      } else {
+        if (roundId) this.round.roundId = roundId;
+        if (this.round.betPhaseStartedAt === null) this.round.betPhaseStartedAt = now;
+        events.push({ type: 'roundStarted', round: this.getSnapshot() });
+      }
+      return events;
+    }
+
+    if (this.round.completed) return [];
+
+    if (params.newStateId === 2) {
+      this.assignRoundId(roundId);
+      this.round.gameState = GAME_STATES.RUN;
+      this.round.currentMultiplier = 0;
+      if (this.round.flightStartedAt === null) this.round.flightStartedAt = now;
+      return [{ type: 'flightStarted', round: this.getSnapshot() }];
+    }
+
+    if (params.newStateId === 3) {
+      this.assignRoundId(roundId);
+      this.round.gameState = GAME_STATES.END;
+
+      const stateMultiplier = parseFloat(params.crashX || params.maxMultiplier || params.max_multiplier || params.multiplier || 0);
+      if (stateMultiplier > 0) {
+        return this.complete(Math.max(stateMultiplier, this.round.maxMultiplier), 'changeState', now);
+      }
+      // Sin multiplicador: se espera a 'x' crashX, roundChartInfo o la siguiente ronda
+      return [];
+    }
+
+    return [];
+  }
+
+  handleMultiplier(params, now) {
+    if (this.round.completed) return [];
+    this.assignRoundId(extractRoundId(params));
+
+    if (params.crashX !== undefined && params.crashX !== null) {
+      return this.complete(parseFloat(params.crashX) || 0, 'crashX', now);
+    }
+
+    if (params.x !== undefined && params.x !== null) {
+      const round = this.round;
+      const multiplier = parseFloat(params.x) || 0;
+      round.currentMultiplier = multiplier;
+      round.maxMultiplier = Math.max(round.maxMultiplier, multiplier);
+      round.gameState = GAME_STATES.RUN;
+      round.ticks++;
+      // Sin changeState 2 (conexión a mitad de vuelo) la curva empieza en el primer tick
+      if (round.flightStartedAt === null) round.flightStartedAt = now;
+      round.timeline.push([now - round.flightStartedAt, multiplier]);
+      round.lastTickAt = now;
+      return [{ type: 'tick', round: this.getSnapshot(), multiplier }];
+    }
+
+    return [];
+  }
+
+  handleChartInfo(params, now) {
+    const roundId = params.roundId || params.round_id || params.id;
+    if (!roundId) return [];
+
+    const chartRoundId = String(roundId);
+    const maxMultiplier = parseFloat(params.maxMultiplier || params.max_multiplier || params.multiplier || 0);
+    const events = [];
+    const round = this.round;
+
+    // Solo completa la ronda en curso; roundChartInfo de rondas anteriores no se persiste
+    const isCurrentRound = round.roundId === null || round.roundId === chartRoundId;
+    if (!round.completed && isCurrentRound && maxMultiplier > 0 && round.gameState !== GAME_STATES.BET) {
+      round.roundId = chartRoundId;
+      events.push(...this.complete(maxMultiplier, 'roundChartInfo', now));
+    }
+
+    events.push({ type: 'chartInfo', roundId: chartRoundId, maxMultiplier });
+    return events;
+  }
+
+  startRound(roundId, now) {
+    this.round = this.createRound(roundId, now);
+    return [{ type: 'roundStarted', round: this.getSnapshot() }];
+  }
+
+  assignRoundId(roundId) {
+    if (!this.round.roundId && roundId) {
+      this.round.roundId = roundId;
+    }
+  }
+
+  complete(multiplier, reason, now) {
+    const round = this.round;
+    if (round.completed || !(multiplier > 0)) return [];
+
+    round.maxMultiplier = multiplier;
+    round.currentMultiplier = multiplier;
+    round.gameState = GAME_STATES.END;
+    round.completed = true;
+    round.crashedAt = now;
+
+    const snapshot = this.getSnapshot();
+    const { betPhaseStartedAt, flightStartedAt } = round;
+    return [
+      { type: 'crashed', round: snapshot, multiplier },
+      {
+        type: 'roundCompleted',
+        round: {
+          ...snapshot,
+          bets: Array.from(round.bets.values(), bet => ({ ...bet })),
+          cashouts: round.cashouts.map(cashout => ({ ...cashout })),
+          timeline: round.timeline.slice(),
+          flightDurationMs: flightStartedAt !== null ? now - flightStartedAt : null,
+          betPhaseDurationMs: betPhaseStartedAt !== null && flightStartedAt !== null ? flightStartedAt - betPhaseStartedAt : null
+        },
+        reason
+      }
+    ];
+  }
+}
+
+RoundStateMachine.GAME_STATES = GAME_STATES;
+
+module.exports = RoundStateMachine;
@@ -0,0 +1,250 @@
+/**
+ * ANALÍTICA DE SEÑALES
+ *
+ * Rendimiento de las señales resueltas (won/lost) de un rango de fechas:
+ *
+ *   by_day        Tasa de acierto por día, para ver si el rendimiento se desvía con el tiempo
+ *   by_hour       Tasa de acierto por hora del día (0-23), para ver si hay horas mejores
+ *   attempts      Ganadas en la entrada frente a ganadas en gale
+ *   streaks       Racha actual y rachas más largas de señales ganadas y perdidas
+ *   drift         Últimos días frente al resto del rango (prueba z de dos proporciones)
+ *
+ * Cada tasa lleva su intervalo de confianza de Wilson: con pocas señales por hora o por día
+ * el intervalo es ancho y una diferencia aparente no significa nada.
+ *
+ * Los días y las horas se cuentan en la zona horaria indicada (por defecto la del servidor).
+ */
+
+const CONFIDENCE_LEVELS = {
+  0.8: 1.2816,
+  0.9: 1.6449,
+  0.95: 1.9600,
+  0.99: 2.5758
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const rate = (count, total) => (total > 0 ? round2(count / total * 100) : null);
+
+/**
+ * Intervalo de confianza de Wilson para una proporción, en porcentaje
+ * @returns {{ lower: number, upper: number }|null} - null si no hay muestras
+ */
+function wilsonInterval(successes, total, z = CONFIDENCE_LEVELS[0.95]) {
+  if (total === 0) return null;
+  const p = successes / total;
+  const z2 = z * z;
+  const center = (p + z2 / (2 * total)) / (1 + z2 / total);
+  const margin = (z / (1 + z2 / total)) * Math.sqrt(p * (1 - p) / total + z2 / (4 * total * total));
+  return {
+    lower: round2(Math.max(0, center - margin) * 100),
+    upper: round2(Math.min(1, center + margin) * 100)
+  };
+}
+
+/**
+ * Función de distribución de la normal estándar (aproximación de Abramowitz y Stegun 7.1.26)
+ */
+function normalCdf(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x) / Math.SQRT2);
+  const erf = 1 - t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429)))) * Math.exp(-x * x / 2);
+  return x >= 0 ? (1 + erf) / 2 : (1 - erf) / 2;
+}
+
+/**
+ * Validar y normalizar los parámetros recibidos por la API
+ * @throws {Error} - Si no son válidos (mensaje apto para responder 400)
+ */
+function normalizeAnalyticsOptions(input = {}) {
+  const confidence = input.confidence === undefined || input.confidence === '' ? 0.95 : Number(input.confidence);
+  if (!CONFIDENCE_LEVELS[confidence]) {
+    throw new Error(`confidence debe ser uno de ${Object.keys(CONFIDENCE_LEVELS).join(', ')}`);
+  }
+
+  const timezone = input.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+  } catch (error) {
+    throw new Error('timezone debe ser una zona horaria IANA válida (p. ej. America/Bogota)');
+  }
+
+  const recentDays = input.recent_days === undefined || input.recent_days === '' ? 7 : Number(input.recent_days);
+  if (!Number.isInteger(recentDays) || recentDays < 1 || recentDays > 365) {
+    throw new Error('recent_days debe ser un número entero entre 1 y 365');
+  }
+
+  return { confidence, timezone, recent_days: recentDays };
+}
+
+/**
+ * Día (YYYY-MM-DD) y hora (0-23) de una fecha en una zona horaria
+ */
+function createLocalizer(timezone) {
+  const format = new Intl.DateTimeFormat('en-CA', {
+    timeZone: timezone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    hourCycle: 'h23'
+  });
+
+  return (date) => {
+    const parts = Object.fromEntries(format.formatToParts(date).map(part => [part.type, part.value]));
+    return { day: `${parts.year}-${parts.month}-${parts.day}`, hour: parseInt(parts.hour) };
+  };
+}
+
+function createBucket() {
+  return { signals: 0, won: 0, first_attempt_wins: 0, gale_wins: 0 };
+}
+
+function addToBucket(bucket, signal) {
+  bucket.signals++;
+  if (signal.status === 'won') {
+    bucket.won++;
+    if (parseInt(signal.winning_attempt) > 1) {
+      bucket.gale_wins++;
+    } else {
+      bucket.first_attempt_wins++;
+    }
+  }
+}
+
+function summarizeBucket(bucket, z) {
+  return {
+    signals: bucket.signals,
+    won: bucket.won,
+    lost: bucket.signals - bucket.won,
+    win_rate: rate(bucket.won, bucket.signals),
+    win_rate_ci: wilsonInterval(bucket.won, bucket.signals, z),
+    first_attempt_wins: bucket.first_attempt_wins,
+    gale_wins: bucket.gale_wins,
+    first_attempt_win_rate: rate(bucket.first_attempt_wins, bucket.signals)
+  };
+}
+
+function computeStreaks(signals) {
+  let longestWin = 0;
+  let longestLoss = 0;
+  let current = { type: null, length: 0 };
+
+  for (const signal of signals) {
+    const type = signal.status === 'won' ? 'win' : 'loss';
+    current = current.type === type ? { type, length: current.length + 1 } : { type, length: 1 };
+    if (type === 'win') longestWin = Math.max(longestWin, current.length);
+    else longestLoss = Math.max(longestLoss, current.length);
+  }
+
+  return {
+    current: current.type ? current : null,
+    longest_win: longestWin,
+    longest_loss: longestLoss
+  };
+}
+
+/**
+ * Últimos recent_days frente al resto del rango
+ */
+function computeDrift(signals, to, recentDays, z) {
+  const since = new Date(to.getTime() - recentDays * 24 * 60 * 60 * 1000);
+  const recent = createBucket();
+  const previous = createBucket();
+  for (const signal of signals) {
+    addToBucket(new Date(signal.signal_timestamp) >= since ? recent : previous, signal);
+  }
+
+  let zScore = null;
+  let pValue = null;
+  if (recent.signals > 0 && previous.signals > 0) {
+    const pooled = (recent.won + previous.won) / (recent.signals + previous.signals);
+    const standardError = Math.sqrt(pooled * (1 - pooled) * (1 / recent.signals + 1 / previous.signals));
+    if (standardError > 0) {
+      zScore = (recent.won / recent.signals - previous.won / previous.signals) / standardError;
+      pValue = Math.round(2 * (1 - normalCdf(Math.abs(zScore))) * 10000) / 10000;
+      zScore = round2(zScore);
+    }
+  }
+
+  const recentSummary = summarizeBucket(recent, z);
+  const previousSummary = summarizeBucket(previous, z);
+  return {
+    recent_days: recentDays,
+    since: since.toISOString(),
+    recent: recentSummary,
+    previous: previousSummary,
+    difference: recentSummary.win_rate !== null && previousSummary.win_rate !== null
+      ? round2(recentSummary.win_rate - previousSummary.win_rate)
+      : null,
+    z_score: zScore,
+    p_value: pValue,
+    // Mismo nivel de confianza que los intervalos
+    significant: zScore !== null && Math.abs(zScore) >= z
+  };
+}
+
+/**
+ * @param {Array<Object>} signals - Señales resueltas del más antiguo al más reciente
+ * @param {Object} options - Normalizadas por normalizeAnalyticsOptions, más { to: Date } (fin del rango)
+ */
+function computeSignalAnalytics(signals, options) {
+  const z = CONFIDENCE_LEVELS[options.confidence];
+  const localize = createLocalizer(options.timezone);
+
+  const total = createBucket();
+  const days = new Map();
+  const hours = Array.from({ length: 24 }, createBucket);
+  const winsByAttempt = new Map();
+
+  for (const signal of signals) {
+    const { day, hour } = localize(new Date(signal.signal_timestamp));
+    if (!days.has(day)) days.set(day, createBucket());
+
+    addToBucket(total, signal);
+    addToBucket(days.get(day), signal);
+    addToBucket(hours[hour], signal);
+
+    if (signal.status === 'won') {
+      const attempt = parseInt(signal.winning_attempt) || 1;
+      winsByAttempt.set(attempt, (winsByAttempt.get(attempt) || 0) + 1);
+    }
+  }
+
+  const summary = summarizeBucket(total, z);
+  return {
+    confidence: options.confidence,
+    timezone: options.timezone,
+    summary: {
+      ...summary,
+      gale_win_rate: rate(total.gale_wins, total.signals)
+    },
+    attempts: {
+      first_attempt: {
+        wins: total.first_attempt_wins,
+        win_rate: rate(total.first_attempt_wins, total.signals),
+        win_rate_ci: wilsonInterval(total.first_attempt_wins, total.signals, z)
+      },
+      gale: {
+        wins: total.gale_wins,
+        win_rate: rate(total.gale_wins, total.signals),
+        win_rate_ci: wilsonInterval(total.gale_wins, total.signals, z),
+        // Señales que llegaron a gale (perdieron la entrada) y se recuperaron
+        recovery_rate: rate(total.gale_wins, total.signals - total.first_attempt_wins)
+      },
+      wins_by_attempt: Array.from(winsByAttempt.entries())
+        .sort(([a], [b]) => a - b)
+        .map(([attempt, wins]) => ({ attempt, gale: attempt - 1, wins, win_rate: rate(wins, total.signals) }))
+    },
+    streaks: computeStreaks(signals),
+    by_day: Array.from(days.entries()).map(([day, bucket]) => ({ day, ...summarizeBucket(bucket, z) })),
+    by_hour: hours.map((bucket, hour) => ({ hour, ...summarizeBucket(bucket, z) })),
+    drift: computeDrift(signals, options.to, options.recent_days, z)
+  };
+}
+
+module.exports = {
+  CONFIDENCE_LEVELS,
+  wilsonInterval,
+  normalCdf,
+  normalizeAnalyticsOptions,
+  computeSignalAnalytics
+};
@@ -0,0 +1,154 @@
+/**
+ * MOTOR DE ESTRATEGIAS DE SEÑALES
+ *
+ * Una estrategia (tabla strategies) describe como datos lo que antes estaba fijo en
+ * PatternDetectionService:
+ *
+ * {
+ *   name: 'Clásica 1.50x',
+ *   conditions: [                      // Del resultado más reciente al más antiguo
+ *     { op: '>', value: 1.50 },
+ *     { op: '>', value: 1.50 },
+ *     { op: '<', value: 2.00 }
+ *   ],
+ *   target_multiplier: 1.50,          // Gana si el siguiente resultado supera el objetivo
+ *   max_gales: 1,                     // Intentos de recuperación tras perder el primero
+ *   cooldown_rounds: 0,               // Rondas sin emitir después de resolver una señal
+ *   validity_seconds: 180,            // Tiempo máximo hasta cada intento; después la señal queda void
+ *   bookmaker_id: null,               // null = todos los bookmakers
+ *   enabled: true
+ * }
+ *
+ * Funciones puras: las usan la detección en vivo (patternDetectionService.js) y el
+ * backtest (backtestService.js), así ambos aplican exactamente la misma regla.
+ */
+
+const OPERATORS = {
+  '>': (value, limit) => value > limit,
+  '>=': (value, limit) => value >= limit,
+  '<': (value, limit) => value < limit,
+  '<=': (value, limit) => value <= limit
+};
+
+const MAX_CONDITIONS = 20;
+const MAX_GALES = 10;
+const MAX_COOLDOWN_ROUNDS = 1000;
+const MIN_VALIDITY_SECONDS = 10;
+const MAX_VALIDITY_SECONDS = 86400;
+
+function toNumber(value, field, { min = null, max = null, integer = false } = {}) {
+  const number = Number(value);
+  if (value === null || value === '' || !Number.isFinite(number) || (integer && !Number.isInteger(number))) {
+    throw new Error(`${field} debe ser un número${integer ? ' entero' : ''}`);
+  }
+  if (min !== null && number < min) throw new Error(`${field} debe ser mayor o igual a ${min}`);
+  if (max !== null && number > max) throw new Error(`${field} debe ser menor o igual a ${max}`);
+  return number;
+}
+
+function normalizeConditions(input) {
+  let conditions = input;
+  if (typeof input === 'string') {
+    try {
+      conditions = JSON.parse(input);
+    } catch (error) {
+      throw new Error('conditions no es JSON válido');
+    }
+  }
+  if (!Array.isArray(conditions) || conditions.length === 0 || conditions.length > MAX_CONDITIONS) {
+    throw new Error(`conditions debe ser una lista de 1 a ${MAX_CONDITIONS} condiciones`);
+  }
+
+  return conditions.map((condition, index) => {
+    if (!condition || !OPERATORS[condition.op]) {
+      throw new Error(`conditions[${index}].op debe ser uno de ${Object.keys(OPERATORS).join(' ')}`);
+    }
+    return {
+      op: condition.op,
+      value: toNumber(condition.value, `conditions[${index}].value`, { min: 1 })
+    };
+  });
+}
+
+/**
+ * Validar y normalizar una estrategia recibida por la API
+ * @param {Object} input - Cuerpo de la petición
+ * @param {Object|null} current - Estrategia existente (PUT): los campos omitidos se conservan
+ * @returns {Object} - Estrategia normalizada
+ * @throws {Error} - Si la estrategia no es válida (mensaje apto para responder 400)
+ */
+function normalizeStrategy(input, current = null) {
+  const source = { ...(current || {}), ...Object.fromEntries(Object.entries(input || {}).filter(([, value]) => value !== undefined)) };
+
+  const name = typeof source.name === 'string' ? source.name.trim() : '';
+  if (!name || name.length > 100) {
+    throw new Error('name es obligatorio (máximo 100 caracteres)');
+  }
+
+  const bookmakerId = source.bookmaker_id === null || source.bookmaker_id === undefined || source.bookmaker_id === ''
+    ? null
+    : toNumber(source.bookmaker_id, 'bookmaker_id', { min: 1, integer: true });
+
+  return {
+    name,
+    description: source.description || null,
+    conditions: normalizeConditions(source.conditions),
+    target_multiplier: toNumber(source.target_multiplier ?? 1.50, 'target_multiplier', { min: 1.01, max: 1000000 }),
+    max_gales: toNumber(source.max_gales ?? 1, 'max_gales', { min: 0, max: MAX_GALES, integer: true }),
+    cooldown_rounds: toNumber(source.cooldown_rounds ?? 0, 'cooldown_rounds', { min: 0, max: MAX_COOLDOWN_ROUNDS, integer: true }),
+    validity_seconds: toNumber(source.validity_seconds ?? 180, 'validity_seconds', { min: MIN_VALIDITY_SECONDS, max: MAX_VALIDITY_SECONDS, integer: true }),
+    bookmaker_id: bookmakerId,
+    enabled: source.enabled === undefined ? true : source.enabled === true || source.enabled === 'true'
+  };
+}
+
+/**
+ * ¿Los últimos resultados cumplen las condiciones de la estrategia?
+ * @param {Object} strategy - Estrategia normalizada o fila de strategies
+ * @param {Array<number>} multipliers - Resultados, el más reciente primero
+ * @returns {Array<number>|null} - Resultados que formaron el patrón, o null
+ */
+function matchStrategy(strategy, multipliers) {
+  const { conditions } = strategy;
+  if (multipliers.length < conditions.length) return null;
+
+  const pattern = multipliers.slice(0, conditions.length);
+  const matches = conditions.every((condition, index) => OPERATORS[condition.op](pattern[index], parseFloat(condition.value)));
+  return matches ? pattern : null;
+}
+
+/**
+ * ¿Un resultado gana la señal? (supera el objetivo de cashout)
+ */
+function isWinningResult(strategy, multiplier) {
+  return multiplier > parseFloat(strategy.target_multiplier);
+}
+
+/**
+ * Resultado de un intento de una señal (entrada o gale)
+ * Lo comparten SignalModel.recordAttempt, la detección en vivo y el backtest
+ * @param {Object} signal - Señal o estrategia (target_multiplier, max_gales)
+ * @param {number} attemptNumber - 1 = entrada, 2.. = gales
+ * @returns {{ isWin: boolean, status: string }} - status: won | lost | pending (quedan gales)
+ */
+function evaluateAttempt(signal, attemptNumber, multiplier) {
+  const isWin = isWinningResult(signal, multiplier);
+  const isLastAttempt = attemptNumber > parseInt(signal.max_gales);
+  return {
+    isWin,
+    status: isWin ? 'won' : (isLastAttempt ? 'lost' : 'pending')
+  };
+}
+
+function describeConditions(strategy) {
+  return strategy.conditions.map(condition => `${condition.op}${parseFloat(condition.value).toFixed(2)}x`).join(', ');
+}
+
+module.exports = {
+  OPERATORS,
+  normalizeStrategy,
+  matchStrategy,
+  isWinningResult,
+  evaluateAttempt,
+  describeConditions
+};
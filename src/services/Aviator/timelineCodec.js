@@ -0,0 +1,58 @@
+/**
+ * CODEC DE TIMELINE DE TICKS
+ *
+ * Compacta la curva de una ronda ([ms desde el despegue, multiplicador] por cada 'x')
+ * para guardarla en round_timelines.timeline (BYTEA). Los ms y los multiplicadores
+ * (en centésimas) se guardan como diferencias respecto al tick anterior, que son números
+ * pequeños y repetitivos, y el resultado se comprime con zlib.
+ */
+
+const zlib = require('zlib');
+
+const FORMAT_VERSION = 1;
+
+/**
+ * @param {Array<[number, number]>} ticks - [elapsedMs, multiplier]
+ * @returns {Buffer}
+ */
+function encodeTimeline(ticks) {
+  const deltas = [];
+  let previousMs = 0;
+  let previousHundredths = 0;
+
+  for (const [elapsedMs, multiplier] of ticks) {
+    const ms = Math.round(elapsedMs);
+    const hundredths = Math.round(multiplier * 100);
+    deltas.push(ms - previousMs, hundredths - previousHundredths);
+    previousMs = ms;
+    previousHundredths = hundredths;
+  }
+
+  return zlib.deflateSync(Buffer.from(JSON.stringify({ v: FORMAT_VERSION, d: deltas })));
+}
+
+/**
+ * @param {Buffer} buffer - Resultado de encodeTimeline
+ * @returns {Array<[number, number]>} - [elapsedMs, multiplier]
+ */
+function decodeTimeline(buffer) {
+  const { v, d } = JSON.parse(zlib.inflateSync(buffer).toString());
+  if (v !== FORMAT_VERSION) {
+    throw new Error(`Versión de timeline no soportada: ${v}`);
+  }
+
+  const ticks = [];
+  let ms = 0;
+  let hundredths = 0;
+  for (let i = 0; i < d.length; i += 2) {
+    ms += d[i];
+    hundredths += d[i + 1];
+    ticks.push([ms, hundredths / 100]);
+  }
+  return ticks;
+}
+
+module.exports = {
+  encodeTimeline,
+  decodeTimeline
+};
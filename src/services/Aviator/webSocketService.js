@@ -1,118 +1,244 @@
 const WebSocket = require('ws');
 const db = require('../../config/database');
-const { getBookmakersWithConfigs } = require('../../models/Aviator/bookmakerModel');
+const { getBookmakersWithConfigs, getBookmakerWithConfig } = require('../../models/Aviator/bookmakerModel');
 const GameRound = require('../../models/Aviator/gameRoundModel');
+const RoundBetModel = require('../../models/Aviator/roundBetModel');
+const RoundTimelineModel = require('../../models/Aviator/roundTimelineModel');
 const unifiedDecoder = require('./decoder-unified'); // Decoder unificado (SFS + MessagePack)
 const patternDetectionService = require('./patternDetectionService'); // Servicio de detección de patrones
+const predictionService = require('./predictionService'); // Predicciones por hora
+const frameCaptureService = require('./frameCaptureService'); // Captura de frames para replay
+const RoundStateMachine = require('./roundStateMachine'); // Ciclo de vida de la ronda
+const roundOutboxService = require('./roundOutboxService'); // Outbox durable de rondas no guardadas
+const roundGapService = require('./roundGapService'); // Detección de rondas faltantes
+const webhookService = require('./webhookService'); // Webhooks firmados con reintentos
+const { buildConnectionOptions } = require('./connectionProfile'); // Cabeceras, cookies y tiempos por bookmaker
+const CircuitBreaker = require('./circuitBreaker'); // Backoff y circuit breaker de reconexión
 
 class WebSocketService {
   constructor() {
     this.connections = new Map();
-    this.roundData = new Map();
+    this.roundMachines = new Map(); // bookmakerId -> RoundStateMachine
     this.pingIntervals = new Map();
-    this.maxRetries = 3;
-    this.retryDelay = 5000;
+    this.breakers = new Map(); // Circuit breaker de reconexión por bookmaker
+    this.reconnectTimers = new Map(); // Una sola reconexión programada por bookmaker
+    this.bookmakerConfigs = new Map(); // Última configuración usada para conectar cada bookmaker
+    this.pausedBookmakers = new Set(); // Bookmakers pausados manualmente (hasta resume o reinicio del servidor)
     this.io = null;
     this.isResetting = false;
+    this.isStarted = false;
+    this.isShuttingDown = false; // Apagado en curso: no se abren ni reprograman conexiones
+    this.timers = new Map(); // Intervalos propios del servicio: nombre -> { handle, intervalMs, startedAt }
+    this.socketConnectionHandler = null; // Handler de io.on('connection') registrado por start()
     this.savedRounds = new Set(); // Control de duplicados
     this.pendingRounds = new Map(); // Rondas pendientes de guardar
     this.debugMode = process.env.DEBUG_MODE === 'true' || false; // Modo debug
-    this.healthCheckInterval = null; // Intervalo de health check
     this.bookmakersHealth = new Map(); // Estado de salud de cada bookmaker
     this.alertThreshold = 2 * 60 * 1000; // 2 minutos sin actividad = alerta
     this.downThreshold = 5 * 60 * 1000; // 5 minutos sin actividad = caído
   }
 
-  async initializeConnections(io) {
+  /**
+   * Arrancar el servicio: registra el handler de Socket.IO y los timers, y conecta los bookmakers
+   * Idempotente: llamarlo con el servicio ya arrancado no duplica handlers, timers ni conexiones
+   * @param {Server} io - Servidor Socket.IO
+   */
+  async start(io) {
+    if (this.isStarted) return;
+    this.isStarted = true;
+    this.isShuttingDown = false;
     this.io = io;
     console.log('[WebSocketService] Inicializando conexiones');
     
     // Inicializar servicio de detección de patrones
     patternDetectionService.initialize(io);
+
+    // Verificar o expirar las señales que quedaron pendientes antes de recibir rondas nuevas
+    await patternDetectionService.rehydratePendingSignals();
+
+    // Predicciones por hora: mismas fases de inicio que las señales
+    predictionService.initialize(io);
+    await predictionService.rehydratePredictions();
+
+    // Reintentar rondas que quedaron en el outbox por fallos de base de datos
+    roundOutboxService.start();
+
+    // Reintentar entregas de webhooks pendientes
+    webhookService.start();
+
+    this.socketConnectionHandler = (socket) => {
+      console.log(`[WebSocketService] Socket conectado: ${socket.id}`);
+      socket.on('joinBookmaker', (bookmakerId) => {
+        console.log(`[WebSocketService] Cliente unido a bookmaker:${bookmakerId}`);
+        socket.join(`bookmaker:${bookmakerId}`);
+        // Always send data, even if no active round
+        const { bookmaker_id, ...round } = this.formatRoundForEmit(bookmakerId, this.getRoundSnapshot(bookmakerId));
+        socket.emit('round', round);
+      });
+      // Señales por bookmaker o estrategia: { bookmakerId, strategyId? }
+      socket.on('subscribeSignals', (request, ack) => patternDetectionService.subscribeSignals(socket, request, ack));
+      socket.on('unsubscribeSignals', (request, ack) => patternDetectionService.unsubscribeSignals(socket, request, ack));
+      // Predicciones por bookmaker: { bookmakerId }
+      socket.on('subscribePredictions', (request, ack) => predictionService.subscribePredictions(socket, request, ack));
+      socket.on('unsubscribePredictions', (request, ack) => predictionService.unsubscribePredictions(socket, request, ack));
+    };
+    io.on('connection', this.socketConnectionHandler);
     
     // Limpiar rondas guardadas cada 10 minutos para evitar acumulación
-    setInterval(() => {
+    this.setTimer('savedRoundsCleanup', () => {
       this.savedRounds.clear();
       console.log('[WebSocketService] 🧹 Limpiando cache de rondas guardadas');
     }, 10 * 60 * 1000);
+
+    // Conectar bookmakers nuevos y cerrar los que quedaron con configuración inválida
+    this.setTimer('configPoll', () => this.pollBookmakerConfigs(), 60000);
+
+    // Anular señales cuya ventana de validez venció sin recibir la ronda
+    this.setTimer('signalExpiry', () => patternDetectionService.voidExpiredSignals(), 15000);
+
+    // Abrir y cerrar las ventanas de las predicciones a su hora
+    this.setTimer('predictionClock', () => predictionService.tick(), 1000);
+
+    // Health check automático cada 30 segundos
+    console.log('[HealthCheck] 🏥 Iniciando monitoreo de salud de bookmakers');
+    this.setTimer('healthCheck', () => this.checkAllBookmakersHealth(), 30000);
     
     try {
       const bookmakers = await getBookmakersWithConfigs();
       for (const bookmaker of bookmakers) {
+        if (this.pausedBookmakers.has(bookmaker.id)) continue;
         if (this.isValidBookmaker(bookmaker)) {
-          this.connectToBookmaker(bookmaker, io, 0);
+          this.connectToBookmaker(bookmaker, io);
         } else {
           console.warn(`[WebSocketService] Configuración inválida para bookmaker ${bookmaker.id}, omitiendo conexión`);
         }
       }
+    } catch (error) {
+      console.error('Error initializing WebSocket connections:', error.message);
+    }
+  }
 
-      io.on('connection', (socket) => {
-        console.log(`[WebSocketService] Socket conectado: ${socket.id}`);
-        socket.on('joinBookmaker', (bookmakerId) => {
-          console.log(`[WebSocketService] Cliente unido a bookmaker:${bookmakerId}`);
-          socket.join(`bookmaker:${bookmakerId}`);
-          const roundData = this.roundData.get(bookmakerId);
-          
-          // Always send data, even if no active round
-          const casinoProfit = roundData ? (roundData.totalBetAmount - roundData.totalCashout) : 0;
-          
-          socket.emit('round', {
-            online_players: roundData?.onlinePlayers || 0,
-            bets_count: roundData?.betsCount || 0,
-            total_bet_amount: roundData?.totalBetAmount || 0,
-            total_cashout: roundData?.totalCashout || 0,
-            current_multiplier: roundData?.currentMultiplier || 0,
-            max_multiplier: roundData?.maxMultiplier || 0,
-            game_state: roundData?.gameState || 'Bet',
-            casino_profit: Number(casinoProfit.toFixed(2)),
-            round_id: roundData?.roundId || null,
-          });
-        });
-      });
+  /**
+   * Detener el servicio: quita el handler de Socket.IO, los timers y las reconexiones
+   * programadas, y cierra todas las conexiones guardando las rondas en curso
+   * Idempotente, como start()
+   * @param {string} reason - Motivo del cierre (reset, shutdown)
+   * @param {number} closeCode - Código de cierre de los sockets del proveedor
+   */
+  async stop(reason = 'stop', closeCode = 1000) {
+    if (!this.isStarted) return;
+    this.isStarted = false;
+    console.log(`[WebSocketService] Deteniendo servicio (${reason})`);
 
-      setInterval(async () => {
-        if (this.isResetting) return; // Evitar actualizaciones durante el reseteo
-        try {
-          const updatedBookmakers = await getBookmakersWithConfigs();
-          updatedBookmakers.forEach((bookmaker) => {
-            if (
-              this.isValidBookmaker(bookmaker) &&
-              !this.connections.has(bookmaker.id)
-            ) {
-              this.connectToBookmaker(bookmaker, io, 0);
-            } else if (
-              (!this.isValidBookmaker(bookmaker) && this.connections.has(bookmaker.id))
-            ) {
-              const connection = this.connections.get(bookmaker.id);
-              if (connection.ws) {
-                connection.ws.close();
-                console.log(`Closed WebSocket for bookmaker ${bookmaker.id} due to invalid config`);
-              }
-              clearInterval(this.pingIntervals.get(bookmaker.id));
-              this.connections.delete(bookmaker.id);
-              this.pingIntervals.delete(bookmaker.id);
-              this.roundData.delete(bookmaker.id);
-            }
-          });
-        } catch (error) {
-          console.error('Error checking bookmakers for WebSocket updates:', error.message);
-        }
-      }, 60000);
+    if (this.io && this.socketConnectionHandler) {
+      this.io.off('connection', this.socketConnectionHandler);
+    }
+    this.socketConnectionHandler = null;
+
+    for (const name of Array.from(this.timers.keys())) {
+      this.clearTimer(name);
+    }
+    for (const timer of this.reconnectTimers.values()) clearTimeout(timer);
+    this.reconnectTimers.clear();
+
+    const bookmakerIds = Array.from(this.connections.keys());
+    await Promise.all(bookmakerIds.map(bookmakerId => this.disconnectBookmaker(bookmakerId, reason, closeCode)));
+    this.roundMachines.clear();
+  }
+
+  // Registrar un intervalo propio del servicio (reemplaza al anterior con el mismo nombre)
+  setTimer(name, callback, intervalMs) {
+    this.clearTimer(name);
+    const handle = setInterval(async () => {
+      try {
+        await callback();
+      } catch (error) {
+        console.error(`[WebSocketService] Error en timer ${name}: ${error.message}`);
+      }
+    }, intervalMs);
+    this.timers.set(name, { handle, intervalMs, startedAt: new Date() });
+  }
 
-      // Iniciar health check automático cada 30 segundos
-      this.startHealthCheckMonitoring();
+  clearTimer(name) {
+    const timer = this.timers.get(name);
+    if (!timer) return;
+    clearInterval(timer.handle);
+    this.timers.delete(name);
+  }
+
+  async pollBookmakerConfigs() {
+    if (this.isResetting) return; // Evitar actualizaciones durante el reseteo
+    try {
+      const updatedBookmakers = await getBookmakersWithConfigs();
+      updatedBookmakers.forEach((bookmaker) => {
+        if (this.pausedBookmakers.has(bookmaker.id)) return;
+        // Circuito bloqueado por un error de configuración: se reintenta cuando cambia la configuración en la BD
+        const blockedByConfig = this.isBlockedByConfig(bookmaker.id);
+        if (
+          this.isValidBookmaker(bookmaker) &&
+          (!this.connections.has(bookmaker.id) || (blockedByConfig && this.hasConfigChanged(bookmaker)))
+        ) {
+          if (blockedByConfig) {
+            console.log(`[WS:${bookmaker.id}] Configuración actualizada, reintentando conexión`);
+            this.breakers.delete(bookmaker.id);
+          }
+          this.connectToBookmaker(bookmaker, this.io);
+        } else if (
+          (!this.isValidBookmaker(bookmaker) && this.connections.has(bookmaker.id))
+        ) {
+          console.log(`Closing WebSocket for bookmaker ${bookmaker.id} due to invalid config`);
+          this.disconnectBookmaker(bookmaker.id, 'invalid_config');
+        }
+      });
     } catch (error) {
-      console.error('Error initializing WebSocket connections:', error.message);
+      console.error('Error checking bookmakers for WebSocket updates:', error.message);
     }
   }
 
-  // Sistema de monitoreo de salud de bookmakers
-  startHealthCheckMonitoring() {
-    console.log('[HealthCheck] 🏥 Iniciando monitoreo de salud de bookmakers');
-    
-    this.healthCheckInterval = setInterval(() => {
-      this.checkAllBookmakersHealth();
-    }, 30000); // Verificar cada 30 segundos
+  isBlockedByConfig(bookmakerId) {
+    const connection = this.connections.get(bookmakerId);
+    const breaker = this.breakers.get(bookmakerId);
+    return Boolean(connection && !connection.ws && breaker && breaker.blockedReason === CircuitBreaker.FAILURE_TYPES.CONFIG);
+  }
+
+  // Compara con la configuración usada en el último intento de conexión
+  hasConfigChanged(bookmaker) {
+    return JSON.stringify(this.bookmakerConfigs.get(bookmaker.id)) !== JSON.stringify(bookmaker);
+  }
+
+  /**
+   * Timers, reconexiones y listeners activos (GET /api/aviator/runtime)
+   * Permite comprobar que los resets no acumulan handlers ni intervalos
+   */
+  getRuntimeInfo() {
+    const now = Date.now();
+    const wsListenerEvents = ['open', 'message', 'error', 'close'];
+
+    return {
+      started: this.isStarted,
+      shuttingDown: this.isShuttingDown,
+      timers: Array.from(this.timers.entries()).map(([name, timer]) => ({
+        name,
+        intervalMs: timer.intervalMs,
+        startedAt: timer.startedAt
+      })),
+      pingIntervals: Array.from(this.pingIntervals.keys()),
+      reconnectTimers: Array.from(this.reconnectTimers.keys()).map(bookmakerId => {
+        const nextAttemptAt = this.getBreaker(bookmakerId).nextAttemptAt;
+        return { bookmakerId, inMs: nextAttemptAt ? Math.max(0, nextAttemptAt - now) : null };
+      }),
+      outbox: { flushTimerActive: roundOutboxService.flushInterval !== null },
+      webhooks: { pollerActive: webhookService.pollInterval !== null },
+      listeners: {
+        socketIoConnection: this.io ? this.io.listenerCount('connection') : 0,
+        socketIoClients: this.io ? this.io.of('/').sockets.size : 0,
+        upstream: Array.from(this.connections.entries()).map(([bookmakerId, connection]) => ({
+          bookmakerId,
+          ...Object.fromEntries(wsListenerEvents.map(event => [event, connection.ws ? connection.ws.listenerCount(event) : 0]))
+        })),
+        process: Object.fromEntries(['SIGTERM', 'SIGINT'].map(signal => [signal, process.listenerCount(signal)]))
+      }
+    };
   }
 
   async checkAllBookmakersHealth() {
@@ -120,7 +246,7 @@ class WebSocketService {
     const bookmakers = await getBookmakersWithConfigs();
     
     for (const bookmaker of bookmakers) {
-      if (!bookmaker.active) continue;
+      if (!bookmaker.active || this.pausedBookmakers.has(bookmaker.id)) continue;
       
       const connection = this.connections.get(bookmaker.id);
       const health = this.bookmakersHealth.get(bookmaker.id) || {
@@ -131,6 +257,7 @@ class WebSocketService {
         isConnected: false,
         lastError: null
       };
+      const previousStatus = health.status;
       
       if (!connection || !connection.ws) {
         health.status = 'disconnected';
@@ -164,14 +291,23 @@ class WebSocketService {
       
       health.lastCheck = now;
       this.bookmakersHealth.set(bookmaker.id, health);
+
+      if (health.status === 'down' || health.status === 'disconnected') {
+        await patternDetectionService.voidPendingSignals(bookmaker.id, patternDetectionService.VOID_REASONS.FEED_DOWN);
+      }
       
       // Emitir estado de salud al frontend
       if (this.io) {
         this.io.emit('bookmakersHealth', this.getAllBookmakersHealth());
       }
+
+      // Los webhooks solo reciben los cambios de estado, no cada chequeo
+      if (health.status !== previousStatus) {
+        webhookService.publish('bookmakersHealth', { bookmakerId: bookmaker.id, ...health, previousStatus }, bookmaker.id);
+      }
       
-      // Si un bookmaker está caído, intentar reconectar
-      if (health.status === 'down' && health.consecutiveFailures >= 3) {
+      // Si un bookmaker está caído, intentar reconectar (salvo que esté bloqueado por token o configuración)
+      if (health.status === 'down' && health.consecutiveFailures >= 3 && !this.getBreaker(bookmaker.id).isBlocked()) {
         console.log(`[HealthCheck] 🔄 Intentando reconectar bookmaker ${bookmaker.id} (${bookmaker.nombre})`);
         this.reconnectBookmaker(bookmaker);
       }
@@ -194,7 +330,7 @@ class WebSocketService {
     this.pingIntervals.delete(bookmaker.id);
     
     // Reintentar conexión
-    this.connectToBookmaker(bookmaker, this.io, 0);
+    this.connectToBookmaker(bookmaker, this.io);
   }
 
   getAllBookmakersHealth() {
@@ -203,7 +339,8 @@ class WebSocketService {
       healthData.push({
         bookmakerId,
         ...health,
-        timeSinceActivity: health.lastActivity ? Date.now() - health.lastActivity : null
+        timeSinceActivity: health.lastActivity ? Date.now() - health.lastActivity : null,
+        circuitBreaker: this.getBreaker(bookmakerId).getState()
       });
     }
     return healthData;
@@ -212,9 +349,11 @@ class WebSocketService {
   isValidBookmaker(bookmaker) {
     const { url_websocket, first_message, second_message, third_message } = bookmaker;
     const isValidBase64 = (str) => str && /^[A-Za-z0-9+/=]+$/.test(str) && str.length % 4 === 0;
+    // ws:// sin TLS solo se permite en local (simulate-provider.js)
+    const isLocalUrl = (url) => /^ws:\/\/(localhost|127\.0\.0\.1)(:\d+)?(\/|$)/.test(url);
     return (
       url_websocket &&
-      url_websocket.startsWith('wss://') &&
+      (url_websocket.startsWith('wss://') || isLocalUrl(url_websocket)) &&
       first_message &&
       isValidBase64(first_message) &&
       second_message &&
@@ -224,24 +363,41 @@ class WebSocketService {
     );
   }
 
-  connectToBookmaker(bookmaker, io, retryCount) {
-    const { id, nombre: name, url_websocket, first_message, second_message, third_message } = bookmaker;
-    const headers = {
-      Pragma: 'no-cache',
-      'Cache-Control': 'no-cache',
-      'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/126.0.0.0 Safari/537.36',
-      Origin: 'https://aviator-next.spribegaming.com',
-      'Accept-Encoding': 'gzip, deflate, br, zstd',
-      'Accept-Language': 'es-419,es;q=0.9',
-      'Sec-WebSocket-Extensions': 'permessage-deflate; client_max_window_bits',
-    };
+  getBreaker(bookmakerId) {
+    if (!this.breakers.has(bookmakerId)) {
+      this.breakers.set(bookmakerId, new CircuitBreaker());
+    }
+    return this.breakers.get(bookmakerId);
+  }
+
+  connectToBookmaker(bookmaker, io) {
+    const { id, nombre: name, first_message, second_message, third_message } = bookmaker;
+    if (this.isShuttingDown) return;
 
+    // Una conexión directa reemplaza cualquier reconexión programada
+    clearTimeout(this.reconnectTimers.get(id));
+    this.reconnectTimers.delete(id);
+    this.bookmakerConfigs.set(id, bookmaker);
+
+    let url, protocols, options, pingIntervalMs;
     try {
       // Validar configuración del bookmaker
       if (!this.isValidBookmaker(bookmaker)) {
         throw new Error(`Invalid configuration for bookmaker ${id}`);
       }
 
+      // Perfil de conexión del bookmaker (por defecto, cabeceras de Spribe)
+      ({ url, protocols, options, pingIntervalMs } = buildConnectionOptions(bookmaker));
+    } catch (error) {
+      console.error(`Failed to connect WebSocket for bookmaker ${id}: ${error.message}`);
+      this.connections.set(id, { ws: null, status: 'DISCONNECTED', lastPing: null });
+      this.handleReconnect(bookmaker, io, CircuitBreaker.FAILURE_TYPES.CONFIG, error.message);
+      return;
+    }
+
+    try {
+      this.getBreaker(id).beforeAttempt();
+
       // Limpiar conexión existente
       if (this.connections.has(id)) {
         const connection = this.connections.get(id);
@@ -252,433 +408,396 @@ class WebSocketService {
         clearInterval(this.pingIntervals.get(id));
         this.connections.delete(id);
         this.pingIntervals.delete(id);
-        this.roundData.delete(id);
+        this.roundMachines.delete(id);
       }
 
-      const ws = new WebSocket(url_websocket, [], { headers });
+      frameCaptureService.start(bookmaker);
+
+      const ws = new WebSocket(url, protocols, options);
 
       this.connections.set(id, { ws, status: 'CONNECTING', lastPing: null });
-      this.roundData.set(id, {
-        betsCount: 0,
-        totalBetAmount: 0,
-        onlinePlayers: 0,
-        roundId: null,
-        maxMultiplier: 0,
-        currentMultiplier: 0,
-        totalCashout: 0,
-        cashoutRecords: new Set(),
-        gameState: 'Bet',
-      });
+      this.resetRoundData(id);
 
       ws.on('open', async () => {
         console.log(`WebSocket connected for bookmaker ${id}`);
         this.connections.set(id, { ws, status: 'CONNECTED', lastPing: new Date() });
         
         
-        ws.send(Buffer.from(first_message, 'base64'));
+        this.sendFrame(id, ws, Buffer.from(first_message, 'base64'));
       });
 
       ws.on('message', async (data) => {
-        try {
-          // Usar el decoder apropiado según la configuración del bookmaker
-          const decoderType = bookmaker.decoder_type || 'auto';
-          const decodedMessage = unifiedDecoder.decodeMessage(data, decoderType);
-          
-          if (!decodedMessage) {
-            // Silenciar logs de mensajes no decodificables (pueden ser pings/pongs)
-            // Solo loggear si el buffer es significativamente grande (>10 bytes)
-            if (data && data.length > 10) {
-              const analysis = unifiedDecoder.analyzeMessage(data);
-              // Log solo cada 20 mensajes no decodificados para evitar spam
-              if (!ws.undecodedCount) ws.undecodedCount = 0;
-              ws.undecodedCount++;
-              if (ws.undecodedCount % 20 === 0) {
-                console.log(`[WS:${id}] ⚠️ ${ws.undecodedCount} mensajes no decodificados. Último análisis:`, {
-                  tipo: analysis.type,
-                  tamaño: analysis.size,
-                  primerByte: analysis.firstByte
-                });
-              }
-            }
-            return;
-          }
-
-          // Resetear contador de mensajes no decodificados al recibir uno exitoso
-          ws.undecodedCount = 0;
-
-          this.connections.set(id, { ws, status: 'CONNECTED', lastPing: new Date() });
-
-          if (!ws.firstResponseReceived) {
-            ws.send(Buffer.from(second_message, 'base64'));
-            ws.firstResponseReceived = true;
-          }
-
-          const roundData = this.roundData.get(id);
-          if (!roundData) {
-            // Silenciar este warning, es normal durante la inicialización
-            // console.warn(`[WS:${id}] ⚠️ No hay roundData inicializado`);
-            return;
-          }
-
-          // Log de mensaje decodificado en modo debug
-          if (this.debugMode && decodedMessage.p && decodedMessage.p.c) {
-            console.log(`[WS:${id}] 📥 Comando: ${decodedMessage.p.c}`, JSON.stringify(decodedMessage.p.p).substring(0, 200));
-          }
-
-          if (decodedMessage.p) {
-            const { p, c } = decodedMessage.p;
-
-            if (c === 'updateCurrentBets') {
-              // Actualizar conteo de apuestas
-              const newBetsCount = parseInt(p.betsCount) || 0;
-              roundData.betsCount = Math.max(roundData.betsCount, newBetsCount);
-              
-              // Calcular total apostado de forma segura
-              if (p.bets && Array.isArray(p.bets)) {
-                roundData.totalBetAmount = p.bets.reduce((sum, bet) => {
-                  const betAmount = parseFloat(bet.bet || bet.amount || 0);
-                  return sum + betAmount;
-                }, 0);
-              } else if (p.totalBetAmount !== undefined) {
-                // Si viene el total directamente
-                roundData.totalBetAmount = parseFloat(p.totalBetAmount) || 0;
-              }
-              
-              roundData.gameState = 'Bet';
-            } else if (c === 'onlinePlayers') {
-              roundData.onlinePlayers = parseInt(p.onlinePlayers) || 0;
-            } else if (c === 'changeState') {
-              // newStateId: 1 = Bet (apuestas abiertas), 2 = Run (avión volando), 3 = End (terminó)
-              
-              // MEJORADO: Extraer roundId de múltiples campos posibles
-              const extractedRoundId = p.roundId || p.round_id || p.id || p.gameId || p.game_id;
-              
-              if (p.newStateId === 1) {
-                // Estado 1: Apuestas abiertas
-                roundData.gameState = 'Bet';
-                
-                // Establecer roundId si viene en este mensaje
-                if (extractedRoundId) {
-                  roundData.roundId = String(extractedRoundId);
-                  console.log(`[WS:${id}] 🎲 Nueva ronda ${roundData.roundId} - Apuestas abiertas`);
-                } else {
-                  console.log(`[WS:${id}] 🎲 Nueva ronda - Apuestas abiertas (roundId pendiente)`);
-                }
-                
-                roundData.currentMultiplier = 0;
-                
-                if (roundData.roundId) {
-                  this.io.to(`bookmaker:${id}`).emit('roundStart', {
-                    roundId: roundData.roundId,
-                    gameState: 'Bet',
-                  });
-                }
-              } else if (p.newStateId === 2) {
-                // Estado 2: Avión volando
-                roundData.gameState = 'Run';
-                
-                // Intentar establecer roundId si aún no está establecido
-                if (!roundData.roundId && extractedRoundId) {
-                  roundData.roundId = String(extractedRoundId);
-                  console.log(`[WS:${id}] 🆔 RoundId establecido en estado Run: ${roundData.roundId}`);
-                }
-                
-                roundData.currentMultiplier = 0;
-                
-                console.log(`[WS:${id}] 🚀 Avión despegó - Round: ${roundData.roundId || 'SIN_ID'}`);
-              } else if (p.newStateId === 3) {
-                // Estado 3: Juego terminado (algunos bookmakers usan este estado)
-                roundData.gameState = 'End';
-                
-                // Intentar establecer roundId si aún no está establecido
-                if (!roundData.roundId && extractedRoundId) {
-                  roundData.roundId = String(extractedRoundId);
-                  console.log(`[WS:${id}] 🆔 RoundId establecido en estado End: ${roundData.roundId}`);
-                }
-                
-                // IMPORTANTE: Extraer crashX o maxMultiplier del mensaje changeState si está disponible
-                const stateMultiplier = parseFloat(p.crashX || p.maxMultiplier || p.max_multiplier || p.multiplier || 0);
-                if (stateMultiplier > 0 && stateMultiplier > roundData.maxMultiplier) {
-                  roundData.maxMultiplier = stateMultiplier;
-                  roundData.currentMultiplier = stateMultiplier;
-                  console.log(`[WS:${id}] 📊 Multiplicador actualizado desde changeState: ${stateMultiplier}x`);
-                }
-                
-                console.log(`[WS:${id}] 🛬 Estado End recibido - Round: ${roundData.roundId || 'SIN_ID'}, Multi: ${roundData.maxMultiplier}x`);
-                
-                // NUEVO: Guardar ronda aquí si tiene maxMultiplier válido
-                if (roundData.maxMultiplier > 0) {
-                  console.log(`[WS:${id}] 💾 Guardando ronda desde estado End (changeState)`);
-                  try {
-                    await this.saveRoundData(id, name, roundData.maxMultiplier);
-                    setTimeout(() => this.resetRoundData(id), 3000);
-                  } catch (error) {
-                    console.error(`[WS:${id}] ❌ Error guardando desde changeState:`, error);
-                  }
-                } else {
-                  console.warn(`[WS:${id}] ⚠️ Estado End sin multiplicador válido, esperando más datos...`);
-                  // Programar guardado después de 2 segundos si aún no se guardó
-                  setTimeout(async () => {
-                    const currentData = this.roundData.get(id);
-                    if (currentData && currentData.maxMultiplier > 0 && currentData.roundId) {
-                      const roundKey = `${id}_${currentData.roundId}`;
-                      if (!this.savedRounds.has(roundKey)) {
-                        console.log(`[WS:${id}] 💾 Guardado retrasado desde changeState`);
-                        await this.saveRoundData(id, name, currentData.maxMultiplier);
-                      }
-                    }
-                  }, 2000);
-                }
-              } else {
-                console.warn(`[WS:${id}] ⚠️ Estado desconocido: ${p.newStateId}`);
-              }
-            } else if (c === 'updateCurrentCashOuts') {
-              // Manejo robusto de cashouts
-              const cashouts = p.cashouts || p.cashOuts || [];
-              if (Array.isArray(cashouts)) {
-                cashouts.forEach((cashout) => {
-                  try {
-                    // Crear clave única para evitar duplicados
-                    const playerId = cashout.player_id || cashout.playerId || '';
-                    const betId = cashout.betId || cashout.bet_id || '';
-                    const multiplier = cashout.multiplier || cashout.multi || 0;
-                    const cashoutKey = `${playerId}-${betId}-${multiplier}`;
-                    
-                    if (!roundData.cashoutRecords.has(cashoutKey)) {
-                      // Obtener monto ganado
-                      const winAmount = parseFloat(cashout.winAmount || cashout.win_amount || cashout.amount || 0);
-                      roundData.totalCashout += winAmount;
-                      roundData.cashoutRecords.add(cashoutKey);
-                    }
-                  } catch (cashoutError) {
-                    console.error(`[WS:${id}] Error procesando cashout:`, cashoutError.message);
-                  }
-                });
-              }
-            } else if (c === 'x') {
-              // Comando 'x' maneja AMBOS:
-              // - crashX: multiplicador final cuando el juego termina
-              // - x: multiplicador actual mientras el juego está en curso
-              
-              // MEJORADO: Intentar extraer roundId si viene aquí
-              const extractedRoundId = p.roundId || p.round_id || p.id || p.gameId || p.game_id;
-              if (!roundData.roundId && extractedRoundId) {
-                roundData.roundId = String(extractedRoundId);
-                console.log(`[WS:${id}] 🆔 RoundId establecido en comando 'x': ${roundData.roundId}`);
-              }
-              
-              if (p.crashX !== undefined && p.crashX !== null) {
-                // El juego terminó - crashX es el multiplicador final
-                const finalMultiplier = parseFloat(p.crashX) || 0;
-                roundData.maxMultiplier = finalMultiplier;
-                roundData.currentMultiplier = finalMultiplier;
-                roundData.gameState = 'End';
-                
-                console.log(`[WS:${id}] 🎯 Juego terminado - crashX: ${finalMultiplier}x (Round: ${roundData.roundId || 'GENERANDO'})`);
-                
-                // MEJORADO: Generar roundId temporal si no existe
-                if (!roundData.roundId) {
-                  const timestamp = Date.now();
-                  roundData.roundId = `round_${id}_${timestamp}`;
-                  console.warn(`[WS:${id}] ⚠️ RoundId generado temporalmente: ${roundData.roundId}`);
-                }
-                
-                // SIEMPRE intentar guardar cuando hay crashX
-                try {
-                  console.log(`[WS:${id}] 💾 Intentando guardar ronda con crashX...`);
-                  await this.saveRoundData(id, name, finalMultiplier);
-                  // Resetear después de un delay para que el frontend reciba los datos
-                  setTimeout(() => this.resetRoundData(id), 4000);
-                } catch (saveError) {
-                  console.error(`[WS:${id}] ❌ Error crítico guardando ronda:`, saveError);
-                  // Guardar en backup
-                  this.saveRoundToBackup(id, roundData, finalMultiplier);
-                }
-              } else if (p.x !== undefined && p.x !== null) {
-                // El juego está en curso - x es el multiplicador actual
-                const currentMulti = parseFloat(p.x) || 0;
-                roundData.currentMultiplier = currentMulti;
-                
-                // Actualizar maxMultiplier si el actual es mayor
-                if (currentMulti > roundData.maxMultiplier) {
-                  roundData.maxMultiplier = currentMulti;
-                }
-                
-                roundData.gameState = 'Run';
-                
-                // Emitir multiplicador actual en tiempo real
-                if (this.io) {
-                  this.io.to(`bookmaker:${id}`).emit('multiplier', {
-                    bookmakerId: id,
-                    current_multiplier: currentMulti.toFixed(2),
-                  });
-                }
-                
-                if (this.debugMode) {
-                  if (!ws.multiplierLogCount) ws.multiplierLogCount = 0;
-                  ws.multiplierLogCount++;
-                  if (ws.multiplierLogCount % 20 === 0) {
-                    console.log(`[WS:${id}] 🚀 Multiplicador actual: ${currentMulti.toFixed(2)}x (max: ${roundData.maxMultiplier.toFixed(2)}x)`);
-                  }
-                }
-              } else {
-                // Si no hay ni crashX ni x, loggear para debug
-                if (this.debugMode) {
-                  console.warn(`[WS:${id}] ⚠️ Comando 'x' sin crashX ni x:`, JSON.stringify(p));
-                }
-              }
-            } else if (c === 'roundChartInfo') {
-              // MEJORADO: roundChartInfo puede ser RESPALDO para guardar rondas
-              const extractedRoundId = p.roundId || p.round_id || p.id;
-              const extractedMultiplier = parseFloat(p.maxMultiplier || p.max_multiplier || p.multiplier || 0);
-              
-              if (extractedRoundId) {
-                // Actualizar datos
-                roundData.roundId = String(extractedRoundId);
-                
-                if (extractedMultiplier > 0) {
-                  roundData.maxMultiplier = extractedMultiplier;
-                  roundData.currentMultiplier = extractedMultiplier;
-                  
-                  console.log(`[WS:${id}] 📊 roundChartInfo recibido - Round: ${roundData.roundId}, Multi: ${extractedMultiplier}x`);
-                  
-                  // NUEVO: Guardar ronda también desde roundChartInfo como BACKUP
-                  if (roundData.gameState === 'End' || extractedMultiplier > 0) {
-                    console.log(`[WS:${id}] 💾 Guardando ronda desde roundChartInfo (BACKUP)`);
-                    try {
-                      await this.saveRoundData(id, name, extractedMultiplier);
-                    } catch (error) {
-                      console.error(`[WS:${id}] ❌ Error guardando desde roundChartInfo:`, error.message);
-                    }
-                  }
-                }
-                
-                // Emitir al frontend
-                if (this.io) {
-                  this.io.to(`bookmaker:${id}`).emit('roundChartInfo', {
-                    maxMultiplier: extractedMultiplier,
-                    roundId: roundData.roundId,
-                  });
-                }
-              }
-            } else {
-              // Comando desconocido - loggear para agregar soporte si es necesario
-              // Descomentar para debug de comandos nuevos:
-              // console.log(`[WS:${id}] ℹ️ Comando desconocido: ${c}`, JSON.stringify(p).substring(0, 200));
-            }
-
-            // Calcular ganancia del casino
-            const casinoProfit = roundData.totalBetAmount - roundData.totalCashout;
-            
-            // Emitir datos actualizados de la ronda
-            const roundDataToEmit = {
-              online_players: roundData.onlinePlayers,
-              bets_count: roundData.betsCount,
-              total_bet_amount: roundData.totalBetAmount,
-              total_cashout: roundData.totalCashout,
-              current_multiplier: roundData.currentMultiplier,
-              max_multiplier: roundData.maxMultiplier,
-              game_state: roundData.gameState,
-              casino_profit: Number(casinoProfit.toFixed(2)),
-              round_id: roundData.roundId,
-              bookmaker_id: id, // Agregar ID del bookmaker para que el frontend lo filtre
-            };
-            
-            // Log solo si hay cambios significativos (comentar en producción si molesta)
-            // if (roundData.gameState === 'End' || roundData.currentMultiplier > 0) {
-            //   console.log(`[WS:${id}] 📤 Emitiendo datos - State: ${roundData.gameState}, Multi: ${roundData.currentMultiplier.toFixed(2)}x`);
-            // }
-            
-            this.io.to(`bookmaker:${id}`).emit('round', roundDataToEmit);
-          }
-        } catch (error) {
-          console.error(`[WS:${id}] ❌ Error processing message:`, error.message);
-          console.error(`[WS:${id}] Stack:`, error.stack);
-        }
+        // Frames que llegan mientras se cierra un socket ya reemplazado o desconectado
+        if (this.connections.get(id)?.ws !== ws) return;
+        frameCaptureService.record(id, 'in', data);
+        await this.handleMessage(bookmaker, ws, data);
       });
 
+      // 'error' siempre va seguido de 'close': la reconexión se decide solo en 'close'
       ws.on('error', async (error) => {
         console.error(`WebSocket error for bookmaker ${id}: ${error.message}`);
-        this.connections.set(id, { ws, status: 'DISCONNECTED', lastPing: this.connections.get(id)?.lastPing });
-        
-        
-        if (!this.isResetting) {
-          this.handleReconnect(bookmaker, io, retryCount);
+        ws.lastError = error;
+        if (this.connections.get(id)?.ws === ws) {
+          this.connections.set(id, { ws, status: 'DISCONNECTED', lastPing: this.connections.get(id)?.lastPing });
         }
       });
 
       ws.on('close', async (code, reason) => {
         console.log(`WebSocket closed for bookmaker ${id} (code: ${code}, reason: ${reason || 'No reason provided'})`);
+        // Socket reemplazado por una conexión nueva (reset, health check): no reconectar
+        if (this.connections.get(id)?.ws !== ws) return;
         this.connections.set(id, { ws, status: 'DISCONNECTED', lastPing: this.connections.get(id)?.lastPing });
         
         
-        const roundData = this.roundData.get(id);
-        if (roundData?.roundId && roundData.maxMultiplier > 0) {
-          await this.saveRoundData(id, name, roundData.maxMultiplier);
+        const machine = this.roundMachines.get(id);
+        if (machine) {
+          for (const event of machine.flush('disconnect')) {
+            await this.applyRoundEvent(bookmaker, event);
+          }
+        }
+        // Sin feed no se puede saber cuál es la ronda siguiente de las señales pendientes
+        if (!this.isShuttingDown) {
+          await patternDetectionService.voidPendingSignals(id, patternDetectionService.VOID_REASONS.FEED_DISCONNECTED);
         }
         if (!this.isResetting) {
-          this.handleReconnect(bookmaker, io, retryCount);
+          const failureType = CircuitBreaker.classifyClose(code, ws.lastError);
+          const detail = ws.lastError ? ws.lastError.message : `close ${code}${reason && reason.length ? ` ${reason}` : ''}`;
+          this.handleReconnect(bookmaker, io, failureType, detail);
         }
       });
 
       const pingInterval = setInterval(() => {
         if (ws.readyState === WebSocket.OPEN) {
           try {
-            ws.send(Buffer.from(third_message, 'base64'));
+            this.sendFrame(id, ws, Buffer.from(third_message, 'base64'));
           } catch (error) {
             console.error(`Error sending PING for bookmaker ${id}: ${error.message}`);
-            if (!this.isResetting) {
-              this.handleReconnect(bookmaker, io, retryCount);
-            }
+            // El cierre dispara 'close', que programa la reconexión
+            ws.terminate();
           }
         } else {
           console.log(`WebSocket not OPEN for bookmaker ${id}, state: ${ws.readyState}`);
-          if (!this.isResetting) {
-            this.handleReconnect(bookmaker, io, retryCount);
-          }
         }
-      }, 10000);
+      }, pingIntervalMs);
 
       this.pingIntervals.set(id, pingInterval);
 
       ws.on('close', () => {
         console.log(`Cleaning up pingInterval for bookmaker ${id}`);
-        clearInterval(this.pingIntervals.get(id));
-        this.pingIntervals.delete(id);
+        clearInterval(pingInterval);
+        // Tras un reinicio el intervalo registrado ya es el de la conexión nueva
+        if (this.pingIntervals.get(id) === pingInterval) {
+          this.pingIntervals.delete(id);
+        }
       });
     } catch (error) {
       console.error(`Failed to connect WebSocket for bookmaker ${id}: ${error.message}`);
       this.connections.set(id, { ws: null, status: 'DISCONNECTED', lastPing: null });
       if (!this.isResetting) {
-        this.handleReconnect(bookmaker, io, retryCount);
+        this.handleReconnect(bookmaker, io, CircuitBreaker.FAILURE_TYPES.NETWORK, error.message);
       }
     }
   }
 
-  handleReconnect(bookmaker, io, retryCount) {
-    if (retryCount >= this.maxRetries) {
-      console.log(`ACTUALIZA TU TOKEN para bookmaker ${bookmaker.id}. Máximo de intentos (${this.maxRetries}) alcanzado.`);
+  /**
+   * Procesar un frame recibido de un bookmaker
+   * Usado por la conexión en vivo y por replay-capture.js para reproducir capturas
+   * @param {number} receivedAt - Instante de recepción en ms (el replay pasa el de la captura)
+   */
+  async handleMessage(bookmaker, ws, data, receivedAt = Date.now()) {
+    const { id, nombre: name, second_message } = bookmaker;
+
+    try {
+      // Usar el decoder apropiado según la configuración del bookmaker
+      const decoderType = bookmaker.decoder_type || 'auto';
+      const decodedMessage = unifiedDecoder.decodeMessage(data, decoderType);
+      
+      if (!decodedMessage) {
+        // Silenciar logs de mensajes no decodificables (pueden ser pings/pongs)
+        // Solo loggear si el buffer es significativamente grande (>10 bytes)
+        if (data && data.length > 10) {
+          const analysis = unifiedDecoder.analyzeMessage(data);
+          // Log solo cada 20 mensajes no decodificados para evitar spam
+          if (!ws.undecodedCount) ws.undecodedCount = 0;
+          ws.undecodedCount++;
+          if (ws.undecodedCount % 20 === 0) {
+            console.log(`[WS:${id}] ⚠️ ${ws.undecodedCount} mensajes no decodificados. Último análisis:`, {
+              tipo: analysis.type,
+              tamaño: analysis.size,
+              primerByte: analysis.firstByte
+            });
+          }
+        }
+        return;
+      }
+
+      // Resetear contador de mensajes no decodificados al recibir uno exitoso
+      ws.undecodedCount = 0;
+
+      this.connections.set(id, { ws, status: 'CONNECTED', lastPing: new Date() });
+
+      if (!ws.firstResponseReceived) {
+        this.sendFrame(id, ws, Buffer.from(second_message, 'base64'));
+        ws.firstResponseReceived = true;
+      }
+
+      const machine = this.roundMachines.get(id);
+      if (!machine) {
+        // Silenciar este warning, es normal durante la inicialización
+        return;
+      }
+
+      // Log de mensaje decodificado en modo debug
+      if (this.debugMode && decodedMessage.p && decodedMessage.p.c) {
+        console.log(`[WS:${id}] 📥 Comando: ${decodedMessage.p.c}`, JSON.stringify(decodedMessage.p.p).substring(0, 200));
+      }
+
+      if (decodedMessage.p) {
+        const { p, c } = decodedMessage.p;
+
+        // Un comando de juego confirma que la conexión y el token funcionan
+        if (c) this.breakers.get(id)?.recordSuccess();
+
+        // La máquina de estados decide qué pasó; aquí solo se conectan sockets y persistencia
+        const events = machine.handle(c, p || {}, receivedAt);
+        for (const event of events) {
+          await this.applyRoundEvent(bookmaker, event);
+        }
+
+        // Emitir datos actualizados de la ronda
+        this.io.to(`bookmaker:${id}`).emit('round', this.formatRoundForEmit(id, machine.getSnapshot()));
+      }
+    } catch (error) {
+      console.error(`[WS:${id}] ❌ Error processing message:`, error.message);
+      console.error(`[WS:${id}] Stack:`, error.stack);
+    }
+  }
+
+  /**
+   * Aplicar un evento de dominio de RoundStateMachine (emisiones Socket.IO y guardado)
+   */
+  async applyRoundEvent(bookmaker, event) {
+    const { id, nombre: name } = bookmaker;
+    const { round } = event;
+
+    switch (event.type) {
+      case 'roundStarted':
+        console.log(`[WS:${id}] 🎲 Nueva ronda ${round.roundId || '(roundId pendiente)'} - Apuestas abiertas`);
+        if (round.roundId && this.io) {
+          this.io.to(`bookmaker:${id}`).emit('roundStart', {
+            roundId: round.roundId,
+            gameState: 'Bet',
+          });
+        }
+        break;
+
+      case 'flightStarted':
+        console.log(`[WS:${id}] 🚀 Avión despegó - Round: ${round.roundId || 'SIN_ID'}`);
+        break;
+
+      case 'tick':
+        // Emitir multiplicador actual en tiempo real
+        if (this.io) {
+          this.io.to(`bookmaker:${id}`).emit('multiplier', {
+            bookmakerId: id,
+            current_multiplier: event.multiplier.toFixed(2),
+          });
+        }
+        if (this.debugMode && round.ticks % 20 === 0) {
+          console.log(`[WS:${id}] 🚀 Multiplicador actual: ${event.multiplier.toFixed(2)}x (max: ${round.maxMultiplier.toFixed(2)}x)`);
+        }
+        break;
+
+      case 'crashed':
+        console.log(`[WS:${id}] 🎯 Juego terminado - crashX: ${event.multiplier}x (Round: ${round.roundId || 'SIN_ID'})`);
+        break;
+
+      case 'roundCompleted':
+        // Único camino de guardado: la máquina emite roundCompleted una sola vez por ronda
+        console.log(`[WS:${id}] 💾 Guardando ronda ${round.roundId || 'SIN_ID'} (origen: ${event.reason})`);
+        await this.saveRoundData(id, name, round);
+        break;
+
+      case 'chartInfo':
+        if (this.io) {
+          this.io.to(`bookmaker:${id}`).emit('roundChartInfo', {
+            maxMultiplier: event.maxMultiplier,
+            roundId: event.roundId,
+          });
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  // Formato del evento 'round' que consume el frontend
+  formatRoundForEmit(bookmakerId, round) {
+    return {
+      online_players: round?.onlinePlayers || 0,
+      bets_count: round?.betsCount || 0,
+      total_bet_amount: round?.totalBetAmount || 0,
+      total_cashout: round?.totalCashout || 0,
+      current_multiplier: round?.currentMultiplier || 0,
+      max_multiplier: round?.maxMultiplier || 0,
+      game_state: round?.gameState || 'Bet',
+      casino_profit: Number((round?.casinoProfit || 0).toFixed(2)),
+      round_id: round?.roundId || null,
+      bookmaker_id: bookmakerId, // Agregar ID del bookmaker para que el frontend lo filtre
+    };
+  }
+
+  getRoundSnapshot(bookmakerId) {
+    const machine = this.roundMachines.get(bookmakerId);
+    return machine ? machine.getSnapshot() : null;
+  }
+
+  // Enviar un frame al bookmaker registrándolo en la captura si está activa
+  sendFrame(bookmakerId, ws, buffer) {
+    frameCaptureService.record(bookmakerId, 'out', buffer);
+    ws.send(buffer);
+  }
+
+  /**
+   * Cerrar la conexión de un solo bookmaker sin tocar las demás
+   * La ronda en curso (con roundId y multiplicador) se guarda antes de cerrar, y el socket
+   * deja de ser el activo antes del cierre para que su 'close' no programe una reconexión
+   * @param {number} bookmakerId
+   * @param {string} reason - restart | reset | pause | invalid_config | deleted | shutdown
+   * @param {number} closeCode - 1000 (normal) o 1001 (going away) al apagar el servidor
+   */
+  async disconnectBookmaker(bookmakerId, reason = 'disconnect', closeCode = 1000) {
+    clearTimeout(this.reconnectTimers.get(bookmakerId));
+    this.reconnectTimers.delete(bookmakerId);
+    clearInterval(this.pingIntervals.get(bookmakerId));
+    this.pingIntervals.delete(bookmakerId);
+
+    const connection = this.connections.get(bookmakerId);
+    const machine = this.roundMachines.get(bookmakerId);
+    this.connections.delete(bookmakerId);
+    this.roundMachines.delete(bookmakerId);
+
+    if (machine) {
+      const bookmaker = this.bookmakerConfigs.get(bookmakerId) || { id: bookmakerId };
+      for (const event of machine.flush(reason)) {
+        await this.applyRoundEvent(bookmaker, event);
+      }
+    }
+    // Al apagar se conservan pendientes (las reconcilia el siguiente arranque), y en un reset o
+    // restart manual también: la conexión vuelve en segundos y la primera ronda las resuelve, o las
+    // deja unverifiable si faltan rondas; si no vuelve, vence su ventana de validez
+    if (!['shutdown', 'reset', 'restart'].includes(reason)) {
+      await patternDetectionService.voidPendingSignals(bookmakerId, patternDetectionService.VOID_REASONS.FEED_DISCONNECTED);
+    }
+
+    if (connection && connection.ws && connection.ws.readyState !== WebSocket.CLOSED) {
+      connection.ws.close(closeCode, `Closing for ${reason}`);
+      console.log(`[WS:${bookmakerId}] 🔌 Conexión cerrada (${reason})`);
+    }
+    frameCaptureService.stop(bookmakerId);
+  }
+
+  /**
+   * Reiniciar la conexión de un bookmaker con su configuración actual en BD
+   * Desbloquea su circuit breaker (p. ej. tras actualizar el token). Si el bookmaker
+   * está inactivo o ya no existe solo se desconecta; si está pausado sigue pausado.
+   * @param {number} bookmakerId
+   * @returns {Object} - Estado de la conexión (getBookmakerConnectionStatus)
+   */
+  async restartBookmaker(bookmakerId) {
+    const bookmaker = await getBookmakerWithConfig(bookmakerId);
+
+    await this.disconnectBookmaker(bookmakerId, bookmaker ? 'restart' : 'deleted');
+    this.breakers.delete(bookmakerId);
+
+    if (!bookmaker || !bookmaker.active) {
+      this.bookmakerConfigs.delete(bookmakerId);
+      await patternDetectionService.voidPendingSignals(bookmakerId, patternDetectionService.VOID_REASONS.FEED_DISCONNECTED);
+      console.log(`[WS:${bookmakerId}] Bookmaker inactivo o eliminado, no se reconecta`);
+    } else if (this.pausedBookmakers.has(bookmakerId)) {
+      await patternDetectionService.voidPendingSignals(bookmakerId, patternDetectionService.VOID_REASONS.FEED_DISCONNECTED);
+      console.log(`[WS:${bookmakerId}] ⏸️ Bookmaker pausado, se conectará al reanudarlo`);
+    } else {
+      console.log(`[WS:${bookmakerId}] 🔄 Reiniciando conexión`);
+      this.connectToBookmaker(bookmaker, this.io);
+    }
+
+    return this.getBookmakerConnectionStatus(bookmakerId);
+  }
+
+  /**
+   * Pausar un bookmaker: se cierra su conexión y ni el sondeo de configuración
+   * ni el health check la vuelven a abrir hasta resumeBookmaker
+   */
+  async pauseBookmaker(bookmakerId) {
+    this.pausedBookmakers.add(bookmakerId);
+    await this.disconnectBookmaker(bookmakerId, 'pause');
+    console.log(`[WS:${bookmakerId}] ⏸️ Bookmaker pausado`);
+    return this.getBookmakerConnectionStatus(bookmakerId);
+  }
+
+  async resumeBookmaker(bookmakerId) {
+    this.pausedBookmakers.delete(bookmakerId);
+    console.log(`[WS:${bookmakerId}] ▶️ Bookmaker reanudado`);
+    return this.restartBookmaker(bookmakerId);
+  }
+
+  isBookmakerPaused(bookmakerId) {
+    return this.pausedBookmakers.has(bookmakerId);
+  }
+
+  /**
+   * Registrar un fallo de conexión y programar la reconexión con backoff
+   * @param {string} failureType - network | auth | config (ver circuitBreaker.js)
+   * @param {string} detail - Motivo del fallo
+   */
+  handleReconnect(bookmaker, io, failureType, detail) {
+    const { id } = bookmaker;
+    if (this.isShuttingDown) return;
+    const breaker = this.getBreaker(id);
+    const { retry, delayMs } = breaker.recordFailure(failureType, detail);
+
+    if (!retry) {
+      if (breaker.blockedReason === CircuitBreaker.FAILURE_TYPES.AUTH) {
+        console.log(`ACTUALIZA TU TOKEN para bookmaker ${id}. El proveedor rechazó la autenticación ${breaker.authFailures} veces seguidas (${detail}).`);
+      } else {
+        console.log(`Bookmaker ${id} sin reconexión: configuración inválida (${detail})`);
+      }
       // No eliminamos conexiones ni datos para mantener el servidor activo
       return;
     }
 
-    console.log(`Attempting to reconnect for bookmaker ${bookmaker.id} (Attempt ${retryCount + 1}/${this.maxRetries})`);
-    setTimeout(() => {
-      this.connectToBookmaker(bookmaker, io, retryCount + 1);
-    }, this.retryDelay * (retryCount + 1));
+    // error + close o ping + close no deben programar dos reconexiones
+    if (this.reconnectTimers.has(id)) return;
+
+    console.log(`Attempting to reconnect for bookmaker ${id} in ${(delayMs / 1000).toFixed(1)}s (failure ${breaker.consecutiveFailures}, ${failureType}, circuit ${breaker.state})`);
+    const timer = setTimeout(() => {
+      this.reconnectTimers.delete(id);
+      this.connectToBookmaker(bookmaker, io);
+    }, delayMs);
+    this.reconnectTimers.set(id, timer);
   }
 
-  async saveRoundData(bookmaker_id, bookmaker_name, crashX) {
-    const roundData = this.roundData.get(bookmaker_id);
-    
+  /**
+   * Guardar una ronda completada
+   * @param {number} bookmaker_id
+   * @param {string} bookmaker_name
+   * @param {Object} round - Snapshot de RoundStateMachine (evento roundCompleted)
+   */
+  async saveRoundData(bookmaker_id, bookmaker_name, round) {
     // Validaciones robustas
-    if (!roundData) {
-      console.error(`[SAVE:${bookmaker_id}] ❌ No hay roundData disponible`);
+    if (!round) {
+      console.error(`[SAVE:${bookmaker_id}] ❌ No hay datos de ronda disponibles`);
       return;
     }
+
+    // Copia local: el roundId temporal no debe modificar el snapshot del evento
+    const roundData = { ...round };
+    const crashX = roundData.maxMultiplier;
     
     // Validar crashX primero
-    let validCrashX = parseFloat(crashX) || parseFloat(roundData.maxMultiplier) || 0;
+    let validCrashX = parseFloat(crashX) || 0;
     if (validCrashX <= 0) {
       console.error(`[SAVE:${bookmaker_id}] ❌ crashX inválido: ${crashX}, no se guardará`);
       return;
@@ -717,51 +836,48 @@ class WebSocketService {
       return;
     }
     
-    // CORREGIDO: Verificar duplicados SOLO por round_id (no por multiplicador)
-    // El multiplicador puede repetirse en diferentes rondas, eso es normal
-    const existingByRoundId = await GameRound.findByRoundId(bookmaker_id, String(roundData.roundId));
-    if (existingByRoundId) {
-      console.log(`[SAVE:${bookmaker_id}] ⚠️ Ronda con round_id ${roundData.roundId} ya existe en BD - Omitiendo duplicado`);
-      // Marcar como guardada en memoria para evitar reintentos
-      this.savedRounds.add(roundKey);
-      return;
-    }
+    // Calcular datos con validación
+    const totalBetAmount = parseFloat(roundData.totalBetAmount) || 0;
+    const totalCashout = parseFloat(roundData.totalCashout) || 0;
+    const casinoProfit = totalBetAmount - totalCashout;
+    const lossPercentage = totalBetAmount > 0 ? (casinoProfit / totalBetAmount) * 100 : 0;
+
+    // Solo los fallos al buscar o insertar la ronda la mandan al outbox; lo posterior tiene su propio manejo
+    let savedRound;
+    try {
+      // CORREGIDO: Verificar duplicados SOLO por round_id (no por multiplicador)
+      // El multiplicador puede repetirse en diferentes rondas, eso es normal
+      const existingByRoundId = await GameRound.findByRoundId(bookmaker_id, String(roundData.roundId));
+      if (existingByRoundId) {
+        console.log(`[SAVE:${bookmaker_id}] ⚠️ Ronda con round_id ${roundData.roundId} ya existe en BD - Omitiendo duplicado`);
+        // Marcar como guardada en memoria para evitar reintentos
+        this.savedRounds.add(roundKey);
+        return;
+      }
     
-    // SOLO si el round_id es temporal, verificar por multiplicador + timestamp como fallback
-    // Esto es para evitar duplicados cuando no llega el round_id real
-    const isTemporaryId = roundData.roundId.startsWith('temp_') || roundData.roundId.startsWith('round_');
-    if (isTemporaryId) {
-      const similarRound = await GameRound.findSimilarRound(bookmaker_id, validCrashX);
-      if (similarRound) {
-        // Si la ronda similar tiene un ID temporal y la nueva también, verificar si es realmente la misma
-        const isExistingTemporary = similarRound.round_id.startsWith('temp_') || similarRound.round_id.startsWith('round_');
+      // SOLO si el round_id es temporal, verificar por multiplicador + timestamp como fallback
+      // Esto es para evitar duplicados cuando no llega el round_id real
+      const isTemporaryId = roundData.roundId.startsWith('temp_') || roundData.roundId.startsWith('round_');
+      if (isTemporaryId) {
+        const similarRound = await GameRound.findSimilarRound(bookmaker_id, validCrashX);
+        if (similarRound) {
+          // Si la ronda similar tiene un ID temporal y la nueva también, verificar si es realmente la misma
+          const isExistingTemporary = similarRound.round_id.startsWith('temp_') || similarRound.round_id.startsWith('round_');
         
-        // Si la existente es temporal y la nueva también, y tienen el mismo multiplicador en ventana de tiempo,
-        // probablemente es la misma ronda, actualizar con el nuevo ID temporal si es más reciente
-        if (isExistingTemporary) {
-          const timeDiff = Math.abs(new Date() - new Date(similarRound.timestamp || similarRound.created_at));
-          // Si la ronda similar es muy reciente (menos de 30 segundos), probablemente es la misma
-          if (timeDiff < 30000) {
-            console.log(`[SAVE:${bookmaker_id}] 🔄 Ronda temporal similar encontrada (${similarRound.round_id}), actualizando con nuevo ID temporal`);
-            await GameRound.updateRoundId(similarRound.round_id, roundData.roundId, bookmaker_id);
-            this.savedRounds.add(roundKey);
-            return;
+          // Si la existente es temporal y la nueva también, y tienen el mismo multiplicador en ventana de tiempo,
+          // probablemente es la misma ronda, actualizar con el nuevo ID temporal si es más reciente
+          if (isExistingTemporary) {
+            const timeDiff = Math.abs(new Date() - new Date(similarRound.timestamp || similarRound.created_at));
+            // Si la ronda similar es muy reciente (menos de 30 segundos), probablemente es la misma
+            if (timeDiff < 30000) {
+              console.log(`[SAVE:${bookmaker_id}] 🔄 Ronda temporal similar encontrada (${similarRound.round_id}), actualizando con nuevo ID temporal`);
+              await GameRound.updateRoundId(similarRound.round_id, roundData.roundId, bookmaker_id);
+              this.savedRounds.add(roundKey);
+              return;
+            }
           }
         }
       }
-    }
-    
-    // Actualizar maxMultiplier si crashX es mayor
-    if (validCrashX > roundData.maxMultiplier) {
-      roundData.maxMultiplier = validCrashX;
-    }
-
-    try {
-      // Calcular datos con validación
-      const totalBetAmount = parseFloat(roundData.totalBetAmount) || 0;
-      const totalCashout = parseFloat(roundData.totalCashout) || 0;
-      const casinoProfit = totalBetAmount - totalCashout;
-      const lossPercentage = totalBetAmount > 0 ? (casinoProfit / totalBetAmount) * 100 : 0;
 
       // Log de pre-guardado para debugging
       console.log(`[SAVE:${bookmaker_id}] 💾 Intentando guardar:`, {
@@ -773,7 +889,6 @@ class WebSocketService {
       });
 
       // Insertar en base de datos (addRound ya maneja duplicados internamente)
-      let savedRound;
       try {
         // Validar y formatear valores antes de guardar
         const safeMultiplier = this.safeDecimalValue(validCrashX, 2, MAX_MULTIPLIER_VALUE);
@@ -845,114 +960,163 @@ class WebSocketService {
           throw dbError; // Re-lanzar otros errores
         }
       }
+    } catch (error) {
+      console.error(`[SAVE:${bookmaker_id}] ❌ ERROR CRÍTICO guardando ronda:`, {
+        roundId: roundData.roundId,
+        error: error.message,
+        code: error.code,
+        stack: error.stack
+      });
 
-      // Preparar datos para el frontend
-      const now = new Date();
-      const offset = -5 * 60; // UTC-5 para Colombia
-      now.setMinutes(now.getMinutes() + offset);
-      const createdAt = now.toISOString();
+      // Intentar guardar en backup
+      this.saveRoundToBackup(bookmaker_id, roundData);
+      return;
+    }
 
-      const newRoundData = {
-        id: roundData.roundId,
-        bookmaker_id,
-        round_id: String(roundData.roundId),
-        timestamp: createdAt,
-        bets_count: parseInt(roundData.betsCount) || 0,
-        total_bet_amount: Number(totalBetAmount.toFixed(2)),
-        online_players: parseInt(roundData.onlinePlayers) || 0,
-        max_multiplier: Number(validCrashX.toFixed(2)),
-        total_cashout: Number(totalCashout.toFixed(2)),
-        casino_profit: Number(casinoProfit.toFixed(2)),
-        loss_percentage: Number(lossPercentage.toFixed(2)),
-        created_at: createdAt,
-      };
+    // Preparar datos para el frontend
+    const now = new Date();
+    const offset = -5 * 60; // UTC-5 para Colombia
+    now.setMinutes(now.getMinutes() + offset);
+    const createdAt = now.toISOString();
+
+    const newRoundData = {
+      id: roundData.roundId,
+      bookmaker_id,
+      round_id: String(roundData.roundId),
+      timestamp: createdAt,
+      bets_count: parseInt(roundData.betsCount) || 0,
+      total_bet_amount: Number(totalBetAmount.toFixed(2)),
+      online_players: parseInt(roundData.onlinePlayers) || 0,
+      max_multiplier: Number(validCrashX.toFixed(2)),
+      total_cashout: Number(totalCashout.toFixed(2)),
+      casino_profit: Number(casinoProfit.toFixed(2)),
+      loss_percentage: Number(lossPercentage.toFixed(2)),
+      created_at: createdAt,
+    };
 
-      // Invalidar caché
+    // Invalidar caché
+    try {
+      GameRound.invalidateCache(bookmaker_id);
+    } catch (cacheError) {
+      // No crítico
+      console.warn(`[SAVE:${bookmaker_id}] ⚠️ Error invalidando caché:`, cacheError.message);
+    }
+
+    // Emitir al frontend
+    if (this.io) {
       try {
-        GameRound.invalidateCache(bookmaker_id);
-      } catch (cacheError) {
-        // No crítico
-        console.warn(`[SAVE:${bookmaker_id}] ⚠️ Error invalidando caché:`, cacheError.message);
+        this.io.to(`bookmaker:${bookmaker_id}`).emit('newRound', newRoundData);
+      } catch (ioError) {
+        console.warn(`[SAVE:${bookmaker_id}] ⚠️ Error emitiendo al frontend:`, ioError.message);
       }
+    }
+    webhookService.publish('newRound', newRoundData, bookmaker_id);
 
-      // Emitir al frontend
-      if (this.io) {
-        try {
-          this.io.to(`bookmaker:${bookmaker_id}`).emit('newRound', newRoundData);
-        } catch (ioError) {
-          console.warn(`[SAVE:${bookmaker_id}] ⚠️ Error emitiendo al frontend:`, ioError.message);
+    // Log de éxito
+    console.log(`[SAVE:${bookmaker_id}] ✅ Round ${roundData.roundId} guardado - crashX: ${validCrashX.toFixed(2)}x, Bets: ${roundData.betsCount}, Profit: $${casinoProfit.toFixed(2)}`);
+    
+    // MARCAR COMO GUARDADA para evitar duplicados
+    this.savedRounds.add(roundKey);
+
+    // Guardar el detalle de apuestas y cashouts vinculado a la fila de game_rounds
+    if (savedRound && savedRound.id && (roundData.bets?.length || roundData.cashouts?.length)) {
+      try {
+        const { betsSaved, cashoutsSaved } = await RoundBetModel.saveRoundDetails(savedRound, roundData.bets || [], roundData.cashouts || []);
+        if (this.debugMode) {
+          console.log(`[SAVE:${bookmaker_id}] 🧾 Detalle de ronda ${savedRound.round_id}: ${betsSaved} apuestas, ${cashoutsSaved} cashouts`);
         }
+      } catch (detailsError) {
+        console.error(`[SAVE:${bookmaker_id}] ⚠️ Error guardando apuestas/cashouts:`, detailsError.message);
       }
+    }
 
-      // Log de éxito
-      console.log(`[SAVE:${bookmaker_id}] ✅ Round ${roundData.roundId} guardado - crashX: ${validCrashX.toFixed(2)}x, Bets: ${roundData.betsCount}, Profit: $${casinoProfit.toFixed(2)}`);
-      
-      // MARCAR COMO GUARDADA para evitar duplicados
-      this.savedRounds.add(roundKey);
-      
-      // Procesar resultado para detección de patrones y verificación de señales
-      // Siempre procesar si se guardó exitosamente (savedRound existe)
-      if (savedRound) {
-        try {
-          await patternDetectionService.processNewResult(bookmaker_id, String(savedRound.round_id || roundData.roundId), validCrashX);
-        } catch (patternError) {
-          console.error(`[SAVE:${bookmaker_id}] ⚠️ Error en detección de patrones:`, patternError.message);
-        }
+    // Guardar tiempos de fase y curva de multiplicadores
+    if (savedRound && savedRound.id) {
+      try {
+        await RoundTimelineModel.saveTimeline(savedRound, this.getRoundTiming(roundData), roundData.timeline || []);
+      } catch (timelineError) {
+        console.error(`[SAVE:${bookmaker_id}] ⚠️ Error guardando timeline:`, timelineError.message);
+      }
+    }
+
+    // Comparar con la ronda anterior para registrar huecos en la secuencia
+    try {
+      await roundGapService.checkRound(bookmaker_id, String(savedRound ? savedRound.round_id : roundData.roundId));
+    } catch (gapError) {
+      console.error(`[SAVE:${bookmaker_id}] ⚠️ Error en detección de huecos:`, gapError.message);
+    }
+    
+    // Procesar resultado para detección de patrones y verificación de señales
+    // Siempre procesar si se guardó exitosamente (savedRound existe)
+    if (savedRound) {
+      try {
+        await patternDetectionService.processNewResult(bookmaker_id, String(savedRound.round_id || roundData.roundId), validCrashX);
+      } catch (patternError) {
+        console.error(`[SAVE:${bookmaker_id}] ⚠️ Error en detección de patrones:`, patternError.message);
+      }
+      try {
+        await predictionService.processNewResult(bookmaker_id, String(savedRound.round_id || roundData.roundId), validCrashX);
+      } catch (predictionError) {
+        console.error(`[SAVE:${bookmaker_id}] ⚠️ Error en predicciones:`, predictionError.message);
       }
-      
-    } catch (error) {
-      console.error(`[SAVE:${bookmaker_id}] ❌ ERROR CRÍTICO guardando ronda:`, {
-        roundId: roundData.roundId,
-        error: error.message,
-        code: error.code,
-        stack: error.stack
-      });
-      
-      // Intentar guardar en backup
-      this.saveRoundToBackup(bookmaker_id, roundData, crashX);
     }
   }
 
-  // Sistema de BACKUP para rondas que no se pudieron guardar
-  saveRoundToBackup(bookmaker_id, roundData, crashX) {
+  // Sistema de BACKUP para rondas que no se pudieron guardar: outbox durable que se reintenta en segundo plano
+  saveRoundToBackup(bookmaker_id, roundData) {
     try {
-      const backupData = {
+      const totalBetAmount = parseFloat(roundData.totalBetAmount) || 0;
+      const totalCashout = parseFloat(roundData.totalCashout) || 0;
+      const casinoProfit = totalBetAmount - totalCashout;
+      const lossPercentage = totalBetAmount > 0 ? (casinoProfit / totalBetAmount) * 100 : 0;
+
+      roundOutboxService.enqueue({
         bookmaker_id,
+        round_id: String(roundData.roundId),
+        bets_count: parseInt(roundData.betsCount) || 0,
+        total_bet_amount: this.safeDecimalValue(totalBetAmount, 2),
+        online_players: parseInt(roundData.onlinePlayers) || 0,
+        max_multiplier: this.safeDecimalValue(parseFloat(roundData.maxMultiplier) || 0, 2),
+        total_cashout: this.safeDecimalValue(totalCashout, 2),
+        casino_profit: this.safeDecimalValue(casinoProfit, 2),
+        loss_percentage: this.safeDecimalValue(lossPercentage, 2),
+        bets: roundData.bets || [],
+        cashouts: roundData.cashouts || [],
+        timing: this.getRoundTiming(roundData),
+        timeline: roundData.timeline || []
+      });
+    } catch (backupError) {
+      console.error(`[BACKUP:${bookmaker_id}] ❌ Error crítico en backup:`, backupError.message);
+      console.error(`[BACKUP:${bookmaker_id}] 💾 Ronda perdida:`, JSON.stringify({
         roundId: roundData.roundId,
-        crashX,
+        crashX: roundData.maxMultiplier,
         betsCount: roundData.betsCount,
         totalBetAmount: roundData.totalBetAmount,
         onlinePlayers: roundData.onlinePlayers,
-        totalCashout: roundData.totalCashout,
-        timestamp: new Date().toISOString()
-      };
-      
-      console.error(`[BACKUP:${bookmaker_id}] 💾 RONDA GUARDADA EN BACKUP:`, JSON.stringify(backupData));
-      
-      // Opcional: Guardar en archivo o sistema de backup
-      // fs.appendFileSync('rounds_backup.log', JSON.stringify(backupData) + '\n');
-      
-    } catch (backupError) {
-      console.error(`[BACKUP:${bookmaker_id}] ❌ Error crítico en backup:`, backupError.message);
+        totalCashout: roundData.totalCashout
+      }));
     }
   }
 
+  // Tiempos de fase de un snapshot roundCompleted (instantes en ms)
+  getRoundTiming(roundData) {
+    return {
+      betPhaseStartedAt: roundData.betPhaseStartedAt ?? null,
+      flightStartedAt: roundData.flightStartedAt ?? null,
+      crashedAt: roundData.crashedAt ?? null,
+      flightDurationMs: roundData.flightDurationMs ?? null,
+      betPhaseDurationMs: roundData.betPhaseDurationMs ?? null
+    };
+  }
+
+  // Crear una máquina de estados nueva para el bookmaker (preserva los jugadores online)
   resetRoundData(bookmaker_id) {
-    const currentRoundData = this.roundData.get(bookmaker_id);
+    const current = this.roundMachines.get(bookmaker_id);
+    const onlinePlayers = current ? current.onlinePlayers : 0;
     if (this.debugMode) {
-      console.log(`[RESET:${bookmaker_id}] 🔄 Reseteando roundData (preservando ${currentRoundData?.onlinePlayers || 0} jugadores online)`);
+      console.log(`[RESET:${bookmaker_id}] 🔄 Reseteando ronda (preservando ${onlinePlayers} jugadores online)`);
     }
-    this.roundData.set(bookmaker_id, {
-      betsCount: 0,
-      totalBetAmount: 0,
-      onlinePlayers: currentRoundData ? currentRoundData.onlinePlayers : 0,
-      roundId: null,
-      maxMultiplier: 0,
-      currentMultiplier: 0,
-      totalCashout: 0,
-      cashoutRecords: new Set(),
-      gameState: 'Bet',
-    });
+    this.roundMachines.set(bookmaker_id, new RoundStateMachine(bookmaker_id, { onlinePlayers }));
   }
 
   // Activar/desactivar modo debug
@@ -999,23 +1163,16 @@ class WebSocketService {
     try {
       this.isResetting = true;
 
-      // Cerrar todas las conexiones existentes
-      for (const [bookmakerId, connection] of this.connections) {
-        if (connection.ws && connection.ws.readyState !== WebSocket.CLOSED) {
-          connection.ws.close(1000, 'Closing for reset');
-          console.log(`Closed WebSocket for bookmaker ${bookmakerId}`);
-        }
-        clearInterval(this.pingIntervals.get(bookmakerId));
-        this.pingIntervals.delete(bookmakerId);
-      }
-      this.connections.clear();
-      this.roundData.clear();
+      // Cerrar todas las conexiones guardando las rondas en curso, sin dejar handlers ni timers
+      await this.stop('reset');
+      // Un reset (p. ej. tras actualizar tokens) desbloquea los circuitos
+      this.breakers.clear();
 
       // Esperar un momento para asegurar que todas las conexiones estén cerradas
       await new Promise(resolve => setTimeout(resolve, 1000));
 
       // Reiniciar conexiones
-      await this.initializeConnections(io);
+      await this.start(io);
       console.log('[WebSocketService] Conexiones WebSocket reseteadas correctamente');
       this.isResetting = false;
       return { message: 'Conexiones WebSocket reseteadas correctamente' };
@@ -1026,12 +1183,38 @@ class WebSocketService {
     }
   }
 
-  getConnectionStatus() {
-    return Array.from(this.connections.entries()).map(([bookmakerId, connection]) => ({
+  /**
+   * Apagado ordenado (SIGTERM/SIGINT, ver lifecycleManager.js)
+   * Detiene los timers, guarda cada ronda en curso con multiplicador conocido
+   * (saveRoundData, con el outbox como respaldo) y cierra los sockets del proveedor con 1001
+   */
+  async shutdown() {
+    this.isShuttingDown = true;
+    console.log('[WebSocketService] 🛑 Apagando conexiones de bookmakers');
+
+    const bookmakerCount = this.connections.size;
+    await this.stop('shutdown', 1001);
+
+    roundOutboxService.stop();
+    webhookService.stop();
+    console.log(`[WebSocketService] ✅ ${bookmakerCount} conexiones cerradas`);
+  }
+
+  getBookmakerConnectionStatus(bookmakerId) {
+    const connection = this.connections.get(bookmakerId);
+    const paused = this.pausedBookmakers.has(bookmakerId);
+    return {
       bookmakerId,
-      status: connection.status,
-      lastPing: connection.lastPing,
-    }));
+      status: paused ? 'PAUSED' : (connection ? connection.status : 'DISCONNECTED'),
+      paused,
+      lastPing: connection ? connection.lastPing : null,
+      circuitBreaker: this.getBreaker(bookmakerId).getState(),
+    };
+  }
+
+  getConnectionStatus() {
+    const bookmakerIds = new Set([...this.connections.keys(), ...this.pausedBookmakers]);
+    return Array.from(bookmakerIds).map(bookmakerId => this.getBookmakerConnectionStatus(bookmakerId));
   }
 }
 
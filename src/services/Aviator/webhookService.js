@@ -0,0 +1,268 @@
+const crypto = require('crypto');
+const axios = require('axios');
+const WebhookModel = require('../../models/Aviator/webhookModel');
+
+/**
+ * WEBHOOKS FIRMADOS
+ *
+ * Envía por HTTP POST los mismos eventos que Socket.IO (newRound, signalEmitted,
+ * signalResult, bookmakersHealth) a las suscripciones de webhook_subscriptions, para bots
+ * y sitios que no mantienen una conexión abierta.
+ *
+ * - Cada evento crea una fila en webhook_deliveries por suscripción y se intenta enviar al momento
+ * - Si falla (error de red, timeout o respuesta no 2xx) se reintenta con backoff exponencial;
+ *   los reintentos los recoge un poller desde la base de datos, así sobreviven a un reinicio
+ * - Al agotar los intentos la entrega queda dead y se copia a webhook_dead_letters
+ *
+ * Firma: X-Aviator-Signature = sha256=HMAC-SHA256(secret, `${X-Aviator-Timestamp}.${body}`)
+ *
+ * Configuración:
+ * - WEBHOOK_TIMEOUT_MS=5000         Tiempo máximo de cada POST
+ * - WEBHOOK_MAX_ATTEMPTS=6          Intentos antes de pasar a dead letter
+ * - WEBHOOK_RETRY_BASE_MS=10000     Primer reintento; se duplica en cada fallo
+ * - WEBHOOK_RETRY_MAX_MS=3600000    Tope del backoff
+ * - WEBHOOK_POLL_MS=10000           Intervalo del poller de reintentos
+ */
+
+const WEBHOOK_EVENTS = ['newRound', 'signalEmitted', 'signalResult', 'bookmakersHealth'];
+
+class WebhookService {
+  constructor() {
+    this.timeoutMs = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 5000;
+    this.maxAttempts = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+    this.retryBaseMs = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 10000;
+    this.retryMaxMs = parseInt(process.env.WEBHOOK_RETRY_MAX_MS) || 60 * 60 * 1000;
+    this.pollMs = parseInt(process.env.WEBHOOK_POLL_MS) || 10000;
+    // Reserva de una entrega mientras se envía, para que el poller no la repita
+    this.leaseMs = this.timeoutMs * 2 + 10000;
+    this.batchSize = 50;
+
+    this.subscriptionCache = null; // { subscriptions, loadedAt }
+    this.subscriptionCacheTtlMs = 30000;
+    this.pollInterval = null;
+    this.isPolling = false;
+    this.stats = { delivered: 0, retried: 0, dead: 0 };
+  }
+
+  /**
+   * Validar y normalizar una suscripción recibida por la API
+   * @param {Object} input - Cuerpo de la petición
+   * @param {Object|null} current - Suscripción existente con su clave (PUT): los campos omitidos se conservan
+   * @throws {Error} - Si no es válida (mensaje apto para responder 400)
+   */
+  normalizeSubscription(input, current = null) {
+    const source = { ...(current || {}), ...Object.fromEntries(Object.entries(input || {}).filter(([, value]) => value !== undefined)) };
+
+    let url;
+    try {
+      url = new URL(source.url);
+    } catch (error) {
+      throw new Error('url debe ser una URL válida');
+    }
+    if (!['http:', 'https:'].includes(url.protocol)) {
+      throw new Error('url debe ser http o https');
+    }
+
+    const eventTypes = source.event_types;
+    if (!Array.isArray(eventTypes) || eventTypes.length === 0 || eventTypes.some(event => !WEBHOOK_EVENTS.includes(event))) {
+      throw new Error(`event_types debe ser una lista con eventos de ${WEBHOOK_EVENTS.join(', ')}`);
+    }
+
+    let bookmakerId = null;
+    if (source.bookmaker_id !== null && source.bookmaker_id !== undefined && source.bookmaker_id !== '') {
+      bookmakerId = Number(source.bookmaker_id);
+      if (!Number.isInteger(bookmakerId) || bookmakerId < 1) {
+        throw new Error('bookmaker_id debe ser un número entero');
+      }
+    }
+
+    const secret = source.secret || crypto.randomBytes(32).toString('hex');
+    if (typeof secret !== 'string' || secret.length < 16 || secret.length > 255) {
+      throw new Error('secret debe tener entre 16 y 255 caracteres');
+    }
+
+    return {
+      url: url.toString(),
+      event_types: [...new Set(eventTypes)],
+      bookmaker_id: bookmakerId,
+      secret,
+      description: source.description || null,
+      enabled: source.enabled === undefined ? true : source.enabled === true || source.enabled === 'true'
+    };
+  }
+
+  /**
+   * Firma HMAC-SHA256 de un cuerpo (hex)
+   */
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+  }
+
+  async getSubscriptions() {
+    if (this.subscriptionCache && Date.now() - this.subscriptionCache.loadedAt < this.subscriptionCacheTtlMs) {
+      return this.subscriptionCache.subscriptions;
+    }
+
+    const subscriptions = await WebhookModel.getEnabled();
+    this.subscriptionCache = { subscriptions, loadedAt: Date.now() };
+    return subscriptions;
+  }
+
+  // Llamar tras crear, editar o eliminar suscripciones
+  invalidateSubscriptions() {
+    this.subscriptionCache = null;
+  }
+
+  /**
+   * Publicar un evento a las suscripciones interesadas
+   * No bloquea a quien emite: los errores de base de datos o de red solo se registran
+   * @param {string} eventType - Uno de WEBHOOK_EVENTS
+   * @param {Object} data - Mismo contenido que el evento de Socket.IO
+   * @param {number|null} bookmakerId - Para el filtro por bookmaker de cada suscripción
+   */
+  publish(eventType, data, bookmakerId = null) {
+    this.enqueue(eventType, data, bookmakerId).catch(error => {
+      console.error(`[Webhooks] ❌ Error publicando ${eventType}:`, error.message);
+    });
+  }
+
+  async enqueue(eventType, data, bookmakerId = null) {
+    const subscriptions = (await this.getSubscriptions()).filter(subscription =>
+      subscription.event_types.includes(eventType) &&
+      (subscription.bookmaker_id === null || Number(subscription.bookmaker_id) === Number(bookmakerId))
+    );
+    if (subscriptions.length === 0) return [];
+
+    const payload = {
+      event: eventType,
+      bookmakerId: bookmakerId !== null ? Number(bookmakerId) : null,
+      occurredAt: new Date().toISOString(),
+      data
+    };
+
+    const deliveries = [];
+    for (const subscription of subscriptions) {
+      const delivery = await WebhookModel.createDelivery(subscription.id, eventType, payload, this.leaseMs);
+      deliveries.push(delivery);
+      // Primer intento al momento; los reintentos los recoge el poller
+      this.attempt({ ...delivery, url: subscription.url, secret: subscription.secret });
+    }
+    return deliveries;
+  }
+
+  /**
+   * Backoff exponencial: base, 2 * base, 4 * base... con tope
+   */
+  getRetryDelay(attempts) {
+    return Math.min(this.retryMaxMs, this.retryBaseMs * Math.pow(2, Math.max(0, attempts - 1)));
+  }
+
+  /**
+   * Enviar una entrega y registrar el resultado
+   * @param {Object} delivery - Fila de webhook_deliveries con url y secret de su suscripción
+   * @returns {string} - delivered | retry | dead
+   */
+  async attempt(delivery) {
+    const attempts = (parseInt(delivery.attempts) || 0) + 1;
+    const body = JSON.stringify({ id: String(delivery.id), ...delivery.payload });
+    const timestamp = Math.floor(Date.now() / 1000);
+
+    let statusCode = null;
+    let error = null;
+    try {
+      const response = await axios.post(delivery.url, body, {
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'Aviator-Webhooks/1.0',
+          'X-Aviator-Event': delivery.event_type,
+          'X-Aviator-Delivery': String(delivery.id),
+          'X-Aviator-Timestamp': String(timestamp),
+          'X-Aviator-Signature': `sha256=${this.sign(delivery.secret, timestamp, body)}`
+        },
+        timeout: this.timeoutMs,
+        maxRedirects: 0,
+        validateStatus: () => true
+      });
+      statusCode = response.status;
+      if (statusCode < 200 || statusCode >= 300) {
+        error = `HTTP ${statusCode}`;
+      }
+    } catch (requestError) {
+      error = requestError.code ? `${requestError.code}: ${requestError.message}` : requestError.message;
+    }
+
+    try {
+      if (!error) {
+        await WebhookModel.markDelivered(delivery.id, attempts, statusCode);
+        this.stats.delivered++;
+        return 'delivered';
+      }
+
+      if (attempts >= this.maxAttempts) {
+        await WebhookModel.markDead(delivery.id, attempts, statusCode, error);
+        this.stats.dead++;
+        console.error(`[Webhooks] ☠️ Entrega ${delivery.id} (${delivery.event_type}) a ${delivery.url} agotó ${attempts} intentos: ${error}`);
+        return 'dead';
+      }
+
+      const delayMs = this.getRetryDelay(attempts);
+      await WebhookModel.markRetry(delivery.id, attempts, statusCode, error, delayMs);
+      this.stats.retried++;
+      console.warn(`[Webhooks] ⚠️ Entrega ${delivery.id} (${delivery.event_type}) falló (${error}), reintento ${attempts + 1}/${this.maxAttempts} en ${Math.round(delayMs / 1000)}s`);
+      return 'retry';
+    } catch (dbError) {
+      // La reserva vence y el poller la vuelve a intentar
+      console.error(`[Webhooks] ❌ Error registrando la entrega ${delivery.id}:`, dbError.message);
+      return 'retry';
+    }
+  }
+
+  /**
+   * Reintentar las entregas cuyo backoff ya venció
+   */
+  async pollDueDeliveries() {
+    if (this.isPolling) return 0;
+    this.isPolling = true;
+    try {
+      const deliveries = await WebhookModel.claimDueDeliveries(this.batchSize, this.leaseMs);
+      await Promise.all(deliveries.map(delivery => this.attempt(delivery)));
+      return deliveries.length;
+    } finally {
+      this.isPolling = false;
+    }
+  }
+
+  /**
+   * Iniciar el poller de reintentos (idempotente)
+   */
+  start() {
+    if (this.pollInterval) return;
+
+    this.pollInterval = setInterval(() => {
+      this.pollDueDeliveries().catch(error => {
+        console.error('[Webhooks] ❌ Error en poller:', error.message);
+      });
+    }, this.pollMs);
+  }
+
+  // Las entregas en curso conservan su reserva y se reintentan tras el reinicio
+  stop() {
+    clearInterval(this.pollInterval);
+    this.pollInterval = null;
+  }
+
+  getStatus() {
+    return {
+      pollerActive: this.pollInterval !== null,
+      pollMs: this.pollMs,
+      timeoutMs: this.timeoutMs,
+      maxAttempts: this.maxAttempts,
+      ...this.stats
+    };
+  }
+}
+
+const webhookService = new WebhookService();
+webhookService.WEBHOOK_EVENTS = WEBHOOK_EVENTS;
+
+module.exports = webhookService;
@@ -0,0 +1,79 @@
+/**
+ * GESTOR DEL CICLO DE VIDA DEL PROCESO
+ *
+ * Ejecuta en orden los pasos de apagado registrados al recibir SIGTERM o SIGINT
+ * (deploys de Railway/Render, Ctrl+C). Cada paso tiene su propio límite de tiempo y un
+ * fallo no impide los siguientes; si el apagado completo supera SHUTDOWN_TIMEOUT_MS
+ * el proceso sale igualmente. Una segunda señal fuerza la salida inmediata.
+ */
+
+const DEFAULT_STEP_TIMEOUT_MS = 10000;
+
+class LifecycleManager {
+  constructor() {
+    this.steps = [];
+    this.isShuttingDown = false;
+    this.shutdownTimeoutMs = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 30000;
+  }
+
+  /**
+   * Registrar un paso de apagado (se ejecutan en el orden de registro)
+   * @param {string} name - Nombre para los logs
+   * @param {Function} fn - Función (puede ser async)
+   * @param {number} timeoutMs - Tiempo máximo del paso
+   */
+  onShutdown(name, fn, timeoutMs = DEFAULT_STEP_TIMEOUT_MS) {
+    this.steps.push({ name, fn, timeoutMs });
+  }
+
+  listen(signals = ['SIGTERM', 'SIGINT']) {
+    for (const signal of signals) {
+      process.on(signal, () => this.shutdown(signal));
+    }
+  }
+
+  async runStep({ name, fn, timeoutMs }) {
+    const startedAt = Date.now();
+    let timer;
+    const timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`tiempo agotado (${timeoutMs}ms)`)), timeoutMs);
+    });
+
+    try {
+      await Promise.race([Promise.resolve().then(fn), timeout]);
+      console.log(`[Lifecycle] ✅ ${name} (${Date.now() - startedAt}ms)`);
+      return true;
+    } catch (error) {
+      console.error(`[Lifecycle] ❌ ${name}: ${error.message}`);
+      return false;
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async shutdown(signal) {
+    if (this.isShuttingDown) {
+      console.warn(`[Lifecycle] ⚠️ ${signal} recibido durante el apagado, saliendo sin esperar`);
+      process.exit(1);
+    }
+    this.isShuttingDown = true;
+    console.log(`[Lifecycle] 🛑 ${signal} recibido, apagando (máximo ${this.shutdownTimeoutMs}ms)`);
+
+    const forceExit = setTimeout(() => {
+      console.error('[Lifecycle] ❌ El apagado superó el tiempo máximo, forzando salida');
+      process.exit(1);
+    }, this.shutdownTimeoutMs);
+    forceExit.unref();
+
+    let clean = true;
+    for (const step of this.steps) {
+      clean = (await this.runStep(step)) && clean;
+    }
+
+    clearTimeout(forceExit);
+    console.log(`[Lifecycle] 👋 Apagado ${clean ? 'completo' : 'con errores'}`);
+    process.exit(clean ? 0 : 1);
+  }
+}
+
+module.exports = new LifecycleManager();
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const {
+  MIN_ROUNDS,
+  chiSquarePValue,
+  kolmogorovPValue,
+  auditFairness
+} = require('../src/services/Aviator/fairnessService');
+
+const assertClose = (actual, expected, tolerance = 1e-6) => {
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} no está cerca de ${expected}`);
+};
+
+// Rondas con los cuantiles exactos del modelo: crash = max(1, floor(rtp / (1 - U) * 100) / 100)
+function modelRounds(rtp, count) {
+  return Array.from({ length: count }, (_, index) => ({
+    max_multiplier: Math.max(1, Math.floor(rtp / (1 - (index + 0.5) / count) * 100) / 100)
+  }));
+}
+
+test('chiSquarePValue coincide con los valores críticos de la tabla chi-cuadrado', () => {
+  assertClose(chiSquarePValue(3.841458820694124, 1), 0.05);
+  assertClose(chiSquarePValue(5.991464547107979, 2), 0.05);
+  assertClose(chiSquarePValue(18.307038053275146, 10), 0.05);
+  assertClose(chiSquarePValue(6.634896601021214, 1), 0.01);
+  // x < a + 1: rama de la serie
+  assertClose(chiSquarePValue(0.5, 3), 0.9188914);
+  assert.strictEqual(chiSquarePValue(0, 4), 1);
+});
+
+test('kolmogorovPValue coincide con los valores críticos de la distribución de Kolmogorov', () => {
+  const n = 1000000;
+  const scale = Math.sqrt(n) + 0.12 + 0.11 / Math.sqrt(n);
+
+  assertClose(kolmogorovPValue(1.3580986 / scale, n), 0.05);
+  assertClose(kolmogorovPValue(1.6276236 / scale, n), 0.01);
+  assert.strictEqual(kolmogorovPValue(0.1 / scale, n), 1);
+});
+
+test('auditFairness no marca rondas que siguen el modelo del RTP auditado', () => {
+  const audit = auditFairness(modelRounds(0.97, 5000), { rtp: 0.97, alpha: 0.01 });
+
+  assert.strictEqual(audit.insufficient_data, false);
+  assert.strictEqual(audit.rounds_analyzed, 5000);
+  assert.strictEqual(audit.deviates, false);
+  assert.deepStrictEqual(audit.reasons, []);
+  assertClose(audit.implied_rtp, 0.97, 0.001);
+  assert.ok(audit.implied_rtp_ci.lower <= 0.97 && audit.implied_rtp_ci.upper >= 0.97);
+});
+
+test('auditFairness marca un casino con un RTP real menor que el configurado', () => {
+  const audit = auditFairness(modelRounds(0.90, 5000), { rtp: 0.97, alpha: 0.01 });
+
+  assert.strictEqual(audit.deviates, true);
+  assert.deepStrictEqual(audit.reasons, ['ks_test', 'chi_square_test', 'implied_rtp']);
+  assertClose(audit.implied_rtp, 0.90, 0.001);
+  assertClose(audit.implied_house_edge, 0.10, 0.001);
+});
+
+test('auditFairness no emite veredicto con menos de MIN_ROUNDS rondas', () => {
+  const audit = auditFairness(modelRounds(0.97, MIN_ROUNDS - 1), { rtp: 0.97, alpha: 0.01 });
+
+  assert.strictEqual(audit.insufficient_data, true);
+  assert.strictEqual(audit.deviates, null);
+  assert.strictEqual(audit.min_rounds, MIN_ROUNDS);
+});
@@ -0,0 +1,167 @@
+const { test } = require('node:test');
+const assert = require('node:assert');
+const RoundStateMachine = require('../src/services/Aviator/roundStateMachine');
+
+// Eventos completados de una lista de eventos de handle()/flush()
+const completedRounds = (events) => events.filter(event => event.type === 'roundCompleted');
+
+// Ronda 100 en vuelo hasta 1.5x: apuestas abiertas en t=0, despegue en t=5000, ticks en 5100 y 5200
+function startFlight(machine, roundId = '100') {
+  machine.handle('changeState', { newStateId: 1, roundId }, 0);
+  machine.handle('updateCurrentBets', { betsCount: 1, bets: [{ player_id: 'p1', betId: 'b1', bet: 10 }] }, 1000);
+  machine.handle('changeState', { newStateId: 2, roundId }, 5000);
+  machine.handle('x', { x: 1.2 }, 5100);
+  machine.handle('x', { x: 1.5 }, 5200);
+}
+
+test('changeState 3 con crashX completa la ronda con el multiplicador del estado', () => {
+  const machine = new RoundStateMachine(1);
+  startFlight(machine);
+
+  const events = machine.handle('changeState', { newStateId: 3, roundId: '100', crashX: 1.57 }, 5300);
+  const [completed] = completedRounds(events);
+
+  assert.deepStrictEqual(events.map(event => event.type), ['crashed', 'roundCompleted']);
+  assert.strictEqual(completed.reason, 'changeState');
+  assert.strictEqual(completed.round.roundId, '100');
+  assert.strictEqual(completed.round.maxMultiplier, 1.57);
+  assert.strictEqual(completed.round.flightDurationMs, 300);
+  assert.strictEqual(completed.round.betPhaseDurationMs, 5000);
+  assert.deepStrictEqual(completed.round.timeline, [[100, 1.2], [200, 1.5]]);
+});
+
+test('x con crashX completa la ronda tras un changeState 3 sin multiplicador', () => {
+  const machine = new RoundStateMachine(1);
+  startFlight(machine);
+
+  assert.deepStrictEqual(machine.handle('changeState', { newStateId: 3, roundId: '100' }, 5250), []);
+  const [completed] = completedRounds(machine.handle('x', { crashX: 1.55 }, 5300));
+
+  assert.strictEqual(completed.reason, 'crashX');
+  assert.strictEqual(completed.round.maxMultiplier, 1.55);
+  assert.strictEqual(completed.round.crashedAt, 5300);
+});
+
+test('roundChartInfo completa la ronda en curso y no la de rondas anteriores', () => {
+  const machine = new RoundStateMachine(1);
+  startFlight(machine);
+
+  const stale = machine.handle('roundChartInfo', { roundId: '99', maxMultiplier: 8.4 }, 5250);
+  assert.deepStrictEqual(stale.map(event => event.type), ['chartInfo']);
+
+  const events = machine.handle('roundChartInfo', { roundId: '100', maxMultiplier: 1.56 }, 5300);
+  const [completed] = completedRounds(events);
+  assert.strictEqual(completed.reason, 'roundChartInfo');
+  assert.strictEqual(completed.round.maxMultiplier, 1.56);
+  assert.strictEqual(events[events.length - 1].type, 'chartInfo');
+});
+
+test('la ronda se completa una sola vez aunque lleguen las tres señales de fin', () => {
+  const machine = new RoundStateMachine(1);
+  startFlight(machine);
+
+  const events = [
+    ...machine.handle('changeState', { newStateId: 3, roundId: '100', crashX: 1.57 }, 5300),
+    ...machine.handle('x', { crashX: 1.57 }, 5310),
+    ...machine.handle('roundChartInfo', { roundId: '100', maxMultiplier: 1.57 }, 5320)
+  ];
+
+  const completed = completedRounds(events);
+  assert.strictEqual(completed.length, 1);
+  assert.strictEqual(completed[0].reason, 'changeState');
+  assert.deepStrictEqual(machine.flush('shutdown', 6000), []);
+});
+
+test('la siguiente ronda completa la anterior con el máximo observado si no llegó el crash', () => {
+  const machine = new RoundStateMachine(1);
+  startFlight(machine);
+
+  const events = machine.handle('changeState', { newStateId: 1, roundId: '101' }, 9000);
+  const [completed] = completedRounds(events);
+
+  assert.deepStrictEqual(events.map(event => event.type), ['crashed', 'roundCompleted', 'roundStarted']);
+  assert.strictEqual(completed.reason, 'nextRound');
+  assert.strictEqual(completed.round.roundId, '100');
+  assert.strictEqual(completed.round.maxMultiplier, 1.5);
+  // Sin crash, el último tick marca el momento del crash
+  assert.strictEqual(completed.round.crashedAt, 5200);
+
+  const started = events[2].round;
+  assert.strictEqual(started.roundId, '101');
+  assert.strictEqual(started.betPhaseStartedAt, 9000);
+  assert.strictEqual(started.maxMultiplier, 0);
+});
+
+test('las apuestas que llegan antes del changeState 1 se conservan en la nueva ronda', () => {
+  const machine = new RoundStateMachine(1);
+  startFlight(machine);
+  machine.handle('x', { crashX: 1.5 }, 5300);
+
+  const early = machine.handle('updateCurrentBets', {
+    betsCount: 2,
+    bets: [
+      { player_id: 'p2', betId: 'b1', bet: 5 },
+      { player_id: 'p3', betId: 'b2', bet: 7 }
+    ]
+  }, 8000);
+  assert.deepStrictEqual(early.map(event => event.type), ['roundStarted', 'betsUpdated']);
+  assert.strictEqual(early[0].round.roundId, null);
+
+  const events = machine.handle('changeState', { newStateId: 1, roundId: '101' }, 8500);
+  assert.deepStrictEqual(events.map(event => event.type), ['roundStarted']);
+  assert.strictEqual(events[0].round.roundId, '101');
+  assert.strictEqual(events[0].round.betsCount, 2);
+  assert.strictEqual(events[0].round.totalBetAmount, 12);
+  // El inicio de apuestas es el de la primera apuesta recibida
+  assert.strictEqual(events[0].round.betPhaseStartedAt, 8000);
+
+  machine.handle('changeState', { newStateId: 2, roundId: '101' }, 13000);
+  machine.handle('x', { x: 1.1 }, 13100);
+  const [completed] = completedRounds(machine.handle('x', { crashX: 1.1 }, 13200));
+  assert.deepStrictEqual(completed.round.bets.map(bet => bet.playerId), ['p2', 'p3']);
+});
+
+test('las apuestas sin player_id ni bet_id se conservan por separado', () => {
+  const machine = new RoundStateMachine(1);
+  machine.handle('changeState', { newStateId: 1, roundId: '100' }, 0);
+  const anonymousBets = [{ bet: 1 }, { bet: 2 }, { player_id: 'p1', betId: 'b1', bet: 3 }];
+  machine.handle('updateCurrentBets', { betsCount: 3, bets: anonymousBets }, 1000);
+  // updateCurrentBets repite la lista completa: no debe duplicar apuestas
+  machine.handle('updateCurrentBets', { betsCount: 3, bets: anonymousBets }, 2000);
+  machine.handle('changeState', { newStateId: 2, roundId: '100' }, 5000);
+
+  const [completed] = completedRounds(machine.handle('x', { crashX: 1.2 }, 5100));
+  assert.deepStrictEqual(
+    completed.round.bets.map(bet => [bet.playerId, bet.betId, bet.amount]),
+    [['', 'index-0', 1], ['', 'index-1', 2], ['p1', 'b1', 3]]
+  );
+});
+
+test('flush completa la ronda en vuelo con el último multiplicador y el instante del último tick', () => {
+  const machine = new RoundStateMachine(1);
+  startFlight(machine);
+
+  const [completed] = completedRounds(machine.flush('disconnect', 9000));
+  assert.strictEqual(completed.reason, 'disconnect');
+  assert.strictEqual(completed.round.maxMultiplier, 1.5);
+  assert.strictEqual(completed.round.crashedAt, 5200);
+  assert.strictEqual(completed.round.cashouts.length, 0);
+  assert.strictEqual(completed.round.bets.length, 1);
+
+  // Una vez completada, ni flush ni los comandos de fin la vuelven a emitir
+  assert.deepStrictEqual(machine.flush('disconnect', 9100), []);
+  assert.deepStrictEqual(machine.handle('x', { crashX: 1.5 }, 9200), []);
+});
+
+test('flush no emite nada sin roundId o sin multiplicador conocido', () => {
+  const machine = new RoundStateMachine(1);
+  assert.deepStrictEqual(machine.flush('disconnect', 0), []);
+
+  machine.handle('changeState', { newStateId: 1, roundId: '100' }, 0);
+  machine.handle('changeState', { newStateId: 2, roundId: '100' }, 5000);
+  assert.deepStrictEqual(machine.flush('disconnect', 5100), []);
+
+  const anonymous = new RoundStateMachine(1);
+  anonymous.handle('x', { x: 2.3 }, 1000);
+  assert.deepStrictEqual(anonymous.flush('disconnect', 1100), []);
+});